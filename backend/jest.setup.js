@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file stores images, caches and its databases in a temporary
+// directory of its own, removed when the file's tests are done
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cdn-test-'));
+
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_ROOT = path.join(root, 'storage');
+process.env.RENDER_CACHE_DIR = path.join(root, 'cache/render');
+process.env.UPLOAD_SESSION_DIR = path.join(root, 'cache/uploads');
+delete process.env.METADATA_DB_PATH;
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys from the command line.
+ *
+ *   npm run apikey -- create <name> <scope,scope,...>
+ *   npm run apikey -- list
+ *   npm run apikey -- revoke <id>
+ */
+const config = require('../src/config/app.config');
+const apiKeyService = require('../src/services/apikey.service');
+
+const [command, ...args] = process.argv.slice(2);
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  npm run apikey -- create <name> <scope,scope,...>');
+  console.log('  npm run apikey -- list');
+  console.log('  npm run apikey -- revoke <id>');
+  console.log(`\nScopes: ${config.auth.scopes.join(', ')}`);
+  process.exit(1);
+};
+
+try {
+  switch (command) {
+    case 'create': {
+      const [name, scopes] = args;
+      if (!name || !scopes) usage();
+
+      const apiKey = apiKeyService.createKey({ name, scopes: scopes.split(',') });
+      console.log(`✓ Created API key "${apiKey.name}" (${apiKey.id})`);
+      console.log(`  Scopes: ${apiKey.scopes.join(', ')}`);
+      console.log(`  Key:    ${apiKey.key}`);
+      console.log('\nStore this key now, it cannot be shown again.');
+      break;
+    }
+
+    case 'list': {
+      const keys = apiKeyService.listKeys();
+      if (keys.length === 0) {
+        console.log('No API keys.');
+      }
+      keys.forEach((apiKey) => {
+        const status = apiKey.revokedAt ? 'revoked' : 'active';
+        console.log(`${apiKey.id}  ${status.padEnd(7)}  ${apiKey.name}  [${apiKey.scopes.join(', ')}]`);
+      });
+      break;
+    }
+
+    case 'revoke': {
+      const [id] = args;
+      if (!id) usage();
+
+      const apiKey = apiKeyService.revokeKey(id);
+      if (!apiKey) {
+        console.error(`✗ API key not found: ${id}`);
+        process.exit(1);
+      }
+      console.log(`✓ Revoked API key "${apiKey.name}" (${apiKey.id})`);
+      break;
+    }
+
+    default:
+      usage();
+  }
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Maintain the local metadata index from the command line.
+ *
+ *   npm run metadata -- backfill    # add and update images from the storage provider
+ *   npm run metadata -- reconcile   # backfill and remove images the provider no longer has
+ *   npm run metadata -- phash       # compute missing perceptual hashes (--force recomputes all)
+ */
+const { validateConfig } = require('../src/config/cloudinary.config');
+const metadataService = require('../src/services/metadata.service');
+
+const [command, ...flags] = process.argv.slice(2);
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  npm run metadata -- backfill');
+  console.log('  npm run metadata -- reconcile');
+  console.log('  npm run metadata -- phash [--force]');
+  process.exit(1);
+};
+
+const hashImages = async () => {
+  const { hashed, failed, total } = await metadataService.backfillHashes({
+    force: flags.includes('--force')
+  });
+
+  console.log(`✓ Hashed ${hashed} of ${total} images`);
+  if (failed > 0) {
+    console.log(`  Failed:  ${failed}`);
+  }
+};
+
+const run = async () => {
+  if (!['backfill', 'reconcile', 'phash'].includes(command)) usage();
+
+  validateConfig();
+  if (command === 'phash') return hashImages();
+
+  const { added, updated, removed, total } = await metadataService.reconcile({
+    prune: command === 'reconcile'
+  });
+
+  console.log(`✓ Indexed ${total} images`);
+  console.log(`  Added:   ${added}`);
+  console.log(`  Updated: ${updated}`);
+  if (command === 'reconcile') {
+    console.log(`  Removed: ${removed}`);
+  }
+};
+
+run().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -1,3 +1,4 @@
+const path = require('path');
 require('dotenv').config();
 
 const config = {
@@ -5,6 +6,9 @@ const config = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
 
+  // Public origin of this service, used to build API and delivery URLs
+  publicUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+
   // CORS settings
   allowedOrigins: process.env.ALLOWED_ORIGINS
     ? process.env.ALLOWED_ORIGINS.split(',')
@@ -14,12 +18,231 @@ const config = {
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
   allowedFormats: process.env.ALLOWED_FORMATS
     ? process.env.ALLOWED_FORMATS.split(',')
-    : ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'],
+    : ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'avif', 'heic', 'heif', 'tif', 'tiff'],
+
+  // Formats browsers cannot display are converted on upload
+  convert: {
+    formats: process.env.CONVERT_FORMATS
+      ? process.env.CONVERT_FORMATS.split(',').map(format => format.trim().toLowerCase())
+      : ['heic', 'tiff'],
+    // webp, avif, jpeg or png
+    target: process.env.CONVERT_TARGET || 'webp',
+    // Also store the uploaded file, under originalsFolder
+    keepOriginal: process.env.CONVERT_KEEP_ORIGINAL === 'true',
+    // Animated GIFs are converted to animated WebP, which is much smaller
+    animatedGif: process.env.CONVERT_ANIMATED_GIF === 'true',
+    originalsFolder: process.env.CONVERT_ORIGINALS_FOLDER || 'originals'
+  },
+
+  // Optimization profiles applied when uploads are re-encoded. Settings:
+  // maxDimension (px on the longest side, null for no limit), format (null
+  // keeps the input's), quality, avifQuality, lossless, effort (0-9, capped
+  // to what each encoder accepts), chromaSubsampling ('4:2:0' or '4:4:4')
+  // and metadata (an EXIF policy, EXIF_POLICY when unset)
+  optimization: {
+    defaultProfile: process.env.OPTIMIZATION_PROFILE || 'photo',
+    // Profiles for uploads into a folder or its subfolders, as folder:profile pairs
+    folderProfiles: process.env.OPTIMIZATION_FOLDER_PROFILES
+      ? Object.fromEntries(process.env.OPTIMIZATION_FOLDER_PROFILES.split(',').map(pair => {
+        const [folder, profile] = pair.split(':').map(value => value.trim());
+        return [folder.replace(/^\/+|\/+$/g, ''), profile];
+      }))
+      : {},
+    profiles: {
+      // General purpose; AVIF reaches JPEG 85 quality at a much lower setting
+      photo: {
+        maxDimension: 4096,
+        format: null,
+        quality: 85,
+        avifQuality: 60,
+        chromaSubsampling: '4:2:0'
+      },
+      thumbnail: {
+        maxDimension: 640,
+        format: 'webp',
+        quality: 75,
+        effort: 6,
+        chromaSubsampling: '4:2:0',
+        metadata: 'strip'
+      },
+      // Lossless WebP and AVIF; JPEG at quality 100 without subsampling
+      lossless: {
+        maxDimension: null,
+        format: null,
+        lossless: true,
+        effort: 6,
+        chromaSubsampling: '4:4:4'
+      },
+      archive: {
+        maxDimension: null,
+        format: null,
+        quality: 95,
+        chromaSubsampling: '4:4:4',
+        metadata: 'keep'
+      }
+    }
+  },
+
+  // Loading placeholders computed on upload. BlurHash is encoded from a
+  // thumbnail of `size` px with up to `components` along the longer side.
+  placeholder: {
+    blurhash: {
+      size: 32,
+      components: 4
+    },
+    lqip: {
+      width: 16,
+      quality: 50
+    }
+  },
+
+  // Color palettes computed on upload and color search. Palette colors
+  // covering less than minShare of the image are ignored when matching;
+  // tolerance is the default CIEDE2000 difference a match may have.
+  colors: {
+    paletteSize: 6,
+    minShare: 0.1,
+    tolerance: parseFloat(process.env.COLOR_SEARCH_TOLERANCE) || 20
+  },
+
+  // Near-duplicate detection: the largest Hamming distance (of 64 bits)
+  // between perceptual hashes for two images to count as similar
+  similarity: {
+    threshold: parseInt(process.env.SIMILARITY_THRESHOLD) || 10
+  },
+
+  // Batch upload settings
+  batch: {
+    maxFiles: parseInt(process.env.BATCH_MAX_FILES) || 50,
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 3
+  },
+
+  // Duplicate upload handling: reuse, reject or allow
+  dedup: {
+    onDuplicate: process.env.DEDUP_ON_DUPLICATE || 'reuse'
+  },
+
+  // Uploaded SVGs with content outside the allowlist: clean or reject
+  svg: {
+    onUnsafe: process.env.SVG_ON_UNSAFE || 'clean'
+  },
+
+  // Photo metadata in stored files: strip (all but orientation), private
+  // (remove location, owner and device identifiers) or keep
+  exif: {
+    policy: process.env.EXIF_POLICY || 'strip'
+  },
+
+  // Remote URL import settings
+  import: {
+    // Hosts images may be imported from (`*.example.com` matches subdomains); empty allows any public host
+    allowedHosts: process.env.IMPORT_ALLOWED_HOSTS
+      ? process.env.IMPORT_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase())
+      : [],
+    // Only for tests and trusted networks: allow loopback and private addresses
+    allowPrivateNetworks: process.env.IMPORT_ALLOW_PRIVATE_NETWORKS === 'true',
+    timeout: parseInt(process.env.IMPORT_TIMEOUT) || 10 * 1000 // 10 seconds
+  },
+
+  // Resumable upload settings
+  uploads: {
+    dir: process.env.UPLOAD_SESSION_DIR || path.join(__dirname, '../../cache/uploads'),
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024, // 5MB
+    maxFileSize: parseInt(process.env.RESUMABLE_MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB
+    sessionTtl: 24 * 60 * 60 * 1000, // incomplete sessions expire after 24h without activity
+    cleanupInterval: 60 * 60 * 1000 // 1 hour
+  },
+
+  // Directory for service state (API keys, etc.)
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+
+  // Local SQLite index of image metadata, reconciled against the provider
+  metadata: {
+    dbPath: process.env.METADATA_DB_PATH ||
+      path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'metadata.db'),
+    reconcileInterval: parseInt(process.env.METADATA_RECONCILE_INTERVAL) || 6 * 60 * 60 * 1000 // 6 hours
+  },
+
+  // Deleted images wait in the trash, restorable, until they are purged
+  trash: {
+    // 0 purges at the next run; anything but a number of days stops startup
+    retentionDays: process.env.TRASH_RETENTION_DAYS ? Number(process.env.TRASH_RETENTION_DAYS) : 30,
+    purgeInterval: 60 * 60 * 1000 // 1 hour
+  },
+
+  // Outbound webhooks
+  webhooks: {
+    events: ['image.uploaded', 'image.replaced', 'image.trashed', 'image.restored', 'image.deleted', 'image.renamed'],
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10 * 1000, // 10 seconds
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30 * 1000, // doubles after each attempt
+    pollInterval: 10 * 1000,
+    logLimit: parseInt(process.env.WEBHOOK_LOG_LIMIT) || 1000,
+    // Allow loopback and private targets, e.g. receivers on the same host
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+  },
+
+  // Inbound Cloudinary notifications
+  notifications: {
+    // Maximum age of a notification timestamp, in seconds
+    tolerance: parseInt(process.env.CLOUDINARY_NOTIFICATION_TOLERANCE) || 2 * 60 * 60
+  },
+
+  // API key authentication
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    scopes: ['images:read', 'images:write', 'images:delete', 'stats:read', 'admin']
+  },
+
+  // Storage settings
+  storage: {
+    // Storage backend: 'cloudinary' or 'local'
+    provider: process.env.STORAGE_PROVIDER || 'cloudinary',
+    local: {
+      root: process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '../../storage'),
+      baseUrl: process.env.LOCAL_STORAGE_BASE_URL || process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+      mountPath: '/media',
+      quota: parseInt(process.env.LOCAL_STORAGE_QUOTA) || 0 // bytes, 0 = unlimited
+    }
+  },
+
+  // On-the-fly rendering
+  render: {
+    cacheDir: process.env.RENDER_CACHE_DIR || path.join(__dirname, '../../cache/render'),
+    maxDimension: parseInt(process.env.RENDER_MAX_DIMENSION) || 4096,
+    defaultQuality: 80,
+    cacheMaxAge: 30 * 24 * 60 * 60, // seconds, sent in Cache-Control
+    // Least recently served derivatives are evicted past this size
+    cacheMaxBytes: parseInt(process.env.RENDER_CACHE_MAX_SIZE) || 1024 * 1024 * 1024, // 1GB
+    // Where cover crops of images without a focal point are taken:
+    // attention (salient features), entropy (detail) or center
+    cropStrategy: process.env.RENDER_CROP_STRATEGY || 'attention'
+  },
+
+  // Responsive image sets: defaults when a request names no widths or
+  // formats. The last format is the <img> fallback.
+  responsive: {
+    widths: process.env.RESPONSIVE_WIDTHS
+      ? process.env.RESPONSIVE_WIDTHS.split(',').map(width => parseInt(width))
+      : [320, 640, 960, 1280, 1920],
+    formats: process.env.RESPONSIVE_FORMATS
+      ? process.env.RESPONSIVE_FORMATS.split(',').map(format => format.trim())
+      : ['avif', 'webp', 'jpg'],
+    sizes: process.env.RESPONSIVE_SIZES || '100vw'
+  },
+
+  // Signed delivery URLs
+  signing: {
+    secret: process.env.URL_SIGNING_SECRET,
+    defaultExpiresIn: 60 * 60, // seconds
+    maxExpiresIn: 7 * 24 * 60 * 60 // seconds
+  },
 
   // Rate limiting
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    renderMax: 1000 // separate budget for rendered image requests
   }
 };
 
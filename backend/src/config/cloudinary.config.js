@@ -1,16 +1,32 @@
 const cloudinary = require('cloudinary').v2;
 require('dotenv').config();
+const config = require('./app.config');
 
 // Configure Cloudinary with credentials from environment variables
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
   api_secret: process.env.CLOUDINARY_API_SECRET,
+  // Must match the account's signature algorithm (sha1 or sha256)
+  signature_algorithm: process.env.CLOUDINARY_SIGNATURE_ALGORITHM || 'sha1',
   secure: true
 });
 
 // Validate configuration
 const validateConfig = () => {
+  const { providers } = require('../services/storage');
+
+  if (!providers[config.storage.provider]) {
+    throw new Error(
+      `Unknown storage provider "${config.storage.provider}". Available providers: ${Object.keys(providers).join(', ')}`
+    );
+  }
+
+  // Cloudinary credentials are only needed when Cloudinary stores the images
+  if (config.storage.provider !== 'cloudinary') {
+    return;
+  }
+
   const { cloud_name, api_key, api_secret } = cloudinary.config();
 
   if (!cloud_name || !api_key || !api_secret) {
@@ -0,0 +1,48 @@
+const config = require('../config/app.config');
+const apiKeyService = require('../services/apikey.service');
+
+/**
+ * Read the API key from `X-API-Key` or `Authorization: Bearer <key>`
+ */
+const getApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+
+  const authorization = req.get('Authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+  return match ? match[1] : null;
+};
+
+/**
+ * Require an API key holding every listed scope. Keys with the `admin`
+ * scope pass every check.
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  const apiKey = apiKeyService.verify(getApiKey(req));
+  if (!apiKey) {
+    const error = new Error('Missing or invalid API key');
+    error.name = 'UnauthorizedError';
+    return next(error);
+  }
+
+  const missing = apiKey.scopes.includes('admin')
+    ? []
+    : scopes.filter(scope => !apiKey.scopes.includes(scope));
+
+  if (missing.length > 0) {
+    const error = new Error(`API key lacks required scope: ${missing.join(', ')}`);
+    error.name = 'ForbiddenError';
+    return next(error);
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+module.exports = {
+  requireScope
+};
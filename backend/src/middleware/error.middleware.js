@@ -19,6 +19,11 @@ const errorHandler = (err, req, res, next) => {
     message = 'Unauthorized access';
   }
 
+  if (err.name === 'ForbiddenError') {
+    statusCode = 403;
+    message = err.message;
+  }
+
   if (err.name === 'MulterError') {
     statusCode = 400;
     message = `File upload error: ${err.message}`;
@@ -33,6 +38,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    // Machine-readable reason for client errors, e.g. TYPE_MISMATCH
+    ...(statusCode < 500 && typeof err.code === 'string' && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -1,6 +1,135 @@
 const Joi = require('joi');
 const config = require('../config/app.config');
 
+// Storage delivery types an image can have
+const resourceType = Joi.string().valid('upload', 'private', 'authenticated');
+
+// Preset and watermark names are used in URLs and query strings
+const presetName = Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(50);
+
+// Render transformation, as used by signed URLs and presets
+const renderDimension = Joi.number().integer().min(1).max(config.render.maxDimension);
+const renderTransformation = Joi.object({
+  w: renderDimension.optional(),
+  h: renderDimension.optional(),
+  fit: Joi.string().valid('cover', 'contain', 'fill', 'inside', 'outside').optional(),
+  format: Joi.string().valid('auto', 'jpeg', 'jpg', 'png', 'webp', 'avif', 'gif').optional(),
+  q: Joi.number().integer().min(1).max(100).optional(),
+  wm: presetName.optional()
+});
+
+// Watermark settings; an image mark names a stored image, a text mark is
+// rendered with a Pango font description such as "sans bold"
+const watermarkFields = {
+  description: Joi.string().max(200).allow('').optional(),
+  image: Joi.object({
+    publicId: Joi.string().max(255).required(),
+    type: resourceType.optional()
+  }),
+  text: Joi.object({
+    value: Joi.string().max(200).required(),
+    font: Joi.string().max(100).optional(),
+    color: Joi.string().pattern(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i).optional()
+      .messages({ 'string.pattern.base': 'text.color must be a hex color such as #ffffff' })
+  }),
+  position: Joi.string()
+    .valid('northwest', 'north', 'northeast', 'west', 'center', 'east', 'southwest', 'south', 'southeast')
+    .optional(),
+  opacity: Joi.number().min(0).max(1).optional(),
+  scale: Joi.number().min(0.01).max(1).optional(),
+  margin: Joi.number().integer().min(0).max(1000).optional(),
+  folders: Joi.array().items(Joi.string().max(100).allow('')).max(50).optional(),
+  applyAt: Joi.string().valid('upload', 'delivery').optional()
+};
+
+// Options shared by direct uploads, URL imports and resumable sessions
+const uploadOptions = {
+  folder: Joi.string().max(100).optional(),
+  publicId: Joi.string().max(100).optional(),
+  tags: Joi.alternatives().try(
+    Joi.string(),
+    Joi.array().items(Joi.string())
+  ).optional(),
+  optimize: Joi.boolean().optional(),
+  profile: Joi.string().valid(...Object.keys(config.optimization.profiles)).optional(),
+  access: Joi.string().valid('public', 'private', 'authenticated').optional(),
+  onDuplicate: Joi.string().valid('reuse', 'reject', 'allow').optional(),
+  onUnsafeSvg: Joi.string().valid('clean', 'reject').optional(),
+  keepOriginal: Joi.boolean().optional(),
+  convertAnimatedGif: Joi.boolean().optional(),
+  watermark: presetName.optional()
+};
+
+// Filtering and sorting shared by list and search
+const indexQuery = {
+  maxResults: Joi.number().integer().min(1).max(500).optional(),
+  nextCursor: Joi.string().optional(),
+  sortBy: Joi.string().valid('createdAt', 'bytes', 'width', 'height', 'format', 'publicId', 'colorDistance', 'deletedAt').optional(),
+  order: Joi.string().valid('asc', 'desc').optional(),
+  folder: Joi.string().allow('').optional(),
+  tag: Joi.string().optional(),
+  format: Joi.string().optional(),
+  minBytes: Joi.number().integer().min(0).optional(),
+  maxBytes: Joi.number().integer().min(0).optional(),
+  minWidth: Joi.number().integer().min(0).optional(),
+  maxWidth: Joi.number().integer().min(0).optional(),
+  minHeight: Joi.number().integer().min(0).optional(),
+  maxHeight: Joi.number().integer().min(0).optional(),
+  createdAfter: Joi.date().iso().optional(),
+  createdBefore: Joi.date().iso().optional(),
+  color: Joi.string().pattern(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i).optional()
+    .messages({ 'string.pattern.base': 'color must be a hex color such as #1e40af' }),
+  colorTolerance: Joi.number().min(0).max(100).optional(),
+  preset: presetName.optional()
+};
+
+/**
+ * Check a file against the upload size and format rules. The name and
+ * mimetype are client claims; the content itself is checked by the file
+ * type service before storing.
+ * @param {Object} file - File object from express-fileupload
+ * @param {Object} limits - Overrides for the defaults (maxFileSize)
+ * @returns {String|null} Error message, or null when the file is valid
+ */
+const checkUploadedFile = (file, limits = {}) => {
+  const maxFileSize = limits.maxFileSize || config.maxFileSize;
+
+  // Check file size; multipart files over the limit arrive truncated
+  if (file.truncated || file.size > maxFileSize) {
+    return `File size exceeds limit. Maximum size: ${maxFileSize / 1024 / 1024}MB`;
+  }
+
+  // Check file format
+  const fileExtension = file.name.split('.').pop().toLowerCase();
+  if (!config.allowedFormats.includes(fileExtension)) {
+    return `Invalid file format. Allowed formats: ${config.allowedFormats.join(', ')}`;
+  }
+
+  // Validate mimetype
+  const validMimetypes = [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'image/svg+xml',
+    'image/avif',
+    'image/heic',
+    'image/heif',
+    'image/heic-sequence',
+    'image/heif-sequence',
+    'image/tiff',
+    // No claim at all; the content check decides
+    'application/octet-stream'
+  ];
+
+  if (!validMimetypes.includes(file.mimetype)) {
+    return 'Invalid file type. Please upload an image file.';
+  }
+
+  return null;
+};
+
 /**
  * Validate file upload
  */
@@ -13,39 +142,11 @@ const validateFileUpload = (req, res, next) => {
       });
     }
 
-    const file = req.files.image;
-
-    // Check file size
-    if (file.size > config.maxFileSize) {
-      return res.status(400).json({
-        success: false,
-        error: `File size exceeds limit. Maximum size: ${config.maxFileSize / 1024 / 1024}MB`
-      });
-    }
-
-    // Check file format
-    const fileExtension = file.name.split('.').pop().toLowerCase();
-    if (!config.allowedFormats.includes(fileExtension)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid file format. Allowed formats: ${config.allowedFormats.join(', ')}`
-      });
-    }
-
-    // Validate mimetype
-    const validMimetypes = [
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'image/gif',
-      'image/webp',
-      'image/svg+xml'
-    ];
-
-    if (!validMimetypes.includes(file.mimetype)) {
-      return res.status(400).json({
+    const fileError = checkUploadedFile(req.files.image);
+    if (fileError) {
+      return res.status(req.files.image.truncated ? 413 : 400).json({
         success: false,
-        error: 'Invalid file type. Please upload an image file.'
+        error: fileError
       });
     }
 
@@ -58,18 +159,53 @@ const validateFileUpload = (req, res, next) => {
   }
 };
 
+/**
+ * Validate batch upload; individual files are checked during upload so
+ * that one bad file does not reject the whole batch
+ */
+const validateBatchUpload = (req, res, next) => {
+  if (!req.files || !req.files.images) {
+    return res.status(400).json({
+      success: false,
+      error: 'No image files provided. Please upload files with the field name "images"'
+    });
+  }
+
+  const count = [].concat(req.files.images).length;
+  if (count > config.batch.maxFiles) {
+    return res.status(400).json({
+      success: false,
+      error: `Too many files. Maximum per batch: ${config.batch.maxFiles}`
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate upload options
  */
 const validateUploadOptions = (req, res, next) => {
+  const schema = Joi.object(uploadOptions);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate remote URL import request
+ */
+const validateImportRequest = (req, res, next) => {
   const schema = Joi.object({
-    folder: Joi.string().max(100).optional(),
-    publicId: Joi.string().max(100).optional(),
-    tags: Joi.alternatives().try(
-      Joi.string(),
-      Joi.array().items(Joi.string())
-    ).optional(),
-    optimize: Joi.boolean().optional()
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    ...uploadOptions
   });
 
   const { error } = schema.validate(req.body);
@@ -102,15 +238,120 @@ const validatePublicId = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate image query parameters
+ */
+const validateImageQuery = (req, res, next) => {
+  const schema = Joi.object({
+    type: resourceType.optional(),
+    preset: presetName.optional(),
+    trashed: Joi.boolean().optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate delete query parameters
+ */
+const validateDeleteQuery = (req, res, next) => {
+  const schema = Joi.object({
+    type: resourceType.optional(),
+    permanent: Joi.boolean().optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate image changes
+ */
+const validateImageUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    focalPoint: Joi.object({
+      x: Joi.number().min(0).max(1).required(),
+      y: Joi.number().min(0).max(1).required()
+    }).allow(null).optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate list query parameters
  */
 const validateListQuery = (req, res, next) => {
   const schema = Joi.object({
-    maxResults: Joi.number().integer().min(1).max(500).optional(),
-    nextCursor: Joi.string().optional(),
+    ...indexQuery,
     prefix: Joi.string().optional(),
-    tags: Joi.boolean().optional()
+    tags: Joi.boolean().optional(),
+    type: resourceType.optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate trash list query parameters
+ */
+const validateTrashQuery = (req, res, next) => {
+  const schema = Joi.object({
+    ...indexQuery,
+    type: resourceType.optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate trash purge query parameters. Emptying the trash cannot be
+ * undone, so it must be asked for explicitly.
+ */
+const validatePurgeQuery = (req, res, next) => {
+  const schema = Joi.object({
+    permanent: Joi.boolean().valid(true).required()
+      .messages({ 'any.required': 'permanent=true is required to empty the trash' }),
+    olderThan: Joi.date().iso().optional()
   });
 
   const { error } = schema.validate(req.query);
@@ -129,9 +370,168 @@ const validateListQuery = (req, res, next) => {
  */
 const validateSearchQuery = (req, res, next) => {
   const schema = Joi.object({
-    expression: Joi.string().required(),
-    maxResults: Joi.number().integer().min(1).max(500).optional(),
-    nextCursor: Joi.string().optional()
+    ...indexQuery,
+    expression: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate render query parameters
+ */
+const validateRenderQuery = (req, res, next) => {
+  const dimension = Joi.number().integer().min(1).max(config.render.maxDimension);
+  const schema = Joi.object({
+    w: dimension.optional(),
+    h: dimension.optional(),
+    fit: Joi.string().valid('cover', 'contain', 'fill', 'inside', 'outside').optional(),
+    format: Joi.string().valid('auto', 'jpeg', 'jpg', 'png', 'webp', 'avif', 'gif').optional(),
+    q: Joi.number().integer().min(1).max(100).optional(),
+    wm: presetName.optional(),
+    preset: presetName.optional(),
+    type: resourceType.optional(),
+    expires: Joi.number().integer().optional(),
+    sig: Joi.string().hex().length(64).optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate resumable upload session request
+ */
+const validateUploadSession = (req, res, next) => {
+  const schema = Joi.object({
+    filename: Joi.string().max(255).required(),
+    size: Joi.number().integer().min(1).required(),
+    mimetype: Joi.string().required(),
+    ...uploadOptions
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  // Reject unsupported files before any bytes are sent
+  const fileError = checkUploadedFile(
+    { name: req.body.filename, size: req.body.size, mimetype: req.body.mimetype },
+    { maxFileSize: config.uploads.maxFileSize }
+  );
+  if (fileError) {
+    return res.status(400).json({
+      success: false,
+      error: fileError
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate chunk number parameter
+ */
+const validateChunkIndex = (req, res, next) => {
+  const schema = Joi.object({
+    uploadId: Joi.string().required(),
+    index: Joi.number().integer().min(0).required()
+  });
+
+  const { error } = schema.validate(req.params);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate signed URL request
+ */
+const validateSignRequest = (req, res, next) => {
+  const schema = Joi.object({
+    expiresIn: Joi.number().integer().min(1).max(config.signing.maxExpiresIn).optional(),
+    type: resourceType.optional(),
+    transformation: renderTransformation.optional(),
+    preset: presetName.optional()
+  }).oxor('transformation', 'preset');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate responsive image set query parameters
+ */
+const validateResponsiveQuery = (req, res, next) => {
+  const schema = Joi.object({
+    widths: Joi.string()
+      .pattern(/^[1-9]\d{0,4}(,[1-9]\d{0,4}){0,9}$/)
+      .message('"widths" must be up to 10 comma-separated pixel widths of at least 1')
+      .optional(),
+    formats: Joi.string()
+      .pattern(/^(avif|webp|jpeg|jpg|png|gif)(,(avif|webp|jpeg|jpg|png|gif)){0,3}$/)
+      .message('"formats" must be up to 4 of avif, webp, jpeg, jpg, png, gif, comma-separated')
+      .optional(),
+    sizes: Joi.string().max(500).optional(),
+    alt: Joi.string().max(500).allow('').optional(),
+    q: Joi.number().integer().min(1).max(100).optional(),
+    aspectRatio: Joi.string()
+      .pattern(/^[1-9]\d{0,3}:[1-9]\d{0,3}$/)
+      .message('"aspectRatio" must be width:height, such as 16:9')
+      .optional(),
+    type: resourceType.optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate similar image and near-duplicate report query parameters
+ */
+const validateSimilarQuery = (req, res, next) => {
+  const schema = Joi.object({
+    threshold: Joi.number().integer().min(0).max(64).optional(),
+    maxResults: Joi.number().integer().min(1).max(100).optional(),
+    type: resourceType.optional()
   });
 
   const { error } = schema.validate(req.query);
@@ -150,7 +550,33 @@ const validateSearchQuery = (req, res, next) => {
  */
 const validateBulkDelete = (req, res, next) => {
   const schema = Joi.object({
-    publicIds: Joi.array().items(Joi.string()).min(1).max(100).required()
+    publicIds: Joi.array().items(Joi.string()).min(1).max(100).required(),
+    type: resourceType.optional(),
+    permanent: Joi.boolean().optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate API key creation request
+ */
+const validateApiKeyCreate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...config.auth.scopes))
+      .min(1)
+      .unique()
+      .required()
   });
 
   const { error } = schema.validate(req.body);
@@ -164,11 +590,197 @@ const validateBulkDelete = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate webhook subscription creation
+ */
+const validateWebhookCreate = (req, res, next) => {
+  const schema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    events: Joi.array()
+      .items(Joi.string().valid(...config.webhooks.events))
+      .min(1)
+      .unique()
+      .required(),
+    secret: Joi.string().min(16).max(200).optional(),
+    description: Joi.string().max(200).allow('').optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate webhook subscription changes
+ */
+const validateWebhookUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    events: Joi.array()
+      .items(Joi.string().valid(...config.webhooks.events))
+      .min(1)
+      .unique()
+      .optional(),
+    secret: Joi.string().min(16).max(200).optional(),
+    description: Joi.string().max(200).allow('').optional(),
+    active: Joi.boolean().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate transformation preset creation
+ */
+const validatePresetCreate = (req, res, next) => {
+  const schema = Joi.object({
+    name: presetName.required(),
+    description: Joi.string().max(200).allow('').optional(),
+    transformation: renderTransformation.min(1).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate transformation preset changes; the name cannot change
+ */
+const validatePresetUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    description: Joi.string().max(200).allow('').optional(),
+    transformation: renderTransformation.min(1).optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate watermark creation: an image or a text mark
+ */
+const validateWatermarkCreate = (req, res, next) => {
+  const schema = Joi.object({
+    // "none" turns watermarks off on upload
+    name: presetName.invalid('none').required(),
+    type: Joi.string().valid('image', 'text').required(),
+    ...watermarkFields,
+    image: watermarkFields.image.when('type', { is: 'image', then: Joi.required(), otherwise: Joi.forbidden() }),
+    text: watermarkFields.text.when('type', { is: 'text', then: Joi.required(), otherwise: Joi.forbidden() })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate watermark changes; the name cannot change, and a new type
+ * needs its image or text
+ */
+const validateWatermarkUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    type: Joi.string().valid('image', 'text').optional(),
+    ...watermarkFields,
+    image: watermarkFields.image.when('type', { is: 'image', then: Joi.required() })
+      .when('type', { is: 'text', then: Joi.forbidden() }),
+    text: watermarkFields.text.when('type', { is: 'text', then: Joi.required() })
+      .when('type', { is: 'image', then: Joi.forbidden() })
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate webhook delivery log query parameters
+ */
+const validateDeliveryQuery = (req, res, next) => {
+  const schema = Joi.object({
+    webhookId: Joi.string().optional(),
+    status: Joi.string().valid('pending', 'succeeded', 'failed').optional(),
+    limit: Joi.number().integer().min(1).max(500).optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
 module.exports = {
+  checkUploadedFile,
   validateFileUpload,
+  validateBatchUpload,
   validateUploadOptions,
+  validateImportRequest,
   validatePublicId,
+  validateImageQuery,
+  validateDeleteQuery,
+  validateImageUpdate,
   validateListQuery,
+  validateTrashQuery,
+  validatePurgeQuery,
   validateSearchQuery,
-  validateBulkDelete
+  validateRenderQuery,
+  validateSignRequest,
+  validateResponsiveQuery,
+  validateSimilarQuery,
+  validateUploadSession,
+  validateChunkIndex,
+  validateBulkDelete,
+  validateApiKeyCreate,
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeliveryQuery,
+  validatePresetCreate,
+  validatePresetUpdate,
+  validateWatermarkCreate,
+  validateWatermarkUpdate
 };
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/apikey.service');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireScope } = require('../middleware/auth.middleware');
+const { validateApiKeyCreate } = require('../middleware/validation.middleware');
+
+router.use(requireScope('admin'));
+
+/**
+ * @route   GET /api/keys
+ * @desc    List API keys (without secrets)
+ * @access  Private (admin)
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: apiKeyService.listKeys()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys
+ * @desc    Create an API key; the key is only returned in this response
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  validateApiKeyCreate,
+  asyncHandler(async (req, res) => {
+    const { name, scopes } = req.body;
+    res.status(201).json({
+      success: true,
+      data: apiKeyService.createKey({ name, scopes })
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const apiKey = apiKeyService.revokeKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey
+    });
+  })
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { testConnection } = require('../config/cloudinary.config');
+const { getStorage } = require('../services/storage');
 const { asyncHandler } = require('../middleware/error.middleware');
 
 /**
@@ -9,7 +9,8 @@ const { asyncHandler } = require('../middleware/error.middleware');
  * @access  Public
  */
 router.get('/', asyncHandler(async (req, res) => {
-  const cloudinaryConnected = await testConnection();
+  const storage = getStorage();
+  const storageConnected = await storage.ping();
 
   const health = {
     success: true,
@@ -18,11 +19,11 @@ router.get('/', asyncHandler(async (req, res) => {
     uptime: process.uptime(),
     services: {
       api: 'OK',
-      cloudinary: cloudinaryConnected ? 'OK' : 'ERROR'
+      [storage.name]: storageConnected ? 'OK' : 'ERROR'
     }
   };
 
-  const statusCode = cloudinaryConnected ? 200 : 503;
+  const statusCode = storageConnected ? 200 : 503;
   res.status(statusCode).json(health);
 }));
 
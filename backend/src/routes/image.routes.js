@@ -1,23 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const imageService = require('../services/image.service');
+const renderService = require('../services/render.service');
+const importService = require('../services/import.service');
+const config = require('../config/app.config');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { requireScope } = require('../middleware/auth.middleware');
 const {
+  checkUploadedFile,
   validateFileUpload,
+  validateBatchUpload,
   validateUploadOptions,
+  validateImportRequest,
   validatePublicId,
+  validateImageQuery,
+  validateDeleteQuery,
+  validateImageUpdate,
   validateListQuery,
+  validateTrashQuery,
+  validatePurgeQuery,
   validateSearchQuery,
+  validateRenderQuery,
+  validateSignRequest,
+  validateResponsiveQuery,
+  validateSimilarQuery,
   validateBulkDelete
 } = require('../middleware/validation.middleware');
 
+/**
+ * Filtering and sorting options for the metadata index from a query string
+ * @param {Object} query - Validated request query
+ * @returns {Object} Index query options
+ */
+const getIndexOptions = (query) => {
+  const options = {
+    maxResults: parseInt(query.maxResults) || 30,
+    nextCursor: query.nextCursor,
+    sortBy: query.sortBy,
+    order: query.order,
+    folder: query.folder,
+    tag: query.tag,
+    format: query.format,
+    createdAfter: query.createdAfter,
+    createdBefore: query.createdBefore,
+    color: query.color,
+    preset: query.preset
+  };
+
+  if (query.colorTolerance !== undefined) {
+    options.colorTolerance = parseFloat(query.colorTolerance);
+  }
+
+  ['minBytes', 'maxBytes', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight']
+    .filter(key => query[key] !== undefined)
+    .forEach(key => { options[key] = parseInt(query[key]); });
+
+  return options;
+};
+
 /**
  * @route   POST /api/images/upload
  * @desc    Upload a new image
- * @access  Public
+ * @access  Private (images:write)
  */
 router.post(
   '/upload',
+  requireScope('images:write'),
   validateFileUpload,
   validateUploadOptions,
   asyncHandler(async (req, res) => {
@@ -26,7 +74,14 @@ router.post(
       folder: req.body.folder,
       publicId: req.body.publicId,
       tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : [req.body.tags]) : [],
-      optimize: req.body.optimize !== 'false'
+      optimize: req.body.optimize !== 'false',
+      profile: req.body.profile,
+      access: req.body.access,
+      onDuplicate: req.body.onDuplicate,
+      onUnsafeSvg: req.body.onUnsafeSvg,
+      keepOriginal: req.body.keepOriginal !== undefined ? req.body.keepOriginal === 'true' : undefined,
+      convertAnimatedGif: req.body.convertAnimatedGif !== undefined ? req.body.convertAnimatedGif === 'true' : undefined,
+      watermark: req.body.watermark
     };
 
     const result = await imageService.uploadImage(file, options);
@@ -34,51 +89,335 @@ router.post(
   })
 );
 
+/**
+ * @route   POST /api/images/upload/batch
+ * @desc    Upload several images (field "images") with per-file results
+ * @access  Private (images:write)
+ */
+router.post(
+  '/upload/batch',
+  requireScope('images:write'),
+  validateBatchUpload,
+  validateUploadOptions,
+  asyncHandler(async (req, res) => {
+    const files = [].concat(req.files.images);
+    const options = {
+      folder: req.body.folder,
+      tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : [req.body.tags]) : [],
+      optimize: req.body.optimize !== 'false',
+      profile: req.body.profile,
+      access: req.body.access,
+      onDuplicate: req.body.onDuplicate,
+      onUnsafeSvg: req.body.onUnsafeSvg,
+      keepOriginal: req.body.keepOriginal !== undefined ? req.body.keepOriginal === 'true' : undefined,
+      convertAnimatedGif: req.body.convertAnimatedGif !== undefined ? req.body.convertAnimatedGif === 'true' : undefined,
+      watermark: req.body.watermark
+    };
+
+    const result = await imageService.uploadBatch(files, options);
+
+    // 207 Multi-Status when only some files were uploaded
+    const statusCode = result.data.failed === 0 ? 201 : (result.data.uploaded > 0 ? 207 : 400);
+    res.status(statusCode).json(result);
+  })
+);
+
+/**
+ * @route   POST /api/images/import
+ * @desc    Import an image from a remote URL
+ * @access  Private (images:write)
+ */
+router.post(
+  '/import',
+  requireScope('images:write'),
+  validateImportRequest,
+  asyncHandler(async (req, res) => {
+    const file = await importService.fetchImage(req.body.url);
+
+    const fileError = checkUploadedFile(file);
+    if (fileError) {
+      return res.status(400).json({
+        success: false,
+        error: fileError
+      });
+    }
+
+    const options = {
+      folder: req.body.folder,
+      publicId: req.body.publicId,
+      tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : [req.body.tags]) : [],
+      optimize: req.body.optimize !== false,
+      profile: req.body.profile,
+      access: req.body.access,
+      onDuplicate: req.body.onDuplicate,
+      onUnsafeSvg: req.body.onUnsafeSvg,
+      keepOriginal: req.body.keepOriginal,
+      convertAnimatedGif: req.body.convertAnimatedGif,
+      watermark: req.body.watermark
+    };
+
+    const result = await imageService.uploadImage(file, options);
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * @route   GET /api/images/duplicates
+ * @desc    List groups of images with identical content
+ * @access  Private (images:read)
+ */
+router.get(
+  '/duplicates',
+  requireScope('images:read'),
+  asyncHandler(async (req, res) => {
+    const result = imageService.getDuplicates();
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/images/duplicates/similar
+ * @desc    Group images that look alike (re-encoded, resized copies)
+ * @access  Private (images:read)
+ */
+router.get(
+  '/duplicates/similar',
+  requireScope('images:read'),
+  validateSimilarQuery,
+  asyncHandler(async (req, res) => {
+    const result = imageService.getSimilarGroups({
+      threshold: req.query.threshold !== undefined ? parseInt(req.query.threshold) : undefined
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/images/trash
+ * @desc    List images in the trash, most recently deleted first
+ * @access  Private (images:read)
+ */
+router.get(
+  '/trash',
+  requireScope('images:read'),
+  validateTrashQuery,
+  asyncHandler(async (req, res) => {
+    const result = await imageService.listTrash({
+      ...getIndexOptions(req.query),
+      type: req.query.type
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * @route   DELETE /api/images/trash?permanent=true
+ * @desc    Empty the trash, or only images deleted before olderThan
+ * @access  Private (images:delete)
+ */
+router.delete(
+  '/trash',
+  requireScope('images:delete'),
+  validatePurgeQuery,
+  asyncHandler(async (req, res) => {
+    const result = await imageService.purgeTrash({
+      olderThan: req.query.olderThan ? new Date(req.query.olderThan) : undefined
+    });
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
 /**
  * @route   GET /api/images/:publicId
- * @desc    Get image details by public ID
- * @access  Public
+ * @desc    Get image details by public ID, with every preset's URL; images in the trash only with trashed=true
+ * @access  Private (images:read)
  */
 router.get(
   '/:publicId',
+  requireScope('images:read'),
   validatePublicId,
+  validateImageQuery,
   asyncHandler(async (req, res) => {
     // Decode the public ID (may contain slashes)
     const publicId = decodeURIComponent(req.params.publicId);
-    const result = await imageService.getImage(publicId);
+    const result = await imageService.getImage(publicId, {
+      type: req.query.type,
+      preset: req.query.preset,
+      includeTrashed: req.query.trashed === 'true'
+    });
     res.json(result);
   })
 );
 
 /**
- * @route   DELETE /api/images/:publicId
- * @desc    Delete an image by public ID
+ * @route   PATCH /api/images/:publicId
+ * @desc    Set or clear an image's focal point
+ * @access  Private (images:write)
+ */
+router.patch(
+  '/:publicId',
+  requireScope('images:write'),
+  validatePublicId,
+  validateImageQuery,
+  validateImageUpdate,
+  asyncHandler(async (req, res) => {
+    const publicId = decodeURIComponent(req.params.publicId);
+    const result = await imageService.updateImage(publicId, req.body, { type: req.query.type });
+    res.json(result);
+  })
+);
+
+/**
+ * @route   POST /api/images/:publicId/restore
+ * @desc    Take an image out of the trash
+ * @access  Private (images:delete)
+ */
+router.post(
+  '/:publicId/restore',
+  requireScope('images:delete'),
+  validatePublicId,
+  validateImageQuery,
+  asyncHandler(async (req, res) => {
+    const publicId = decodeURIComponent(req.params.publicId);
+    const result = await imageService.restoreImage(publicId, { type: req.query.type });
+    res.json(result);
+  })
+);
+
+/**
+ * @route   POST /api/images/:publicId/sign
+ * @desc    Create a signed, expiring delivery URL
+ * @access  Private (images:read)
+ */
+router.post(
+  '/:publicId/sign',
+  requireScope('images:read'),
+  validatePublicId,
+  validateSignRequest,
+  asyncHandler(async (req, res) => {
+    const publicId = decodeURIComponent(req.params.publicId);
+    const result = await imageService.signImageUrl(publicId, req.body);
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/images/:publicId/responsive
+ * @desc    Derivative URLs at several widths and formats, with srcset,
+ *          sizes and <picture> markup
+ * @access  Private (images:read)
+ */
+router.get(
+  '/:publicId/responsive',
+  requireScope('images:read'),
+  validatePublicId,
+  validateResponsiveQuery,
+  asyncHandler(async (req, res) => {
+    const publicId = decodeURIComponent(req.params.publicId);
+    const result = await imageService.getResponsive(publicId, {
+      widths: req.query.widths ? req.query.widths.split(',').map(width => parseInt(width)) : undefined,
+      formats: req.query.formats ? req.query.formats.split(',') : undefined,
+      sizes: req.query.sizes,
+      alt: req.query.alt,
+      q: req.query.q ? parseInt(req.query.q) : undefined,
+      aspectRatio: req.query.aspectRatio ? req.query.aspectRatio.split(':').map(value => parseInt(value)) : undefined,
+      type: req.query.type
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/images/:publicId/similar
+ * @desc    Near-duplicates of an image ranked by perceptual hash distance
+ * @access  Private (images:read)
+ */
+router.get(
+  '/:publicId/similar',
+  requireScope('images:read'),
+  validatePublicId,
+  validateSimilarQuery,
+  asyncHandler(async (req, res) => {
+    const publicId = decodeURIComponent(req.params.publicId);
+    const result = await imageService.getSimilar(publicId, {
+      threshold: req.query.threshold !== undefined ? parseInt(req.query.threshold) : undefined,
+      maxResults: req.query.maxResults ? parseInt(req.query.maxResults) : undefined,
+      type: req.query.type
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/images/:publicId/render
+ * @desc    Render a resized/re-encoded derivative (w, h, fit, format, q,
+ *          or a preset). Private and authenticated images need a signed URL
+ *          (expires, sig).
  * @access  Public
  */
+router.get(
+  '/:publicId/render',
+  validatePublicId,
+  validateRenderQuery,
+  asyncHandler(async (req, res) => {
+    const publicId = decodeURIComponent(req.params.publicId);
+    const result = await renderService.render(publicId, req.query, req.get('Accept'));
+
+    // Signed responses must not outlive their signature in shared caches
+    const cacheControl = result.signed
+      ? `private, max-age=${Math.max(0, parseInt(req.query.expires) - Math.floor(Date.now() / 1000))}`
+      : `public, max-age=${config.render.cacheMaxAge}`;
+
+    res.set({
+      'Content-Type': result.contentType,
+      'Cache-Control': cacheControl,
+      'X-Render-Cache': result.cached ? 'HIT' : 'MISS'
+    });
+    if (result.negotiated) {
+      res.vary('Accept');
+    }
+
+    res.sendFile(result.path);
+  })
+);
+
+/**
+ * @route   DELETE /api/images/:publicId
+ * @desc    Move an image to the trash, or delete it for good with permanent=true
+ * @access  Private (images:delete)
+ */
 router.delete(
   '/:publicId',
+  requireScope('images:delete'),
   validatePublicId,
+  validateDeleteQuery,
   asyncHandler(async (req, res) => {
     const publicId = decodeURIComponent(req.params.publicId);
-    const result = await imageService.deleteImage(publicId);
+    const result = await imageService.deleteImage(publicId, {
+      type: req.query.type,
+      permanent: req.query.permanent === 'true'
+    });
     res.json(result);
   })
 );
 
 /**
  * @route   GET /api/images
- * @desc    List all images with pagination
- * @access  Public
+ * @desc    List images with filtering, sorting and pagination
+ * @access  Private (images:read)
  */
 router.get(
   '/',
+  requireScope('images:read'),
   validateListQuery,
   asyncHandler(async (req, res) => {
     const options = {
-      maxResults: parseInt(req.query.maxResults) || 30,
-      nextCursor: req.query.nextCursor,
+      ...getIndexOptions(req.query),
       prefix: req.query.prefix,
-      tags: req.query.tags === 'true'
+      type: req.query.type
     };
 
     const result = await imageService.listImages(options);
@@ -89,16 +428,16 @@ router.get(
 /**
  * @route   GET /api/images/search
  * @desc    Search images
- * @access  Public
+ * @access  Private (images:read)
  */
 router.get(
   '/search/query',
+  requireScope('images:read'),
   validateSearchQuery,
   asyncHandler(async (req, res) => {
     const options = {
-      expression: req.query.expression,
-      maxResults: parseInt(req.query.maxResults) || 30,
-      nextCursor: req.query.nextCursor
+      ...getIndexOptions(req.query),
+      expression: req.query.expression
     };
 
     const result = await imageService.searchImages(options);
@@ -108,15 +447,16 @@ router.get(
 
 /**
  * @route   POST /api/images/bulk-delete
- * @desc    Delete multiple images
- * @access  Public
+ * @desc    Move multiple images to the trash, or delete them for good with permanent
+ * @access  Private (images:delete)
  */
 router.post(
   '/bulk-delete',
+  requireScope('images:delete'),
   validateBulkDelete,
   asyncHandler(async (req, res) => {
-    const { publicIds } = req.body;
-    const result = await imageService.bulkDelete(publicIds);
+    const { publicIds, type, permanent } = req.body;
+    const result = await imageService.bulkDelete(publicIds, { type, permanent });
     res.json(result);
   })
 );
@@ -124,10 +464,11 @@ router.post(
 /**
  * @route   GET /api/images/stats/usage
  * @desc    Get image storage statistics
- * @access  Public
+ * @access  Private (stats:read)
  */
 router.get(
   '/stats/usage',
+  requireScope('stats:read'),
   asyncHandler(async (req, res) => {
     const result = await imageService.getStats();
     res.json(result);
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/app.config');
+const notificationService = require('../services/notification.service');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+/**
+ * @route   POST /api/webhooks/cloudinary
+ * @desc    Receive Cloudinary upload, delete and rename notifications
+ * @access  Public (X-Cld-Signature)
+ */
+router.post(
+  '/',
+  // The signature covers the body exactly as sent
+  express.raw({ type: '*/*', limit: '1mb' }),
+  asyncHandler(async (req, res) => {
+    if (config.storage.provider !== 'cloudinary') {
+      return res.status(404).json({
+        success: false,
+        error: 'Cloudinary notifications are only accepted with Cloudinary storage'
+      });
+    }
+
+    const signature = req.get('X-Cld-Signature');
+    const timestamp = req.get('X-Cld-Timestamp');
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    notificationService.verify(body, timestamp, signature);
+
+    // Cloudinary retries until it gets a 2xx, so replays are acknowledged
+    if (notificationService.isReplay(signature)) {
+      return res.json({
+        success: true,
+        data: { ignored: true, reason: 'replay' }
+      });
+    }
+
+    let notification;
+    try {
+      notification = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notification body must be JSON'
+      });
+    }
+
+    const events = await notificationService.handle(notification);
+    notificationService.markHandled(signature, timestamp);
+
+    res.json({
+      success: true,
+      data: {
+        notificationType: notification.notification_type,
+        events: events.map(event => ({
+          name: event.name,
+          publicId: event.publicId,
+          ...(event.from && { from: event.from })
+        }))
+      }
+    });
+  })
+);
+
+module.exports = router;
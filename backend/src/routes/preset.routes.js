@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const presetService = require('../services/preset.service');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireScope } = require('../middleware/auth.middleware');
+const {
+  validatePresetCreate,
+  validatePresetUpdate
+} = require('../middleware/validation.middleware');
+
+/**
+ * @route   GET /api/presets
+ * @desc    List transformation presets
+ * @access  Private (images:read)
+ */
+router.get(
+  '/',
+  requireScope('images:read'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: presetService.listPresets()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/presets
+ * @desc    Create a transformation preset
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  requireScope('admin'),
+  validatePresetCreate,
+  asyncHandler(async (req, res) => {
+    const { name, description, transformation } = req.body;
+    res.status(201).json({
+      success: true,
+      data: presetService.createPreset({ name, description, transformation })
+    });
+  })
+);
+
+/**
+ * @route   GET /api/presets/:name
+ * @desc    Get a transformation preset
+ * @access  Private (images:read)
+ */
+router.get(
+  '/:name',
+  requireScope('images:read'),
+  asyncHandler(async (req, res) => {
+    const preset = presetService.getPreset(req.params.name);
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preset
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/presets/:name
+ * @desc    Update a preset's description or transformation
+ * @access  Private (admin)
+ */
+router.patch(
+  '/:name',
+  requireScope('admin'),
+  validatePresetUpdate,
+  asyncHandler(async (req, res) => {
+    const preset = presetService.updatePreset(req.params.name, req.body);
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preset
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/presets/:name
+ * @desc    Remove a transformation preset
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:name',
+  requireScope('admin'),
+  asyncHandler(async (req, res) => {
+    if (!presetService.deletePreset(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Preset deleted'
+    });
+  })
+);
+
+module.exports = router;
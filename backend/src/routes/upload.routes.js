@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/app.config');
+const imageService = require('../services/image.service');
+const uploadSessionService = require('../services/upload-session.service');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireScope } = require('../middleware/auth.middleware');
+const {
+  checkUploadedFile,
+  validateUploadSession,
+  validateChunkIndex
+} = require('../middleware/validation.middleware');
+
+router.use(requireScope('images:write'));
+
+// Sessions belong to the API key that started them; null without auth
+const apiKeyId = req => (req.apiKey ? req.apiKey.id : null);
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Start a resumable upload (filename, size, mimetype, upload options)
+ * @access  Private (images:write)
+ */
+router.post(
+  '/',
+  validateUploadSession,
+  asyncHandler(async (req, res) => {
+    const session = await uploadSessionService.createSession(req.body, apiKeyId(req));
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  })
+);
+
+/**
+ * @route   GET /api/uploads/:uploadId
+ * @desc    Get received chunks and the contiguous byte offset
+ * @access  Private (images:write)
+ */
+router.get(
+  '/:uploadId',
+  asyncHandler(async (req, res) => {
+    const session = await uploadSessionService.getStatus(req.params.uploadId, apiKeyId(req));
+    res.json({
+      success: true,
+      data: session
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/uploads/:uploadId/chunks/:index
+ * @desc    Upload one chunk as the raw request body
+ * @access  Private (images:write)
+ */
+router.put(
+  '/:uploadId/chunks/:index',
+  validateChunkIndex,
+  express.raw({ type: () => true, limit: config.uploads.chunkSize }),
+  asyncHandler(async (req, res) => {
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const session = await uploadSessionService.writeChunk(
+      req.params.uploadId,
+      parseInt(req.params.index),
+      data,
+      apiKeyId(req)
+    );
+    res.json({
+      success: true,
+      data: session
+    });
+  })
+);
+
+/**
+ * @route   POST /api/uploads/:uploadId/complete
+ * @desc    Assemble the chunks and upload the image
+ * @access  Private (images:write)
+ */
+router.post(
+  '/:uploadId/complete',
+  asyncHandler(async (req, res) => {
+    const { uploadId } = req.params;
+    const { file, uploadOptions } = await uploadSessionService.assemble(uploadId, apiKeyId(req));
+
+    const fileError = checkUploadedFile(file, { maxFileSize: config.uploads.maxFileSize });
+    if (fileError) {
+      await uploadSessionService.removeSession(uploadId);
+      return res.status(400).json({
+        success: false,
+        error: fileError
+      });
+    }
+
+    const { tags } = uploadOptions;
+    const options = {
+      folder: uploadOptions.folder,
+      publicId: uploadOptions.publicId,
+      tags: tags ? (Array.isArray(tags) ? tags : [tags]) : [],
+      optimize: uploadOptions.optimize !== false,
+      profile: uploadOptions.profile,
+      access: uploadOptions.access,
+      onDuplicate: uploadOptions.onDuplicate,
+      onUnsafeSvg: uploadOptions.onUnsafeSvg,
+      keepOriginal: uploadOptions.keepOriginal,
+      convertAnimatedGif: uploadOptions.convertAnimatedGif,
+      watermark: uploadOptions.watermark
+    };
+
+    // The session is kept when the upload fails so completion can be retried
+    const result = await imageService.uploadImage(file, options);
+    await uploadSessionService.removeSession(uploadId);
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * @route   DELETE /api/uploads/:uploadId
+ * @desc    Abort a resumable upload
+ * @access  Private (images:write)
+ */
+router.delete(
+  '/:uploadId',
+  asyncHandler(async (req, res) => {
+    await uploadSessionService.getStatus(req.params.uploadId, apiKeyId(req));
+    await uploadSessionService.removeSession(req.params.uploadId);
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+  })
+);
+
+module.exports = router;
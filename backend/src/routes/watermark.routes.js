@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const watermarkService = require('../services/watermark.service');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireScope } = require('../middleware/auth.middleware');
+const {
+  validateWatermarkCreate,
+  validateWatermarkUpdate
+} = require('../middleware/validation.middleware');
+
+/**
+ * @route   GET /api/watermarks
+ * @desc    List watermarks
+ * @access  Private (images:read)
+ */
+router.get(
+  '/',
+  requireScope('images:read'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: watermarkService.listWatermarks()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/watermarks
+ * @desc    Create an image or text watermark
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  requireScope('admin'),
+  validateWatermarkCreate,
+  asyncHandler(async (req, res) => {
+    res.status(201).json({
+      success: true,
+      data: await watermarkService.createWatermark(req.body)
+    });
+  })
+);
+
+/**
+ * @route   GET /api/watermarks/:name
+ * @desc    Get a watermark
+ * @access  Private (images:read)
+ */
+router.get(
+  '/:name',
+  requireScope('images:read'),
+  asyncHandler(async (req, res) => {
+    const watermark = watermarkService.getWatermark(req.params.name);
+    if (!watermark) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watermark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watermark
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/watermarks/:name
+ * @desc    Update a watermark's mark, placement or folders
+ * @access  Private (admin)
+ */
+router.patch(
+  '/:name',
+  requireScope('admin'),
+  validateWatermarkUpdate,
+  asyncHandler(async (req, res) => {
+    const watermark = await watermarkService.updateWatermark(req.params.name, req.body);
+    if (!watermark) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watermark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: watermark
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/watermarks/:name
+ * @desc    Remove a watermark
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:name',
+  requireScope('admin'),
+  asyncHandler(async (req, res) => {
+    if (!watermarkService.deleteWatermark(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watermark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Watermark deleted'
+    });
+  })
+);
+
+module.exports = router;
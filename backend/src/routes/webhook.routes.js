@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhook.service');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireScope } = require('../middleware/auth.middleware');
+const {
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeliveryQuery
+} = require('../middleware/validation.middleware');
+
+router.use(requireScope('admin'));
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    List webhook deliveries, newest first
+ * @access  Private (admin)
+ */
+router.get(
+  '/deliveries',
+  validateDeliveryQuery,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: webhookService.listDeliveries({
+        webhookId: req.query.webhookId,
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50
+      })
+    });
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/deliveries/:id
+ * @desc    Get a delivery with its payload and attempts
+ * @access  Private (admin)
+ */
+router.get(
+  '/deliveries/:id',
+  asyncHandler(async (req, res) => {
+    const delivery = webhookService.getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  })
+);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/redeliver
+ * @desc    Send a delivery's payload again
+ * @access  Private (admin)
+ */
+router.post(
+  '/deliveries/:id/redeliver',
+  asyncHandler(async (req, res) => {
+    const delivery = webhookService.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: delivery
+    });
+  })
+);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions (without secrets)
+ * @access  Private (admin)
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: webhookService.listWebhooks()
+    });
+  })
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook; the secret is only returned in this response
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  validateWebhookCreate,
+  asyncHandler(async (req, res) => {
+    const { url, events, secret, description } = req.body;
+    res.status(201).json({
+      success: true,
+      data: webhookService.createWebhook({ url, events, secret, description })
+    });
+  })
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook subscription
+ * @access  Private (admin)
+ */
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const webhook = webhookService.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Update a webhook's URL, events, secret, description or active flag
+ * @access  Private (admin)
+ */
+router.patch(
+  '/:id',
+  validateWebhookUpdate,
+  asyncHandler(async (req, res) => {
+    const webhook = webhookService.updateWebhook(req.params.id, req.body);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Remove a webhook subscription
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    if (!webhookService.deleteWebhook(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  })
+);
+
+module.exports = router;
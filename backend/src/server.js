@@ -5,18 +5,31 @@ const morgan = require('morgan');
 const fileUpload = require('express-fileupload');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const fs = require('fs');
 require('dotenv').config();
 
 const config = require('./config/app.config');
-const { validateConfig, testConnection } = require('./config/cloudinary.config');
+const { validateConfig } = require('./config/cloudinary.config');
+const { getStorage } = require('./services/storage');
 const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
 const imageRoutes = require('./routes/image.routes');
 const healthRoutes = require('./routes/health.routes');
+const apiKeyRoutes = require('./routes/apikey.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const presetRoutes = require('./routes/preset.routes');
+const watermarkRoutes = require('./routes/watermark.routes');
+const uploadSessionService = require('./services/upload-session.service');
+const imageService = require('./services/image.service');
+const apiKeyService = require('./services/apikey.service');
+const metadataService = require('./services/metadata.service');
+const webhookService = require('./services/webhook.service');
 
 // Initialize Express app
 const app = express();
 
-// Validate Cloudinary configuration
+// Validate storage configuration
 try {
   validateConfig();
 } catch (error) {
@@ -44,16 +57,31 @@ app.use(cors({
   credentials: true
 }));
 
+// Cloudinary notifications are signed over the raw body and arrive in
+// bursts after bulk operations, so they bypass the JSON parser and the
+// API rate limit
+app.use('/api/webhooks/cloudinary', notificationRoutes);
+
 // Rate limiting
+// Rendered images are requested once per <img> tag, so they get their own budget
+const isRenderRequest = (req) => req.method === 'GET' && req.path.endsWith('/render');
+const rateLimitMessage = {
+  success: false,
+  error: 'Too many requests from this IP, please try again later.'
+};
 const limiter = rateLimit({
   windowMs: config.rateLimit.windowMs,
   max: config.rateLimit.max,
-  message: {
-    success: false,
-    error: 'Too many requests from this IP, please try again later.'
-  }
+  skip: isRenderRequest,
+  message: rateLimitMessage
+});
+const renderLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.renderMax,
+  skip: (req) => !isRenderRequest(req),
+  message: rateLimitMessage
 });
-app.use('/api/', limiter);
+app.use('/api/', limiter, renderLimiter);
 
 // Body parser middleware
 app.use(express.json());
@@ -62,7 +90,9 @@ app.use(express.urlencoded({ extended: true }));
 // File upload middleware
 app.use(fileUpload({
   limits: { fileSize: config.maxFileSize },
-  abortOnLimit: true,
+  // Oversized files are truncated and flagged rather than aborting the
+  // request, so a batch reports them per file
+  abortOnLimit: false,
   createParentPath: true,
   useTempFiles: false,
   debug: config.nodeEnv === 'development'
@@ -75,13 +105,25 @@ if (config.nodeEnv === 'development') {
   app.use(morgan('combined'));
 }
 
+// Serve files stored by the local storage provider
+if (config.storage.provider === 'local') {
+  app.use(config.storage.local.mountPath, express.static(config.storage.local.root, {
+    maxAge: '7d'
+  }));
+}
+
 // API Routes
 app.use('/api/health', healthRoutes);
 app.use('/api/images', imageRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/presets', presetRoutes);
+app.use('/api/watermarks', watermarkRoutes);
 
 // Serve React frontend in production
+const frontendPath = path.join(__dirname, '../../frontend/dist');
 if (config.nodeEnv === 'production') {
-  const frontendPath = path.join(__dirname, '../../frontend/dist');
   app.use(express.static(frontendPath));
 
   app.get('*', (req, res) => {
@@ -93,14 +135,75 @@ if (config.nodeEnv === 'production') {
 app.use(notFoundHandler);
 app.use(errorHandler);
 
+/**
+ * Whether the built frontend has an API key compiled in (VITE_API_KEY set
+ * at build time). Every visitor could read it from the JavaScript.
+ * @returns {Boolean}
+ */
+const frontendEmbedsApiKey = () => {
+  const assetsPath = path.join(frontendPath, 'assets');
+  if (!fs.existsSync(assetsPath)) return false;
+
+  return fs.readdirSync(assetsPath)
+    .filter(name => name.endsWith('.js'))
+    .some(name => apiKeyService.containsKey(fs.readFileSync(path.join(assetsPath, name), 'utf8')));
+};
+
 // Start server
 const startServer = async () => {
   try {
-    // Test Cloudinary connection
-    const connected = await testConnection();
+    if (config.nodeEnv === 'production' && frontendEmbedsApiKey()) {
+      throw new Error('The frontend bundle contains an API key. Rebuild it without VITE_API_KEY.');
+    }
+
+    if (!Number.isFinite(config.trash.retentionDays) || config.trash.retentionDays < 0) {
+      throw new Error('TRASH_RETENTION_DAYS must be a number of days, 0 or more.');
+    }
+
+    // Test storage provider connection
+    const storage = getStorage();
+    const connected = await storage.ping();
     if (!connected) {
-      console.warn('⚠ Warning: Could not connect to Cloudinary. Please check your credentials.');
+      console.warn(`⚠ Warning: Could not connect to ${storage.name} storage. Please check your configuration.`);
+    }
+
+    // Remove resumable uploads that were never completed
+    setInterval(() => {
+      uploadSessionService.purgeExpired()
+        .then((removed) => {
+          if (removed > 0) console.log(`🧹 Removed ${removed} expired upload session(s)`);
+        })
+        .catch((error) => console.error('Upload session cleanup failed:', error.message));
+    }, config.uploads.cleanupInterval).unref();
+
+    // Permanently delete images kept in the trash past the retention period
+    setInterval(() => {
+      imageService.purgeTrash({ olderThan: new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000) })
+        .then(({ purged, failed }) => {
+          if (purged > 0) console.log(`🗑️  Purged ${purged} image(s) from the trash`);
+          if (failed > 0) console.warn(`⚠ ${failed} image(s) could not be purged from the trash`);
+        })
+        .catch((error) => console.error('Trash purge failed:', error.message));
+    }, config.trash.purgeInterval).unref();
+
+    // Retry failed webhook deliveries when their backoff has elapsed
+    setInterval(() => {
+      webhookService.processDue()
+        .catch((error) => console.error('Webhook retry failed:', error.message));
+    }, config.webhooks.pollInterval).unref();
+
+    // Keep the metadata index in step with the storage provider. The first
+    // run fills an empty index from the provider.
+    const reconcileMetadata = () => metadataService.reconcile()
+      .then(({ added, updated, removed, total }) => {
+        console.log(`🗂️  Metadata index reconciled: ${total} images (+${added} ~${updated} -${removed})`);
+      })
+      .catch((error) => console.error('Metadata reconcile failed:', error.message));
+
+    if (connected && !metadataService.getState('lastReconciledAt')) {
+      reconcileMetadata();
     }
+    setInterval(reconcileMetadata, config.metadata.reconcileInterval).unref();
 
     app.listen(config.port, () => {
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -108,6 +211,8 @@ const startServer = async () => {
       console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
       console.log(`📡 Server running on port ${config.port}`);
       console.log(`🌍 Environment: ${config.nodeEnv}`);
+      console.log(`🗄️  Storage: ${storage.name}`);
+      console.log(`🔑 API keys: ${config.auth.enabled ? 'required' : 'disabled'}`);
       console.log(`🔗 API: http://localhost:${config.port}/api`);
       console.log(`❤️  Health: http://localhost:${config.port}/api/health`);
       console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
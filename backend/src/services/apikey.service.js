@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const DataStore = require('./data.store');
+
+const KEY_PREFIX = 'icdn';
+
+// Avoid rewriting the key file on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+class ApiKeyService {
+  constructor() {
+    this.store = new DataStore('api-keys');
+  }
+
+  /**
+   * Create an API key. The plaintext key is returned once and only its
+   * SHA-256 hash is stored.
+   * @param {Object} options - name, scopes
+   * @returns {Object} Key record including the plaintext `key`
+   */
+  createKey({ name, scopes }) {
+    const invalid = scopes.filter(scope => !config.auth.scopes.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+    const record = this.store.insert({
+      id,
+      name,
+      scopes,
+      hash: this.hash(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    });
+
+    return { ...this.toPublic(record), key };
+  }
+
+  /**
+   * List API keys without their hashes
+   * @returns {Array<Object>} Key records
+   */
+  listKeys() {
+    return this.store.all().map(record => this.toPublic(record));
+  }
+
+  /**
+   * Revoke an API key
+   * @param {String} id - Key ID
+   * @returns {Object|null} Revoked key, or null when it does not exist
+   */
+  revokeKey(id) {
+    const record = this.store.get(id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      this.store.update(id, { revokedAt: new Date().toISOString() });
+    }
+    return this.toPublic(record);
+  }
+
+  /**
+   * Whether a text contains something shaped like an API key
+   * @param {String} text - Text to scan, such as a built JavaScript bundle
+   * @returns {Boolean}
+   */
+  containsKey(text) {
+    return new RegExp(`${KEY_PREFIX}_[0-9a-f]{12}_[\\w-]{16,}`).test(text);
+  }
+
+  /**
+   * Look up an active key by its plaintext value
+   * @param {String} key - Plaintext API key
+   * @returns {Object|null} Key record, or null when invalid or revoked
+   */
+  verify(key) {
+    const match = /^([a-z]+)_([0-9a-f]{12})_[\w-]+$/.exec(key || '');
+    if (!match || match[1] !== KEY_PREFIX) return null;
+
+    const record = this.store.get(match[2]);
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(this.hash(key), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION) {
+      this.store.update(record.id, { lastUsedAt: new Date().toISOString() });
+    }
+    return this.toPublic(record);
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  toPublic({ hash, ...record }) {
+    return record;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,184 @@
+const sharp = require('sharp');
+const config = require('../config/app.config');
+
+/**
+ * Image colors: the dominant color and a small palette computed on
+ * upload, and the perceptual (CIEDE2000) distance used to search by color.
+ */
+class ColorService {
+  /**
+   * Compute the dominant color and palette of an image
+   * @param {Buffer} buffer - Stored image bytes
+   * @returns {Promise<Object|null>} { dominant, palette: [{ color, share }] }, null when the image cannot be decoded
+   */
+  async analyze(buffer) {
+    try {
+      const [{ dominant, isOpaque }, palette] = await Promise.all([
+        sharp(buffer).stats(),
+        this.getPalette(buffer)
+      ]);
+      if (palette.length === 0) return null;
+
+      // The histogram behind stats() counts transparent pixels too
+      return {
+        dominant: isOpaque ? this.toHex(dominant) : palette[0].color,
+        palette
+      };
+    } catch (error) {
+      console.warn('Color analysis failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Quantize a small copy of the image to a few colors and count how much
+   * of it each one covers. Transparent pixels are ignored.
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Promise<Array<Object>>} { color, share } by share, largest first
+   */
+  async getPalette(buffer) {
+    const { paletteSize } = config.colors;
+    const quantized = await sharp(buffer)
+      .resize(64, 64, { fit: 'inside' })
+      .png({ palette: true, colours: paletteSize, dither: 0 })
+      .toBuffer();
+    const { data, info } = await sharp(quantized)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const counts = new Map();
+    let total = 0;
+    for (let offset = 0; offset < data.length; offset += info.channels) {
+      if (data[offset + 3] < 128) continue;
+      const color = this.toHex({ r: data[offset], g: data[offset + 1], b: data[offset + 2] });
+      counts.set(color, (counts.get(color) || 0) + 1);
+      total++;
+    }
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, paletteSize)
+      .map(([color, count]) => ({
+        color,
+        share: Math.round(count / total * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Distance from an image's colors to a target: the closest of its
+   * dominant color and palette colors covering at least `minShare`
+   * @param {Object} colors - From analyze()
+   * @param {String} target - Hex color
+   * @returns {Number|null} CIEDE2000 difference, null without colors
+   */
+  distance(colors, target) {
+    if (!colors) return null;
+
+    const lab = this.toLab(target);
+    const candidates = [
+      colors.dominant,
+      ...colors.palette
+        .filter(entry => entry.share >= config.colors.minShare)
+        .map(entry => entry.color)
+    ];
+    return Math.min(...candidates.map(color => this.deltaE(this.toLab(color), lab)));
+  }
+
+  /**
+   * Normalize a hex color to lowercase `#rrggbb`
+   * @param {String} value - `#rrggbb`, `rrggbb` or `#rgb`
+   * @returns {String} Hex color
+   */
+  normalize(value) {
+    const hex = value.replace(/^#/, '').toLowerCase();
+    return `#${hex.length === 3 ? hex.replace(/./g, '$&$&') : hex}`;
+  }
+
+  toHex({ r, g, b }) {
+    return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Convert an sRGB hex color to CIELAB (D65)
+   * @param {String} hex - Hex color
+   * @returns {Array<Number>} [L, a, b]
+   */
+  toLab(hex) {
+    const value = parseInt(this.normalize(hex).slice(1), 16);
+    const [r, g, b] = [value >> 16, (value >> 8) & 0xff, value & 0xff]
+      .map(channel => channel / 255)
+      .map(channel => channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4);
+
+    const xyz = [
+      (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047,
+      r * 0.2126 + g * 0.7152 + b * 0.0722,
+      (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883
+    ].map(value => value > 216 / 24389 ? Math.cbrt(value) : (24389 / 27 * value + 16) / 116);
+
+    return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+  }
+
+  /**
+   * CIEDE2000 color difference; about 2 is noticeable side by side, above
+   * 20 reads as a different color
+   * @param {Array<Number>} lab1 - [L, a, b]
+   * @param {Array<Number>} lab2 - [L, a, b]
+   * @returns {Number} Difference
+   */
+  deltaE([L1, a1, b1], [L2, a2, b2]) {
+    const radians = Math.PI / 180;
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => (a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / radians + 360) % 360);
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * radians);
+
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanHp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      meanHp = Math.abs(h1p - h2p) > 180
+        ? (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2
+        : (h1p + h2p) / 2;
+    }
+
+    const T = 1 -
+      0.17 * Math.cos((meanHp - 30) * radians) +
+      0.24 * Math.cos(2 * meanHp * radians) +
+      0.32 * Math.cos((3 * meanHp + 6) * radians) -
+      0.20 * Math.cos((4 * meanHp - 63) * radians);
+    const dTheta = 30 * Math.exp(-(((meanHp - 275) / 25) ** 2));
+    const RC = 2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + 25 ** 7));
+    const SL = 1 + (0.015 * (meanLp - 50) ** 2) / Math.sqrt(20 + (meanLp - 50) ** 2);
+    const SC = 1 + 0.045 * meanCp;
+    const SH = 1 + 0.015 * meanCp * T;
+    const RT = -Math.sin(2 * dTheta * radians) * RC;
+
+    return Math.sqrt(
+      (dLp / SL) ** 2 +
+      (dCp / SC) ** 2 +
+      (dHp / SH) ** 2 +
+      RT * (dCp / SC) * (dHp / SH)
+    );
+  }
+}
+
+module.exports = new ColorService();
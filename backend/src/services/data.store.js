@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/app.config');
+
+/**
+ * Small JSON file-backed collection for service state (API keys, etc.).
+ * Records are kept in memory and the whole file is rewritten on change,
+ * which suits the low write volume of configuration-like data. The file is
+ * read again when another process (the CLI scripts) changed it, so a
+ * running server sees their changes and never writes over them.
+ */
+class DataStore {
+  /**
+   * @param {String} name - Collection name, used as the file name
+   * @param {String} dir - Directory holding the file
+   */
+  constructor(name, dir = config.dataDir) {
+    this.filePath = path.join(dir, `${name}.json`);
+    this.records = null;
+    this.version = null;
+  }
+
+  load() {
+    const version = this.getVersion();
+    if (!this.records || version !== this.version) {
+      try {
+        this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        this.records = [];
+      }
+      this.version = version;
+    }
+    return this.records;
+  }
+
+  /**
+   * Modification time and size of the file, null when it does not exist
+   * @returns {String|null}
+   */
+  getVersion() {
+    try {
+      const stat = fs.statSync(this.filePath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  save() {
+    // Write to a temporary file and rename so a crash never leaves a
+    // truncated file behind
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+    this.version = this.getVersion();
+  }
+
+  all() {
+    return [...this.load()];
+  }
+
+  get(id) {
+    return this.load().find(record => record.id === id) || null;
+  }
+
+  find(predicate) {
+    return this.load().find(predicate) || null;
+  }
+
+  filter(predicate) {
+    return this.load().filter(predicate);
+  }
+
+  insert(record) {
+    this.load().push(record);
+    this.save();
+    return record;
+  }
+
+  update(id, changes) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    Object.assign(record, changes);
+    this.save();
+    return record;
+  }
+
+  remove(id) {
+    const records = this.load();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    this.save();
+    return true;
+  }
+}
+
+module.exports = DataStore;
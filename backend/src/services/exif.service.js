@@ -0,0 +1,363 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const icc = require('icc');
+const config = require('../config/app.config');
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+// Tags pointing at nested IFDs
+const SUB_IFDS = { 0x8769: 'exif', 0x8825: 'gps', 0xa005: 'interop' };
+
+const ORIENTATION = 0x0112;
+const THUMBNAIL_OFFSET = 0x0201;
+const THUMBNAIL_LENGTH = 0x0202;
+
+// Tags removed by the `private` policy besides GPS and the thumbnail:
+// owner details, device serial numbers and vendor maker notes
+const PRIVATE_TAGS = {
+  ifd0: [0x013b, 0x013c, 0x83bb, 0x02bc, 0xc62f], // Artist, HostComputer, IPTC, XMP, CameraSerialNumber
+  exif: [0x927c, 0x9286, 0xa420, 0xa430, 0xa431, 0xa435] // MakerNote, UserComment, ImageUniqueID, CameraOwnerName, BodySerialNumber, LensSerialNumber
+};
+
+// Which entries each policy keeps, by IFD name and tag
+const POLICIES = {
+  // Only the orientation, so unoptimized originals still display upright
+  strip: (ifd, tag) => ifd === 'ifd0' && tag === ORIENTATION,
+  private: (ifd, tag) =>
+    !['gps', 'ifd1'].includes(ifd) &&
+    !(ifd === 'ifd0' && tag === 0x8825) &&
+    !(PRIVATE_TAGS[ifd] || []).includes(tag)
+};
+
+// CRC-32 lookup table for rewritten PNG chunks (zlib.crc32 needs Node 20.15)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a PNG chunk's type and data
+ * @param {Buffer} bytes - Bytes to checksum
+ * @returns {Number} Unsigned CRC
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADERS = ['http://ns.adobe.com/xap/1.0/\0', 'http://ns.adobe.com/xmp/extension/\0'];
+
+/**
+ * Photo metadata: extracts capture details before upload and removes
+ * location, owner and device data from the stored file according to
+ * `EXIF_POLICY` (strip, private or keep)
+ */
+class ExifService {
+  /**
+   * Read capture date, camera, lens, exposure and ICC profile
+   * @param {Buffer} buffer - Original image bytes
+   * @returns {Promise<Object|null>} Extracted fields, or null when there are none
+   */
+  async extract(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      return null;
+    }
+
+    const tags = this.readExif(metadata.exif);
+    const image = tags.Image || {};
+    const photo = tags.Photo || {};
+
+    const result = {
+      capturedAt: this.formatDate(photo.DateTimeOriginal || image.DateTime, photo.OffsetTimeOriginal),
+      camera: this.compact({ make: image.Make, model: image.Model }),
+      lens: this.compact({ make: photo.LensMake, model: photo.LensModel }),
+      exposure: this.compact({
+        exposureTime: this.formatExposureTime(photo.ExposureTime),
+        fNumber: photo.FNumber,
+        iso: photo.ISOSpeedRatings ?? photo.PhotographicSensitivity,
+        focalLength: photo.FocalLength,
+        focalLength35mm: photo.FocalLengthIn35mmFilm,
+        flash: photo.Flash !== undefined ? Boolean(photo.Flash & 1) : undefined
+      }),
+      orientation: metadata.orientation || null,
+      iccProfile: this.readIccDescription(metadata.icc)
+    };
+
+    const hasValues = Object.values(result).some(value => value !== null);
+    return hasValues ? result : null;
+  }
+
+  /**
+   * Remove metadata from an image according to a policy without
+   * re-encoding it. XMP and IPTC blocks are dropped whole unless the
+   * policy is `keep`; formats without EXIF support are returned as is.
+   * @param {Buffer} buffer - Image bytes
+   * @param {String} format - Detected format (jpg, png, webp...)
+   * @param {String} policy - strip, private or keep; EXIF_POLICY by default
+   * @returns {Buffer} Image bytes with metadata removed
+   */
+  strip(buffer, format, policy = config.exif.policy) {
+    const keep = POLICIES[policy];
+    if (!keep) return buffer;
+
+    switch (format) {
+      case 'jpg':
+      case 'jpeg': return this.stripJpeg(buffer, keep);
+      case 'png': return this.stripPng(buffer, keep);
+      case 'webp': return this.stripWebp(buffer, keep);
+      default: return buffer;
+    }
+  }
+
+  /**
+   * Whether strip() can remove metadata from a format in place
+   * @param {String} format - Image format
+   * @returns {Boolean}
+   */
+  canStrip(format) {
+    return ['jpg', 'jpeg', 'png', 'webp'].includes(format);
+  }
+
+  /**
+   * Whether re-encoding to a format should carry EXIF over from the
+   * input. Under `private` it is only kept where strip() can scrub it.
+   * @param {String} format - Output format
+   * @param {String} policy - strip, private or keep; EXIF_POLICY by default
+   * @returns {Boolean}
+   */
+  keepsExif(format, policy = config.exif.policy) {
+    return policy === 'keep' || (policy === 'private' && this.canStrip(format));
+  }
+
+  /**
+   * JPEG: scrub the APP1 Exif segment, drop APP1 XMP and APP13 (IPTC)
+   */
+  stripJpeg(buffer, keep) {
+    const parts = [buffer.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      // Image data follows start-of-scan; nothing after it is metadata
+      if (marker === 0xda) break;
+
+      const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+      let segment = buffer.subarray(offset, end);
+      const payload = segment.subarray(4);
+
+      if (marker === 0xe1 && payload.subarray(0, 6).equals(EXIF_HEADER)) {
+        segment = Buffer.from(segment);
+        if (!this.scrubTiff(segment.subarray(10), keep)) segment = null;
+      } else if (marker === 0xe1 && XMP_HEADERS.some(header => payload.toString('latin1', 0, header.length) === header)) {
+        segment = null;
+      } else if (marker === 0xed) {
+        segment = null;
+      }
+
+      if (segment) parts.push(segment);
+      offset = end;
+    }
+
+    parts.push(buffer.subarray(offset));
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * PNG: scrub the eXIf chunk, drop XMP and raw profile text chunks
+   */
+  stripPng(buffer, keep) {
+    const parts = [buffer.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      const end = offset + 12 + length;
+      let chunk = buffer.subarray(offset, end);
+
+      if (type === 'eXIf') {
+        chunk = Buffer.from(chunk);
+        const data = chunk.subarray(8, 8 + length);
+        const tiff = data.subarray(0, 6).equals(EXIF_HEADER) ? data.subarray(6) : data;
+        if (this.scrubTiff(tiff, keep)) {
+          chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + length)), 8 + length);
+        } else {
+          chunk = null;
+        }
+      } else if (['iTXt', 'tEXt', 'zTXt'].includes(type)) {
+        const keyword = buffer.toString('latin1', offset + 8, Math.min(end, offset + 88)).split('\0')[0];
+        if (keyword === 'XML:com.adobe.xmp' || keyword.startsWith('Raw profile type')) chunk = null;
+      }
+
+      if (chunk) parts.push(chunk);
+      offset = end;
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * WebP: scrub the EXIF chunk, drop the XMP chunk and its VP8X flag
+   */
+  stripWebp(buffer, keep) {
+    const parts = [Buffer.from(buffer.subarray(0, 12))];
+    let vp8x = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const type = buffer.toString('latin1', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      const end = Math.min(buffer.length, offset + 8 + size + (size % 2));
+      let chunk = buffer.subarray(offset, end);
+
+      if (type === 'VP8X') {
+        chunk = Buffer.from(chunk);
+        vp8x = chunk;
+      } else if (type === 'EXIF') {
+        chunk = Buffer.from(chunk);
+        const data = chunk.subarray(8, 8 + size);
+        const tiff = data.subarray(0, 6).equals(EXIF_HEADER) ? data.subarray(6) : data;
+        if (!this.scrubTiff(tiff, keep)) {
+          chunk = null;
+          if (vp8x) vp8x[8] &= ~0x08;
+        }
+      } else if (type === 'XMP ') {
+        chunk = null;
+        if (vp8x) vp8x[8] &= ~0x04;
+      }
+
+      if (chunk) parts.push(chunk);
+      offset = end;
+    }
+
+    const result = Buffer.concat(parts);
+    result.writeUInt32LE(result.length - 8, 4);
+    return result;
+  }
+
+  /**
+   * Remove entries from a TIFF structure in place. Removed entries are
+   * dropped from their IFD and their values, nested IFDs and thumbnail
+   * are zeroed, so the data is gone rather than just unreferenced.
+   * @param {Buffer} tiff - TIFF header and IFDs (modified in place)
+   * @param {Function} keep - (ifdName, tag) => whether to keep the entry
+   * @returns {Boolean} False when the structure is malformed
+   */
+  scrubTiff(tiff, keep) {
+    const order = tiff.toString('latin1', 0, 2);
+    if (tiff.length < 8 || (order !== 'II' && order !== 'MM')) return false;
+
+    const little = order === 'II';
+    const read16 = offset => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const read32 = offset => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+    const write16 = (offset, value) => little ? tiff.writeUInt16LE(value, offset) : tiff.writeUInt16BE(value, offset);
+    const write32 = (offset, value) => little ? tiff.writeUInt32LE(value, offset) : tiff.writeUInt32BE(value, offset);
+    const zero = (offset, length) => {
+      if (offset < tiff.length) tiff.fill(0, offset, Math.min(tiff.length, offset + length));
+    };
+
+    if (read16(2) !== 42) return false;
+    const visited = new Set();
+
+    // Returns the number of entries kept
+    const scrubIfd = (offset, name, removeAll) => {
+      if (!offset || visited.has(offset)) return 0;
+      visited.add(offset);
+
+      const count = read16(offset);
+      const entriesEnd = offset + 2 + count * 12;
+      if (entriesEnd + 4 > tiff.length) throw new Error('Truncated IFD');
+
+      const kept = [];
+      const thumbnail = {};
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = read16(entry);
+        const size = (TYPE_SIZES[read16(entry + 2)] || 1) * read32(entry + 4);
+        const retained = !removeAll && keep(name, tag);
+
+        if (SUB_IFDS[tag]) {
+          scrubIfd(read32(entry + 8), SUB_IFDS[tag], !retained);
+        }
+
+        if (retained) {
+          kept.push(Buffer.from(tiff.subarray(entry, entry + 12)));
+        } else {
+          if (size > 4) zero(read32(entry + 8), size);
+          if (tag === THUMBNAIL_OFFSET) thumbnail.offset = read32(entry + 8);
+          if (tag === THUMBNAIL_LENGTH) thumbnail.length = read32(entry + 8);
+        }
+      }
+      if (thumbnail.offset && thumbnail.length) zero(thumbnail.offset, thumbnail.length);
+
+      // IFD0 links to IFD1, which holds the thumbnail
+      let next = read32(entriesEnd);
+      if (name === 'ifd0' && next && scrubIfd(next, 'ifd1', removeAll) === 0) next = 0;
+
+      zero(offset, entriesEnd + 4 - offset);
+      write16(offset, kept.length);
+      kept.forEach((entry, i) => entry.copy(tiff, offset + 2 + i * 12));
+      write32(offset + 2 + kept.length * 12, name === 'ifd0' ? next : 0);
+      return kept.length;
+    };
+
+    try {
+      scrubIfd(read32(4), 'ifd0', false);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  readExif(exif) {
+    if (!exif) return {};
+    try {
+      return exifReader(exif);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  readIccDescription(profile) {
+    if (!profile) return null;
+    try {
+      return icc.parse(profile).description || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * EXIF dates carry no zone; exif-reader reads them as UTC, so the UTC
+   * fields are the camera's wall clock time
+   */
+  formatDate(date, offset) {
+    if (!(date instanceof Date) || isNaN(date)) return null;
+    const local = date.toISOString().slice(0, 19);
+    return /^[+-]\d{2}:\d{2}$/.test(offset || '') ? `${local}${offset}` : local;
+  }
+
+  formatExposureTime(seconds) {
+    if (!seconds) return undefined;
+    return seconds < 1 ? `1/${Math.round(1 / seconds)}` : `${seconds}`;
+  }
+
+  /**
+   * Drop empty fields; null when nothing is left
+   */
+  compact(values) {
+    const entries = Object.entries(values).filter(([, value]) =>
+      value !== undefined && value !== null && value !== ''
+    );
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+}
+
+module.exports = new ExifService();
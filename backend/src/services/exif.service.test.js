@@ -0,0 +1,62 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const exifService = require('./exif.service');
+
+const EXIF = {
+  IFD0: { Make: 'Camera Co', Model: 'X100', Artist: 'Jane Doe' },
+  GPS: { GPSLatitudeRef: 'N' }
+};
+
+const image = format => sharp({
+  create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 40, b: 40 } }
+}).withExif(EXIF).toFormat(format).toBuffer();
+
+/**
+ * Type, stored CRC and computed CRC of every PNG chunk
+ */
+const pngChunks = (buffer) => {
+  const chunks = [];
+  for (let offset = 8; offset + 12 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    chunks.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      crc: buffer.readUInt32BE(offset + 8 + length),
+      expected: zlib.crc32(buffer.subarray(offset + 4, offset + 8 + length))
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+describe('exifService.strip', () => {
+  test.each(['jpg', 'png', 'webp'])('private removes owner and location details from %s', async (format) => {
+    const stripped = exifService.strip(await image(format === 'jpg' ? 'jpeg' : format), format, 'private');
+    const { Image: ifd0, GPSInfo: gps } = exifService.readExif((await sharp(stripped).metadata()).exif);
+
+    expect(ifd0).toMatchObject({ Make: 'Camera Co', Model: 'X100' });
+    expect(ifd0.Artist).toBeUndefined();
+    expect(gps).toBeUndefined();
+  });
+
+  test('strip keeps no EXIF besides the orientation', async () => {
+    const stripped = exifService.strip(await image('jpeg'), 'jpg', 'strip');
+    const { Image: ifd0 = {} } = exifService.readExif((await sharp(stripped).metadata()).exif);
+
+    expect(ifd0.Make).toBeUndefined();
+    expect(ifd0.Artist).toBeUndefined();
+  });
+
+  test('rewritten PNG chunks carry valid CRCs', async () => {
+    const stripped = exifService.strip(await image('png'), 'png', 'private');
+    const chunks = pngChunks(stripped);
+
+    expect(chunks.map(chunk => chunk.type)).toContain('eXIf');
+    for (const chunk of chunks) expect(chunk.crc).toBe(chunk.expected);
+  });
+
+  test('keep returns the image unchanged', async () => {
+    const png = await image('png');
+
+    expect(exifService.strip(png, 'png', 'keep')).toBe(png);
+  });
+});
@@ -0,0 +1,135 @@
+const sharp = require('sharp');
+const config = require('../config/app.config');
+const fileTypeService = require('./file-type.service');
+
+const image = format => sharp({
+  create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 40, b: 40 } }
+}).toFormat(format).toBuffer();
+
+/**
+ * Offset of the entropy-coded data after a JPEG's start-of-scan header
+ */
+const scanDataStart = (data) => {
+  const sos = data.indexOf(Buffer.from([0xff, 0xda]));
+  return sos + 2 + data.readUInt16BE(sos + 2);
+};
+
+const SVG = Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>');
+
+describe('fileTypeService.inspect', () => {
+  let png;
+  let jpeg;
+
+  beforeAll(async () => {
+    [png, jpeg] = await Promise.all([image('png'), image('jpeg')]);
+  });
+
+  test.each([
+    ['png', 'photo.png', 'image/png', 'png', 'image/png'],
+    ['jpeg', 'photo.JPEG', 'image/jpeg', 'jpg', 'image/jpeg'],
+    ['jpeg', 'photo.jpg', 'image/pjpeg', 'jpg', 'image/jpeg'],
+    ['png', 'photo.png', 'application/octet-stream', 'png', 'image/png']
+  ])('recognizes %s uploaded as %s (%s)', async (source, name, mimetype, format, detected) => {
+    const data = source === 'png' ? png : jpeg;
+
+    await expect(fileTypeService.inspect({ name, data, mimetype }))
+      .resolves.toEqual({ format, mimetype: detected });
+  });
+
+  test('recognizes SVG after an XML declaration and comments', async () => {
+    await expect(fileTypeService.inspect({ name: 'logo.svg', data: SVG, mimetype: 'image/svg+xml' }))
+      .resolves.toEqual({ format: 'svg', mimetype: 'image/svg+xml' });
+  });
+
+  test('rejects content that is not an image', async () => {
+    const data = Buffer.from('<html><script>alert(1)</script></html>');
+
+    await expect(fileTypeService.inspect({ name: 'photo.png', data, mimetype: 'image/png' }))
+      .rejects.toMatchObject({ statusCode: 415, code: 'UNRECOGNIZED_FORMAT' });
+  });
+
+  test('rejects a file whose extension does not match its content', async () => {
+    await expect(fileTypeService.inspect({ name: 'photo.jpg', data: png, mimetype: 'image/png' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'TYPE_MISMATCH' });
+  });
+
+  test('rejects a file whose claimed mimetype does not match its content', async () => {
+    await expect(fileTypeService.inspect({ name: 'photo.png', data: png, mimetype: 'image/jpeg' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'TYPE_MISMATCH' });
+  });
+
+  test('rejects a detected format that is not allowed', async () => {
+    const { allowedFormats } = config;
+    config.allowedFormats = ['jpg', 'jpeg'];
+    try {
+      await expect(fileTypeService.inspect({ name: 'photo.png', data: png, mimetype: 'image/png' }))
+        .rejects.toMatchObject({ statusCode: 415, code: 'FORMAT_NOT_ALLOWED' });
+    } finally {
+      config.allowedFormats = allowedFormats;
+    }
+  });
+
+  test('rejects a signature that does not decode', async () => {
+    const data = Buffer.concat([png.subarray(0, 8), Buffer.alloc(64, 1)]);
+
+    await expect(fileTypeService.inspect({ name: 'photo.png', data, mimetype: 'image/png' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_IMAGE' });
+  });
+
+  test('rejects images carrying markup', async () => {
+    const data = Buffer.concat([png, Buffer.from('<script>alert(document.cookie)</script>')]);
+
+    await expect(fileTypeService.inspect({ name: 'photo.png', data, mimetype: 'image/png' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'POLYGLOT_FILE', message: 'Image contains embedded <script content' });
+  });
+
+  test.each(['gif', 'webp', 'tiff', 'avif'])('rejects markup after the end of a %s image', async (format) => {
+    const data = Buffer.concat([await image(format), Buffer.from('<html><body>hi</body></html>')]);
+
+    await expect(fileTypeService.inspect({ name: `photo.${format}`, data, mimetype: `image/${format}` }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'POLYGLOT_FILE', message: 'Image contains embedded <html content' });
+  });
+
+  test('rejects markup in a JPEG comment', async () => {
+    const comment = Buffer.from('<?php system($_GET["c"]); ?>');
+    const segment = Buffer.concat([Buffer.from([0xff, 0xfe, 0, comment.length + 2]), comment]);
+    const data = Buffer.concat([jpeg.subarray(0, 2), segment, jpeg.subarray(2)]);
+
+    await expect(fileTypeService.inspect({ name: 'photo.jpg', data, mimetype: 'image/jpeg' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'POLYGLOT_FILE', message: 'Image contains embedded <?php content' });
+  });
+
+  test.each([
+    ['jpeg', 'photo.jpg', 'image/jpeg', scanDataStart],
+    ['png', 'photo.png', 'image/png', data => data.indexOf('IDAT') + 4]
+  ])('ignores marker bytes inside compressed %s pixel data', async (source, name, mimetype, dataStart) => {
+    const data = Buffer.from(source === 'png' ? png : jpeg);
+    Buffer.from('<svg').copy(data, dataStart(data) + 2);
+
+    await expect(fileTypeService.inspect({ name, data, mimetype })).resolves.toMatchObject({ mimetype });
+  });
+
+  test('rejects images with an appended ZIP archive', async () => {
+    const zipEnd = Buffer.concat([Buffer.from([0x50, 0x4b, 0x05, 0x06]), Buffer.alloc(18)]);
+    const data = Buffer.concat([jpeg, zipEnd]);
+
+    await expect(fileTypeService.inspect({ name: 'photo.jpg', data, mimetype: 'image/jpeg' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'POLYGLOT_FILE', message: 'Image contains embedded ZIP archive' });
+  });
+});
+
+describe('fileTypeService.detect', () => {
+  test('recognizes types from their leading bytes', async () => {
+    const [gif, webp, tiff] = await Promise.all([image('gif'), image('webp'), image('tiff')]);
+
+    expect(fileTypeService.detect(gif).format).toBe('gif');
+    expect(fileTypeService.detect(webp).format).toBe('webp');
+    expect(fileTypeService.detect(tiff).format).toBe('tiff');
+    expect(fileTypeService.detect(SVG).format).toBe('svg');
+  });
+
+  test('returns null for unknown content', () => {
+    expect(fileTypeService.detect(Buffer.from('just text'))).toBeNull();
+    expect(fileTypeService.detect(Buffer.alloc(0))).toBeNull();
+  });
+});
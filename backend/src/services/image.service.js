@@ -1,9 +1,105 @@
-const { cloudinary } = require('../config/cloudinary.config');
 const sharp = require('sharp');
+const config = require('../config/app.config');
+const { getStorage } = require('./storage');
+const { checkUploadedFile } = require('../middleware/validation.middleware');
+const renderService = require('./render.service');
+const signingService = require('./signing.service');
+const metadataService = require('./metadata.service');
+const webhookService = require('./webhook.service');
+const fileTypeService = require('./file-type.service');
+const svgService = require('./svg.service');
+const exifService = require('./exif.service');
+const presetService = require('./preset.service');
+const placeholderService = require('./placeholder.service');
+const colorService = require('./color.service');
+const similarityService = require('./similarity.service');
+const watermarkService = require('./watermark.service');
+
+// Upload access modes mapped to storage delivery types
+const ACCESS_TYPES = {
+  public: 'upload',
+  private: 'private',
+  authenticated: 'authenticated'
+};
+
+// Render fit modes mapped to storage (Cloudinary) crop modes; the render
+// route never enlarges, so inside maps to limit
+const FIT_TO_CROP = {
+  cover: 'fill',
+  contain: 'pad',
+  fill: 'scale',
+  inside: 'limit',
+  outside: 'mfit'
+};
+
+// Content types of responsive image set formats
+const FORMAT_MIMETYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif'
+};
+
+// Formats whose frames are kept when re-encoding
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// Lossless sharp encodings for kept originals whose metadata cannot be
+// stripped in place
+const ORIGINAL_ENCODINGS = {
+  tiff: { format: 'tiff', compression: 'lzw' },
+  avif: { format: 'avif', lossless: true },
+  heic: { format: 'heif', compression: 'hevc', lossless: true }
+};
+
+// Render parameters of the thumbnails in image details
+const THUMBNAIL_TRANSFORMATION = { w: 200, h: 200, fit: 'cover' };
+
+/**
+ * Map items through an async function, running at most `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {Number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+/**
+ * Escape a value for a double-quoted HTML attribute
+ */
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
 
 class ImageService {
   /**
-   * Upload an image to Cloudinary
+   * Storage provider selected in app.config.js
+   * @returns {StorageProvider} Storage provider
+   */
+  get storage() {
+    return getStorage();
+  }
+
+  /**
+   * Upload an image to the storage provider
    * @param {Object} file - File object from express-fileupload
    * @param {Object} options - Additional upload options
    * @returns {Promise<Object>} Upload result with image details
@@ -15,90 +111,326 @@ class ImageService {
         throw new Error('No file provided');
       }
 
-      // Optional: Optimize image before upload using sharp
+      // Trust the file's content, not its name or the client's mimetype
+      const detected = await fileTypeService.inspect(file);
+
+      // SVGs are stored sanitized, whether or not they are optimized
       let buffer = file.data;
-      if (options.optimize !== false) {
-        buffer = await this.optimizeImage(file.data, file.mimetype);
-      }
-
-      // Upload to Cloudinary
-      const result = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: options.folder || 'uploads',
-            public_id: options.publicId,
-            transformation: options.transformation,
-            resource_type: 'auto',
-            tags: options.tags || [],
-            context: options.context,
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
+      let sanitization = null;
+      if (detected.format === 'svg') {
+        const { buffer: clean, removed } = svgService.sanitize(file.data);
+        if (removed.length > 0 && (options.onUnsafeSvg || config.svg.onUnsafe) === 'reject') {
+          const error = new Error(`SVG contains disallowed content: ${svgService.describe(removed)}`);
+          error.statusCode = 400;
+          error.code = 'UNSAFE_SVG';
+          throw error;
+        }
+        buffer = clean;
+        sanitization = { removed };
+      }
+
+      // Encoding settings and metadata policy, chosen per request or folder
+      const folder = options.folder || 'uploads';
+      const profile = this.getProfile(options.profile, folder);
+      const exifPolicy = profile.metadata || config.exif.policy;
+
+      // Read capture details before location and device data are removed
+      let exif = null;
+      if (detected.format !== 'svg') {
+        exif = await exifService.extract(file.data);
+        buffer = exifService.strip(buffer, detected.format, exifPolicy);
+      }
+
+      const animation = ANIMATED_FORMATS.includes(detected.format) ? await this.readAnimation(file.data) : null;
+      const convertTo = this.getConversion(detected.format, animation, profile, options);
+
+      // Watermark burned in: the requested one, else the folder's upload
+      // default. Vectors are stored as they are.
+      let watermark = null;
+      if (detected.format !== 'svg' && options.watermark !== 'none') {
+        watermark = options.watermark
+          ? watermarkService.resolve(options.watermark)
+          : watermarkService.forFolder(folder.replace(/^\/+|\/+$/g, ''), 'upload');
+      }
+
+      // The clean file of a watermarked upload is only kept on request;
+      // conversions also follow CONVERT_KEEP_ORIGINAL
+      const keepOriginal = watermark
+        ? options.keepOriginal === true
+        : Boolean(convertTo) && (options.keepOriginal ?? config.convert.keepOriginal);
+
+      const type = ACCESS_TYPES[options.access || 'public'];
+      const onDuplicate = options.onDuplicate || config.dedup.onDuplicate;
+
+      // Look for an existing image with the same original bytes
+      const hash = metadataService.hash(file.data);
+      const existing = await this.findDuplicate(hash, type);
+
+      if (existing && onDuplicate === 'reject') {
+        const error = new Error(`Duplicate of existing image ${existing.publicId}`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // An existing copy may lack the watermark, so watermarked uploads are
+      // always stored
+      if (existing && onDuplicate === 'reuse' && !watermark) {
+        return {
+          success: true,
+          data: {
+            ...this.formatImage(existing),
+            duplicateOf: existing.publicId,
+            ...(sanitization && { sanitization })
           }
-        );
+        };
+      }
+
+      // Formats browsers cannot display are always re-encoded. Otherwise
+      // optimize on request, or when metadata the policy removes could not
+      // be stripped in place.
+      let encodedWith = profile.name;
+      if (convertTo) {
+        buffer = exifService.strip(await this.convertImage(buffer, convertTo, profile, watermark), convertTo, exifPolicy);
+      } else if (
+        options.optimize !== false ||
+        watermark ||
+        (exif && exifPolicy !== 'keep' && !exifService.canStrip(detected.format))
+      ) {
+        buffer = await this.optimizeImage(buffer, detected.mimetype, profile, watermark);
+        if (detected.format === 'svg') encodedWith = null;
+      } else {
+        encodedWith = null;
+      }
+
+      const resource = await this.storage.upload(buffer, {
+        folder,
+        publicId: options.publicId,
+        type,
+        transformation: options.transformation,
+        tags: options.tags || [],
+        context: options.context,
+      });
+
+      // The kept original goes under the same metadata policy as the image
+      let original = null;
+      if (keepOriginal) {
+        const originalBuffer = await this.stripOriginal(file.data, detected.format, exifPolicy);
+        // A watermark is pointless if the clean file is public too
+        const originalType = watermark && type === 'upload' ? 'authenticated' : type;
+        original = originalBuffer && await this.storeOriginal(originalBuffer, resource, originalType);
+      }
+      resource.original = original;
+      [resource.placeholder, resource.colors, resource.phash] = await Promise.all([
+        placeholderService.generate(buffer),
+        colorService.analyze(buffer),
+        similarityService.hash(buffer)
+      ]);
 
-        uploadStream.end(buffer);
+      // An explicit public ID may overwrite an image with cached derivatives
+      const replaced = Boolean(options.publicId && metadataService.get(resource.publicId, type));
+      if (options.publicId) {
+        await renderService.invalidate(resource.publicId);
+      }
+
+      metadataService.upsert(resource, {
+        sha256: hash,
+        context: options.context,
+        exif,
+        original: resource.original,
+        animation,
+        placeholder: resource.placeholder,
+        colors: resource.colors,
+        phash: resource.phash,
+        // A replaced image starts without the old one's focal point, and
+        // out of the trash
+        focalPoint: null,
+        deletedAt: null
       });
 
+      const image = {
+        ...this.formatImage(resource),
+        ...(animation && { animation }),
+        ...(convertTo && { convertedFrom: detected.format }),
+        ...(watermark && { watermark: watermark.name }),
+        optimization: this.getSavings(file.data.length, resource.bytes, encodedWith),
+        ...(existing && { duplicateOf: existing.publicId }),
+        ...(sanitization && { sanitization })
+      };
+      webhookService.emit(replaced ? 'image.replaced' : 'image.uploaded', image);
+
       return {
         success: true,
-        data: {
-          publicId: result.public_id,
-          url: result.secure_url,
-          format: result.format,
-          width: result.width,
-          height: result.height,
-          bytes: result.bytes,
-          createdAt: result.created_at,
-          resourceType: result.resource_type,
-          type: result.type,
-          thumbnail: this.getThumbnailUrl(result.public_id, result.format)
-        }
+        data: image
+      };
+    } catch (error) {
+      // Keep the status and code of rejections (duplicates, invalid content)
+      const uploadError = new Error(`Image upload failed: ${error.message}`);
+      if (error.statusCode >= 400 && error.statusCode < 500) {
+        uploadError.statusCode = error.statusCode;
+        uploadError.code = error.code;
+      }
+      throw uploadError;
+    }
+  }
+
+  /**
+   * Find a stored image whose original bytes match a hash. Index entries
+   * for images removed outside this service are dropped.
+   * @param {String} hash - SHA-256 of the original file
+   * @param {String} type - Delivery type
+   * @returns {Promise<Object|null>} Stored resource with its indexed placeholders and colors
+   */
+  async findDuplicate(hash, type) {
+    const indexed = metadataService.findByHash(hash, type);
+    if (!indexed) return null;
+
+    try {
+      const resource = await this.storage.get(indexed.publicId, { type });
+      return {
+        ...resource,
+        placeholder: indexed.placeholder,
+        colors: indexed.colors,
+        focalPoint: indexed.focalPoint
       };
     } catch (error) {
-      throw new Error(`Image upload failed: ${error.message}`);
+      if (error.statusCode !== 404) throw error;
+      metadataService.remove([indexed.publicId], type);
+      return this.findDuplicate(hash, type);
     }
   }
 
+  /**
+   * Upload several images with bounded concurrency. Each file is validated
+   * and uploaded on its own, so failures are reported per file.
+   * @param {Array<Object>} files - File objects from express-fileupload
+   * @param {Object} options - Upload options shared by every file
+   * @returns {Promise<Object>} Per-file results and counts
+   */
+  async uploadBatch(files, options = {}) {
+    // A batch cannot share one explicit public ID
+    const { publicId, ...sharedOptions } = options;
+
+    const results = await mapWithConcurrency(files, config.batch.concurrency, async (file, index) => {
+      const fileError = checkUploadedFile(file);
+      if (fileError) {
+        return { index, name: file.name, success: false, error: fileError };
+      }
+
+      try {
+        const result = await this.uploadImage(file, sharedOptions);
+        return { index, name: file.name, success: true, data: result.data };
+      } catch (error) {
+        return { index, name: file.name, success: false, error: error.message, ...(error.code && { code: error.code }) };
+      }
+    });
+
+    const uploaded = results.filter(result => result.success).length;
+
+    return {
+      success: uploaded === results.length,
+      data: {
+        results,
+        uploaded,
+        failed: results.length - uploaded
+      }
+    };
+  }
+
+  /**
+   * Optimization profile for an upload: the requested one, else the one
+   * mapped to the deepest matching folder, else the default
+   * @param {String} name - Requested profile name
+   * @param {String} folder - Upload folder
+   * @returns {Object} Profile settings with its name
+   */
+  getProfile(name, folder = '') {
+    const { profiles, folderProfiles, defaultProfile } = config.optimization;
+
+    let selected = name;
+    if (!selected) {
+      const match = Object.keys(folderProfiles)
+        .filter(prefix => folder === prefix || folder.startsWith(`${prefix}/`))
+        .sort((a, b) => b.length - a.length)[0];
+      selected = match ? folderProfiles[match] : defaultProfile;
+    }
+
+    if (!profiles[selected]) {
+      const error = new Error(`Unknown optimization profile: ${selected}`);
+      error.statusCode = name ? 400 : 500;
+      throw error;
+    }
+    return { name: selected, ...profiles[selected] };
+  }
+
+  /**
+   * Format an upload is converted to, if any: formats browsers cannot
+   * display, animated GIFs when asked, then the profile's output format
+   * @param {String} format - Detected format
+   * @param {Object|null} animation - From readAnimation()
+   * @param {Object} profile - Optimization profile
+   * @param {Object} options - Upload options
+   * @returns {String|null} Target format
+   */
+  getConversion(format, animation, profile, options) {
+    if (config.convert.formats.includes(format)) {
+      return profile.format || config.convert.target;
+    }
+    if (animation && format === 'gif' && (options.convertAnimatedGif ?? config.convert.animatedGif)) {
+      return 'webp';
+    }
+
+    // Profile formats apply to optimized raster uploads; animations only
+    // change to a format that keeps their frames
+    const current = format === 'jpg' ? 'jpeg' : format;
+    if (
+      options.optimize === false || !profile.format || format === 'svg' ||
+      profile.format === current || (animation && !ANIMATED_FORMATS.includes(profile.format))
+    ) {
+      return null;
+    }
+    return profile.format;
+  }
+
+  /**
+   * Size of the stored file against the uploaded one
+   * @param {Number} originalBytes - Uploaded file size
+   * @param {Number} bytes - Stored file size
+   * @param {String|null} profile - Profile the file was encoded with, null when stored as uploaded
+   * @returns {Object} { profile, originalBytes, bytes, savedBytes, savedPercent }
+   */
+  getSavings(originalBytes, bytes, profile) {
+    const savedBytes = originalBytes - bytes;
+    return {
+      profile,
+      originalBytes,
+      bytes,
+      savedBytes,
+      savedPercent: originalBytes > 0 ? Math.round(savedBytes / originalBytes * 1000) / 10 : 0
+    };
+  }
+
   /**
    * Optimize image before upload
    * @param {Buffer} buffer - Image buffer
    * @param {String} mimetype - Image mimetype
+   * @param {Object} profile - Optimization profile
+   * @param {Object} watermark - Watermark to burn in, if any
    * @returns {Promise<Buffer>} Optimized image buffer
    */
-  async optimizeImage(buffer, mimetype) {
+  async optimizeImage(buffer, mimetype, profile, watermark = null) {
     try {
       // Skip optimization for SVG
       if (mimetype === 'image/svg+xml') {
         return buffer;
       }
 
-      // Use sharp to optimize
-      let sharpInstance = sharp(buffer);
-
-      // Get metadata
-      const metadata = await sharpInstance.metadata();
-
-      // Resize if too large (max 4096px on longest side)
-      if (metadata.width > 4096 || metadata.height > 4096) {
-        sharpInstance = sharpInstance.resize(4096, 4096, {
-          fit: 'inside',
-          withoutEnlargement: true
-        });
-      }
-
-      // Optimize based on format
-      if (metadata.format === 'jpeg' || metadata.format === 'jpg') {
-        sharpInstance = sharpInstance.jpeg({ quality: 85, progressive: true });
-      } else if (metadata.format === 'png') {
-        sharpInstance = sharpInstance.png({ quality: 85, compressionLevel: 9 });
-      } else if (metadata.format === 'webp') {
-        sharpInstance = sharpInstance.webp({ quality: 85 });
+      return await this.encodeImage(buffer, undefined, profile, watermark);
+    } catch (error) {
+      // An image that should carry a watermark is never stored without it
+      if (watermark) {
+        throw new Error(`Watermark ${watermark.name} could not be applied: ${error.message}`);
       }
 
-      return await sharpInstance.toBuffer();
-    } catch (error) {
       // If optimization fails, return original buffer
       console.warn('Image optimization failed, using original:', error.message);
       return buffer;
@@ -106,52 +438,342 @@ class ImageService {
   }
 
   /**
-   * Get an image by public ID
-   * @param {String} publicId - Cloudinary public ID
-   * @param {Object} options - Transformation options
+   * Frame count, loop count and total duration of an animated GIF or WebP
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Object|null>} { frames, loop, duration }, null for still images
+   */
+  async readAnimation(buffer) {
+    const { pages, loop, delay } = await sharp(buffer).metadata();
+    if (!(pages > 1)) return null;
+
+    return {
+      frames: pages,
+      // 0 repeats forever
+      loop: loop ?? 0,
+      // Milliseconds for one pass through the frames
+      duration: (delay || []).reduce((total, frameDelay) => total + frameDelay, 0)
+    };
+  }
+
+  /**
+   * Convert an image browsers cannot display (HEIC, TIFF) to another format
+   * @param {Buffer} buffer - Image buffer
+   * @param {String} format - Target format: webp, avif, jpeg or png
+   * @param {Object} profile - Optimization profile
+   * @param {Object} watermark - Watermark to burn in, if any
+   * @returns {Promise<Buffer>} Converted image buffer
+   */
+  async convertImage(buffer, format, profile, watermark = null) {
+    try {
+      return await this.encodeImage(buffer, format, profile, watermark);
+    } catch (error) {
+      const convertError = new Error(`Image could not be converted to ${format}: ${error.message}`);
+      convertError.statusCode = 415;
+      convertError.code = 'UNSUPPORTED_CODEC';
+      throw convertError;
+    }
+  }
+
+  /**
+   * Re-encode an image with sharp: upright, within the profile's maximum
+   * dimension and compressed with its settings. Animated GIFs and WebPs
+   * keep every frame when the output format can animate.
+   * @param {Buffer} buffer - Image buffer
+   * @param {String} format - Output format, the input's own when omitted
+   * @param {Object} profile - Optimization profile, the default when omitted
+   * @param {Object} watermark - Watermark drawn over the resized image, if any
+   * @returns {Promise<Buffer>} Encoded image buffer
+   */
+  async encodeImage(buffer, format, profile = this.getProfile(), watermark = null) {
+    // Get metadata; dimensions are those of a single frame
+    const metadata = await sharp(buffer).metadata();
+    let output = format || metadata.format;
+    if (output === 'jpg') output = 'jpeg';
+    if (output === 'heif' && metadata.compression === 'av1') output = 'avif';
+
+    // Load all frames so they are resized together, keeping delays and loop
+    const animated = metadata.pages > 1 &&
+      ANIMATED_FORMATS.includes(metadata.format) &&
+      ANIMATED_FORMATS.includes(output);
+
+    // Turn the pixels upright so the orientation tag is no longer needed
+    let sharpInstance = sharp(buffer, { animated }).rotate().keepIccProfile();
+
+    // The input has already been stripped according to the policy
+    if (exifService.keepsExif(output, profile.metadata || config.exif.policy)) {
+      sharpInstance = sharpInstance.keepExif();
+    }
+
+    // Resize if too large for the profile, measured on the longest side
+    const { maxDimension } = profile;
+    if (maxDimension && (metadata.width > maxDimension || metadata.height > maxDimension)) {
+      sharpInstance = sharpInstance.resize(maxDimension, maxDimension, {
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    }
+
+    if (watermark) {
+      sharpInstance = await watermarkService.apply(sharpInstance, watermark);
+    }
+
+    // Optimize based on format. Effort is capped to each encoder's range.
+    const { quality, lossless, effort, chromaSubsampling } = profile;
+    const capEffort = (min, max) => effort === undefined ? undefined : Math.min(max, Math.max(min, effort));
+
+    if (output === 'jpeg') {
+      sharpInstance = sharpInstance.jpeg({
+        quality: lossless ? 100 : quality,
+        progressive: true,
+        chromaSubsampling: lossless ? '4:4:4' : chromaSubsampling
+      });
+    } else if (output === 'png') {
+      // A quality setting quantizes to a palette, so lossless leaves it out
+      sharpInstance = sharpInstance.png(lossless
+        ? { compressionLevel: 9 }
+        : { quality, compressionLevel: 9, effort: capEffort(1, 10) });
+    } else if (output === 'webp') {
+      // Lossy WebP is always 4:2:0; 4:4:4 asks for sharper conversion instead
+      sharpInstance = sharpInstance.webp({
+        quality,
+        lossless: Boolean(lossless),
+        effort: capEffort(0, 6),
+        smartSubsample: chromaSubsampling === '4:4:4'
+      });
+    } else if (output === 'avif') {
+      sharpInstance = sharpInstance.avif({
+        quality: profile.avifQuality ?? quality,
+        lossless: Boolean(lossless),
+        effort: capEffort(0, 9),
+        chromaSubsampling: lossless ? '4:4:4' : chromaSubsampling
+      });
+    } else if (output === 'gif') {
+      sharpInstance = sharpInstance.gif({ effort: capEffort(1, 10) });
+    } else if (format) {
+      sharpInstance = sharpInstance.toFormat(format);
+    }
+
+    return sharpInstance.toBuffer();
+  }
+
+  /**
+   * Remove the metadata the policy does not allow from an uploaded file
+   * about to be kept. Formats strip() cannot edit in place are re-encoded
+   * losslessly, upright and without metadata.
+   * @param {Buffer} buffer - Uploaded file bytes
+   * @param {String} format - Detected format
+   * @param {String} policy - strip, private or keep
+   * @returns {Promise<Buffer|null>} File to keep, or null when its metadata could not be removed
+   */
+  async stripOriginal(buffer, format, policy) {
+    if (policy === 'keep' || exifService.canStrip(format) || !ORIGINAL_ENCODINGS[format]) {
+      return exifService.strip(buffer, format, policy);
+    }
+
+    try {
+      const { format: output, ...options } = ORIGINAL_ENCODINGS[format];
+      return await sharp(buffer).rotate().keepIccProfile().toFormat(output, options).toBuffer();
+    } catch (error) {
+      console.warn(`Original not kept, its metadata could not be removed (${format}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store the uploaded file next to its converted or watermarked image,
+   * under the originals folder with the same public ID
+   * @param {Buffer} buffer - Uploaded file bytes
+   * @param {Object} resource - Stored image
+   * @param {String} type - Delivery type of the original
+   * @returns {Promise<Object|null>} { publicId, type, format, bytes, url }, or null when it could not be stored
+   */
+  async storeOriginal(buffer, resource, type) {
+    const publicId = `${config.convert.originalsFolder}/${resource.publicId}`;
+    const separator = publicId.lastIndexOf('/');
+
+    try {
+      const original = await this.storage.upload(buffer, {
+        folder: publicId.slice(0, separator),
+        publicId: publicId.slice(separator + 1),
+        type
+      });
+      return {
+        publicId: original.publicId,
+        type: original.type,
+        format: original.format,
+        bytes: original.bytes,
+        url: original.url
+      };
+    } catch (error) {
+      console.warn(`Failed to keep original of ${resource.publicId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete kept originals along with their images. Failures are logged;
+   * the images are already gone.
+   * @param {Array<Object>} originals - Kept originals ({ publicId, type })
+   * @param {String} type - Delivery type of the images, for originals stored without one
+   */
+  async deleteOriginals(originals, type) {
+    const byType = new Map();
+    for (const original of originals) {
+      const originalType = original.type || type;
+      if (!byType.has(originalType)) byType.set(originalType, []);
+      byType.get(originalType).push(original.publicId);
+    }
+
+    for (const [originalType, publicIds] of byType) {
+      try {
+        await this.storage.deleteMany(publicIds, { type: originalType });
+      } catch (error) {
+        console.warn('Failed to delete kept originals:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get an image by public ID, with a URL for every preset
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - type, and preset or transformation (render parameters)
    * @returns {Promise<Object>} Image details
    */
   async getImage(publicId, options = {}) {
+    const transformation = options.preset ? presetService.resolve(options.preset) : options.transformation;
+
     try {
-      const resource = await cloudinary.api.resource(publicId, {
-        resource_type: options.resourceType || 'image'
+      const resource = await this.storage.get(publicId, {
+        resourceType: options.resourceType || 'image',
+        type: options.type
       });
 
+      const indexed = metadataService.get(publicId, resource.type);
+
+      // Images in the trash are only shown when asked for
+      if (indexed && indexed.deletedAt && !options.includeTrashed) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+
+      const stored = {
+        ...resource,
+        original: indexed ? indexed.original : null,
+        placeholder: indexed ? indexed.placeholder : null,
+        colors: indexed ? indexed.colors : null,
+        focalPoint: indexed ? indexed.focalPoint : null,
+        deletedAt: indexed ? indexed.deletedAt : null
+      };
+      const image = this.formatImage(stored);
+
       return {
         success: true,
         data: {
-          publicId: resource.public_id,
-          url: resource.secure_url,
-          format: resource.format,
-          width: resource.width,
-          height: resource.height,
-          bytes: resource.bytes,
-          createdAt: resource.created_at,
-          resourceType: resource.resource_type,
-          type: resource.type,
-          thumbnail: this.getThumbnailUrl(resource.public_id, resource.format),
+          ...image,
+          exif: indexed ? indexed.exif : null,
+          animation: indexed ? indexed.animation : null,
+          presets: presetService.listPresets().map(preset => ({
+            name: preset.name,
+            url: this.getDerivedUrl(stored, preset.transformation)
+          })),
           // Apply transformations if requested
-          transformedUrl: options.transformation
-            ? this.getTransformedUrl(publicId, options.transformation)
-            : resource.secure_url
+          ...(options.preset && { preset: options.preset }),
+          transformedUrl: transformation ? this.getDerivedUrl(stored, transformation) : image.url
         }
       };
     } catch (error) {
-      if (error.error?.http_code === 404) {
-        throw new Error('Image not found');
+      if (error.statusCode === 404) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
       }
       throw new Error(`Failed to retrieve image: ${error.message}`);
     }
   }
 
   /**
-   * Delete an image from Cloudinary
-   * @param {String} publicId - Cloudinary public ID
+   * Change an image's details. The focal point is the only one so far;
+   * cached derivatives are dropped so crops follow it.
+   * @param {String} publicId - Image public ID
+   * @param {Object} changes - focalPoint: { x, y } fractions of the width and height, null to clear
+   * @param {Object} options - Storage options (type)
+   * @returns {Promise<Object>} Updated image details
+   */
+  async updateImage(publicId, changes, options = {}) {
+    let resource;
+    try {
+      resource = await this.storage.get(publicId, { type: options.type });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw new Error(`Image update failed: ${error.message}`);
+    }
+
+    // Images in the trash cannot be changed until they are restored
+    const indexed = metadataService.get(publicId, resource.type);
+    if (indexed && indexed.deletedAt) {
+      const notFound = new Error('Image not found');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    // Images stored elsewhere are indexed on their first change
+    if (!indexed) {
+      metadataService.upsert(resource);
+    }
+
+    if ('focalPoint' in changes) {
+      const { focalPoint } = changes;
+      metadataService.setFocalPoint(publicId, resource.type, focalPoint && {
+        x: Math.round(focalPoint.x * 1000) / 1000,
+        y: Math.round(focalPoint.y * 1000) / 1000
+      });
+      await renderService.invalidate(publicId);
+    }
+
+    return this.getImage(publicId, { type: resource.type });
+  }
+
+  /**
+   * Delete an image: move it to the trash, or remove it from the storage
+   * provider with `permanent`
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - Storage options (type), permanent
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteImage(publicId) {
+  async deleteImage(publicId, options = {}) {
+    if (!options.permanent) {
+      const result = await this.trashImages([publicId], options.type);
+      if (result.trashed[publicId] === 'not_found') {
+        const error = new Error('Image not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: 'Image moved to trash',
+        publicId,
+        purgeAt: result.purgeAt
+      };
+    }
+
     try {
-      const result = await cloudinary.uploader.destroy(publicId);
+      const indexed = metadataService.get(publicId, options.type);
+      const result = await this.storage.delete(publicId, { type: options.type });
+      await renderService.invalidate(publicId);
+      metadataService.remove([publicId], options.type);
+
+      if (result.result === 'ok') {
+        webhookService.emit('image.deleted', { publicId, type: options.type || 'upload' });
+      }
+      if (indexed && indexed.original) {
+        await this.deleteOriginals([indexed.original], options.type);
+      }
 
       if (result.result === 'ok' || result.result === 'not found') {
         return {
@@ -170,47 +792,187 @@ class ImageService {
   }
 
   /**
-   * List all images with pagination
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} List of images
+   * Move images to the trash. They are hidden from list, search and
+   * duplicate lookups, their derivatives are no longer rendered and their
+   * stored files are no longer served, but the files stay until the images
+   * are restored or purged.
+   * @param {Array<String>} publicIds - Image public IDs
+   * @param {String} type - Delivery type
+   * @returns {Promise<Object>} { trashed: { publicId: 'trashed' | 'not_found' }, trashedCount, purgeAt }
    */
-  async listImages(options = {}) {
+  async trashImages(publicIds, type = 'upload') {
+    const deletedAt = new Date();
+    const trashed = {};
+    const moving = [];
+
+    for (const publicId of publicIds) {
+      let indexed = metadataService.get(publicId, type);
+
+      // Images stored elsewhere are indexed on their first change
+      if (!indexed) {
+        try {
+          metadataService.upsert(await this.storage.get(publicId, { type }));
+          indexed = metadataService.get(publicId, type);
+        } catch (error) {
+          if (error.statusCode !== 404) throw error;
+          trashed[publicId] = 'not_found';
+          continue;
+        }
+      }
+
+      // Trashing again keeps the original retention
+      if (!indexed.deletedAt) {
+        moving.push(indexed);
+      }
+      trashed[publicId] = 'trashed';
+    }
+
+    // Nothing counts as trashed while its file is still served
+    await this.setAccessMode(moving, type, 'authenticated');
+
+    for (const { publicId } of moving) {
+      metadataService.setDeleted(publicId, type, deletedAt.toISOString());
+      await renderService.invalidate(publicId);
+      webhookService.emit('image.trashed', { publicId, type });
+    }
+
+    return {
+      trashed,
+      trashedCount: Object.values(trashed).filter(status => status === 'trashed').length,
+      purgeAt: this.getPurgeDate(deletedAt).toISOString()
+    };
+  }
+
+  /**
+   * Take an image out of the trash
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - Storage options (type)
+   * @returns {Promise<Object>} Restored image
+   */
+  async restoreImage(publicId, options = {}) {
+    const type = options.type || 'upload';
+    const indexed = metadataService.get(publicId, type);
+    if (!indexed || !indexed.deletedAt) {
+      const error = new Error('Image not found in trash');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await this.setAccessMode([indexed], type, 'public');
+    metadataService.setDeleted(publicId, type, null);
+    const image = this.formatImage({ ...indexed, deletedAt: null });
+    webhookService.emit('image.restored', image);
+
+    return {
+      success: true,
+      data: image
+    };
+  }
+
+  /**
+   * List images in the trash, most recently deleted first
+   * @param {Object} options - type, preset, plus the list() filters and sorting
+   * @returns {Promise<Object>} Trashed images with their deletedAt and purgeAt
+   */
+  async listTrash(options = {}) {
+    const transformation = options.preset ? presetService.resolve(options.preset) : null;
+
     try {
-      const {
-        maxResults = 30,
-        nextCursor,
-        prefix,
-        tags,
-        resourceType = 'image'
-      } = options;
-
-      const queryOptions = {
-        resource_type: resourceType,
-        max_results: Math.min(maxResults, 500),
-        type: 'upload'
+      const result = metadataService.list({
+        ...options,
+        sortBy: options.sortBy || 'deletedAt',
+        trashed: true
+      });
+
+      return {
+        success: true,
+        data: {
+          images: result.resources.map(resource => this.formatImage(resource, transformation)),
+          totalCount: result.totalCount,
+          nextCursor: result.nextCursor,
+          retentionDays: config.trash.retentionDays
+        }
       };
+    } catch (error) {
+      throw new Error(`Failed to list trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently delete images from the trash
+   * @param {Object} options - olderThan: only images deleted before this date (default: all)
+   * @returns {Promise<Object>} { purged, failed }
+   */
+  async purgeTrash(options = {}) {
+    const expired = metadataService.trashedBefore(options.olderThan || new Date());
+    const summary = { purged: 0, failed: 0 };
+
+    for (const type of Object.values(ACCESS_TYPES)) {
+      const publicIds = expired.filter(image => image.type === type).map(image => image.publicId);
+
+      // Same batch size as the bulk delete API
+      for (let i = 0; i < publicIds.length; i += 100) {
+        try {
+          const result = await this.bulkDelete(publicIds.slice(i, i + 100), { type, permanent: true });
+          summary.purged += Object.values(result.data.deleted).filter(status => status === 'deleted').length;
+        } catch (error) {
+          console.warn('Trash purge failed:', error.message);
+          summary.failed += Math.min(100, publicIds.length - i);
+        }
+      }
+    }
+
+    return summary;
+  }
 
-      if (nextCursor) queryOptions.next_cursor = nextCursor;
-      if (prefix) queryOptions.prefix = prefix;
-      if (tags) queryOptions.tags = true;
+  /**
+   * Stop or resume serving the stored files of public images, and their
+   * public originals, at their direct URLs. Other delivery types are never
+   * served directly.
+   * @param {Array<Object>} images - Indexed images
+   * @param {String} type - Delivery type of the images
+   * @param {String} accessMode - public or authenticated
+   */
+  async setAccessMode(images, type, accessMode) {
+    const publicIds = [
+      ...(type === 'upload' ? images.map(image => image.publicId) : []),
+      ...images
+        .map(image => image.original)
+        .filter(original => original && (original.type || type) === 'upload')
+        .map(original => original.publicId)
+    ];
 
-      const result = await cloudinary.api.resources(queryOptions);
+    if (publicIds.length > 0) {
+      await this.storage.setAccessMode(publicIds, accessMode, { type: 'upload' });
+    }
+  }
+
+  /**
+   * When an image deleted at a date is purged from the trash
+   * @param {Date} deletedAt - When it was moved to the trash
+   * @returns {Date} Purge date
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + config.trash.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * List images from the metadata index with filtering, sorting and pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} List of images
+   */
+  async listImages(options = {}) {
+    const transformation = options.preset ? presetService.resolve(options.preset) : null;
+
+    try {
+      const result = metadataService.list(options);
 
       return {
         success: true,
         data: {
-          images: result.resources.map(resource => ({
-            publicId: resource.public_id,
-            url: resource.secure_url,
-            format: resource.format,
-            width: resource.width,
-            height: resource.height,
-            bytes: resource.bytes,
-            createdAt: resource.created_at,
-            thumbnail: this.getThumbnailUrl(resource.public_id, resource.format)
-          })),
-          totalCount: result.total_count,
-          nextCursor: result.next_cursor
+          images: result.resources.map(resource => this.formatImage(resource, transformation)),
+          totalCount: result.totalCount,
+          nextCursor: result.nextCursor
         }
       };
     } catch (error) {
@@ -219,43 +981,26 @@ class ImageService {
   }
 
   /**
-   * Search images by tag or expression
+   * Search the metadata index by tag or expression
    * @param {Object} options - Search options
    * @returns {Promise<Object>} Search results
    */
   async searchImages(options = {}) {
-    try {
-      const {
-        expression,
-        maxResults = 30,
-        nextCursor
-      } = options;
+    const transformation = options.preset ? presetService.resolve(options.preset) : null;
 
-      if (!expression) {
+    try {
+      if (!options.expression) {
         throw new Error('Search expression is required');
       }
 
-      const result = await cloudinary.search
-        .expression(expression)
-        .max_results(Math.min(maxResults, 500))
-        .next_cursor(nextCursor)
-        .execute();
+      const result = metadataService.search(options);
 
       return {
         success: true,
         data: {
-          images: result.resources.map(resource => ({
-            publicId: resource.public_id,
-            url: resource.secure_url,
-            format: resource.format,
-            width: resource.width,
-            height: resource.height,
-            bytes: resource.bytes,
-            createdAt: resource.created_at,
-            thumbnail: this.getThumbnailUrl(resource.public_id, resource.format)
-          })),
-          totalCount: result.total_count,
-          nextCursor: result.next_cursor
+          images: result.resources.map(resource => this.formatImage(resource, transformation)),
+          totalCount: result.totalCount,
+          nextCursor: result.nextCursor
         }
       };
     } catch (error) {
@@ -269,35 +1014,385 @@ class ImageService {
    */
   async getStats() {
     try {
-      const usage = await cloudinary.api.usage();
+      const usage = await this.storage.usage();
+
+      return {
+        success: true,
+        data: usage
+      };
+    } catch (error) {
+      throw new Error(`Failed to get statistics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Report groups of stored images with identical content
+   * @returns {Object} Duplicate groups and total wasted bytes
+   */
+  getDuplicates() {
+    const groups = metadataService.duplicateGroups();
+
+    return {
+      success: true,
+      data: {
+        groups,
+        totalGroups: groups.length,
+        wastedBytes: groups.reduce((sum, group) => sum + group.wastedBytes, 0)
+      }
+    };
+  }
+
+  /**
+   * Images that look like another one (re-encoded, resized or lightly
+   * edited copies), ranked by perceptual hash distance
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - type, threshold, maxResults
+   * @returns {Promise<Object>} Similar images, closest first
+   */
+  async getSimilar(publicId, options = {}) {
+    const threshold = options.threshold ?? config.similarity.threshold;
+
+    try {
+      const image = metadataService.get(publicId, options.type);
+      if (!image) {
+        const error = new Error('Image not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      // Indexed before hashing existed or uploaded elsewhere: hash it now
+      if (!image.phash) {
+        image.phash = await similarityService.hash(await this.storage.read(publicId, { type: image.type }));
+        if (!image.phash) {
+          throw new Error('Image could not be decoded');
+        }
+        metadataService.setHash(publicId, image.type, image.phash);
+      }
+
+      const resources = metadataService.similar(image, { threshold, maxResults: options.maxResults });
 
       return {
         success: true,
         data: {
-          used: {
-            credits: usage.credits?.used || 0,
-            storage: usage.storage?.used || 0,
-            bandwidth: usage.bandwidth?.used || 0,
-            transformations: usage.transformations?.used || 0
-          },
-          limit: {
-            credits: usage.credits?.limit || 0,
-            storage: usage.storage?.limit || 0,
-            bandwidth: usage.bandwidth?.limit || 0,
-            transformations: usage.transformations?.limit || 0
-          },
-          percentage: {
-            credits: usage.credits?.used_percent || 0,
-            storage: usage.storage?.used_percent || 0,
-            bandwidth: usage.bandwidth?.used_percent || 0
-          }
+          publicId,
+          threshold,
+          images: resources.map(resource => this.formatImage(resource))
         }
       };
     } catch (error) {
-      throw new Error(`Failed to get statistics: ${error.message}`);
+      if (error.statusCode === 404) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw new Error(`Failed to find similar images: ${error.message}`);
     }
   }
 
+  /**
+   * Groups of similar images across the library, to clean up re-encoded
+   * and resized copies. Images without a perceptual hash are left out.
+   * @param {Object} options - threshold
+   * @returns {Object} Groups with the image to keep and reclaimable bytes
+   */
+  getSimilarGroups(options = {}) {
+    const threshold = options.threshold ?? config.similarity.threshold;
+    const groups = metadataService.similarGroups(threshold);
+
+    return {
+      success: true,
+      data: {
+        threshold,
+        groups,
+        totalGroups: groups.length,
+        reclaimableBytes: groups.reduce((sum, group) => sum + group.reclaimableBytes, 0)
+      }
+    };
+  }
+
+  /**
+   * Create a signed, expiring delivery URL
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - expiresIn, transformation, type
+   * @returns {Promise<Object>} Signed URL and expiry
+   */
+  async signImageUrl(publicId, options = {}) {
+    const transformation = options.preset ? presetService.resolve(options.preset) : options.transformation;
+
+    try {
+      const resource = await this.storage.get(publicId, { type: options.type });
+      const indexed = metadataService.get(publicId, resource.type);
+
+      // Trashed images are not delivered, so a signed URL would only 404
+      if (indexed && indexed.deletedAt) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+
+      return {
+        success: true,
+        data: {
+          publicId: resource.publicId,
+          type: resource.type,
+          ...signingService.signUrl(resource.publicId, {
+            expiresIn: options.expiresIn,
+            transformation,
+            type: resource.type
+          })
+        }
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw new Error(`Failed to sign image URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Derivative URLs of an image at several widths and formats, with
+   * srcset, sizes and <picture> markup. Widths past the image's own are
+   * capped to it, so derivatives are never upscaled. With an aspect ratio
+   * every derivative is cropped to it around the focal point.
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - widths, formats, sizes, alt, q, aspectRatio ([width, height]), type
+   * @returns {Promise<Object>} Responsive image set
+   */
+  async getResponsive(publicId, options = {}) {
+    try {
+      const stored = await this.storage.get(publicId, { type: options.type });
+      const indexed = metadataService.get(publicId, stored.type);
+      if (indexed && indexed.deletedAt) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      const resource = { ...stored, focalPoint: indexed ? indexed.focalPoint : null };
+
+      // Crops are no taller than the image or the render limit either
+      const [ratioWidth, ratioHeight] = options.aspectRatio || [];
+      const croppedWidth = options.aspectRatio
+        ? Math.floor(Math.min(resource.height || Infinity, config.render.maxDimension) * ratioWidth / ratioHeight)
+        : Infinity;
+      const maxWidth = Math.min(resource.width || Infinity, croppedWidth, config.render.maxDimension);
+      const widths = [...new Set(
+        (options.widths || config.responsive.widths).map(width => Math.min(width, maxWidth))
+      )].filter(width => width > 0).sort((a, b) => a - b);
+      if (widths.length === 0) {
+        const error = new Error('No usable width for this image and aspect ratio');
+        error.statusCode = 400;
+        throw error;
+      }
+      const formats = [...new Set(options.formats || config.responsive.formats)];
+      const sizes = options.sizes || config.responsive.sizes;
+
+      const heightOf = width => {
+        if (options.aspectRatio) return Math.round(width * ratioHeight / ratioWidth);
+        return resource.width && resource.height
+          ? Math.round(width * resource.height / resource.width)
+          : undefined;
+      };
+
+      const sources = formats.map(format => {
+        const images = widths.map(width => ({
+          width,
+          height: heightOf(width),
+          url: this.getDerivedUrl(resource, {
+            w: width,
+            ...(options.aspectRatio ? { h: heightOf(width), fit: 'cover' } : { fit: 'inside' }),
+            format,
+            ...(options.q && { q: options.q })
+          })
+        }));
+        return {
+          format,
+          type: FORMAT_MIMETYPES[format],
+          srcset: images.map(image => `${image.url} ${image.width}w`).join(', '),
+          images
+        };
+      });
+
+      // The last format is the <img> fallback, at its largest width
+      const fallback = sources[sources.length - 1];
+      const largest = fallback.images[fallback.images.length - 1];
+      const imgAttributes = [
+        `src="${escapeAttribute(largest.url)}"`,
+        `srcset="${escapeAttribute(fallback.srcset)}"`,
+        `sizes="${escapeAttribute(sizes)}"`,
+        `width="${largest.width}"`,
+        largest.height && `height="${largest.height}"`,
+        `alt="${escapeAttribute(options.alt || '')}"`,
+        'loading="lazy"',
+        'decoding="async"'
+      ].filter(Boolean);
+
+      const html = [
+        '<picture>',
+        ...sources.slice(0, -1).map(source =>
+          `  <source type="${source.type}" srcset="${escapeAttribute(source.srcset)}" sizes="${escapeAttribute(sizes)}">`
+        ),
+        `  <img ${imgAttributes.join(' ')}>`,
+        '</picture>'
+      ].join('\n');
+
+      return {
+        success: true,
+        data: {
+          publicId: resource.publicId,
+          width: resource.width,
+          height: resource.height,
+          sources,
+          src: largest.url,
+          srcset: fallback.srcset,
+          sizes,
+          html
+        }
+      };
+    } catch (error) {
+      if (error.statusCode === 400) throw error;
+      if (error.statusCode === 404) {
+        const notFound = new Error('Image not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      throw new Error(`Failed to build responsive image set: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shape a stored resource for API responses
+   * @param {Object} resource - Resource returned by the storage provider
+   * @param {Object} transformation - Render parameters for a transformedUrl, e.g. from a preset
+   * @returns {Object} Image details
+   */
+  formatImage(resource, transformation = null) {
+    const image = {
+      publicId: resource.publicId,
+      url: resource.url,
+      format: resource.format,
+      width: resource.width,
+      height: resource.height,
+      bytes: resource.bytes,
+      createdAt: resource.createdAt,
+      resourceType: resource.resourceType,
+      type: resource.type,
+      tags: resource.tags,
+      thumbnail: this.getThumbnailUrl(resource.publicId, resource.format),
+      // BlurHash and base64 LQIP to show while the thumbnail loads
+      placeholder: resource.placeholder || null,
+      // Dominant color and palette, as hex colors
+      colors: resource.colors || null,
+      // Where crops are centered, as fractions of the width and height
+      focalPoint: resource.focalPoint || null
+    };
+
+    // Closeness to the color searched for
+    if (resource.colorDistance !== undefined) {
+      image.colorDistance = resource.colorDistance;
+    }
+
+    // Bits differing from the image similar images were looked up for
+    if (resource.hashDistance !== undefined) {
+      image.hashDistance = resource.hashDistance;
+    }
+
+    // Images in the trash, and when they go for good
+    if (resource.deletedAt) {
+      image.deletedAt = resource.deletedAt;
+      image.purgeAt = this.getPurgeDate(new Date(resource.deletedAt)).toISOString();
+    }
+
+    // Uploaded file kept next to a converted or watermarked image; unless
+    // public, only signed URLs lead to it
+    if (resource.original) {
+      image.original = { ...resource.original };
+      const originalType = resource.original.type || resource.type;
+      if (originalType && originalType !== 'upload') {
+        image.original.url = signingService.signUrl(image.original.publicId, { type: originalType }).url;
+      }
+    }
+
+    // Non-public images are handed out as short-lived signed URLs
+    if (resource.type && resource.type !== 'upload') {
+      image.url = signingService.signUrl(resource.publicId, { type: resource.type }).url;
+      image.thumbnail = signingService.signUrl(resource.publicId, {
+        type: resource.type,
+        transformation: THUMBNAIL_TRANSFORMATION
+      }).url;
+    } else if (this.needsRender(resource, THUMBNAIL_TRANSFORMATION)) {
+      image.thumbnail = this.getDerivedUrl(resource, THUMBNAIL_TRANSFORMATION);
+    }
+
+    if (transformation) {
+      image.transformedUrl = this.getDerivedUrl(resource, transformation);
+    }
+
+    return image;
+  }
+
+  /**
+   * URL of a derivative described by render parameters: a storage
+   * transformation URL for public images, a signed render URL for other
+   * images and for watermarks named in the parameters. Watermarked
+   * derivatives and crops around a focal point always come from the
+   * render route.
+   * @param {Object} resource - Stored resource
+   * @param {Object} transformation - w, h, fit, format, q, wm
+   * @returns {String} Derived URL
+   */
+  getDerivedUrl(resource, transformation) {
+    if ((resource.type && resource.type !== 'upload') || transformation.wm) {
+      return signingService.signUrl(resource.publicId, { type: resource.type, transformation }).url;
+    }
+
+    if (this.needsRender(resource, transformation)) {
+      const query = new URLSearchParams(transformation).toString();
+      return `${config.publicUrl}/api/images/${encodeURIComponent(resource.publicId)}/render?${query}`;
+    }
+
+    const { w, h, fit, format, q } = transformation;
+    const step = {
+      width: w,
+      height: h,
+      crop: w || h ? FIT_TO_CROP[fit || 'cover'] : undefined,
+      // Crops without a focal point go to the storage's smart cropping
+      gravity: this.crops(transformation) ? 'auto' : undefined,
+      quality: q,
+      fetch_format: format
+    };
+    return this.getTransformedUrl(
+      resource.publicId,
+      Object.fromEntries(Object.entries(step).filter(([, value]) => value !== undefined))
+    );
+  }
+
+  /**
+   * Whether a derivative of a public image needs the render route, as
+   * storage transformation URLs know neither watermarks nor focal points
+   * @param {Object} resource - Stored resource
+   * @param {Object} transformation - Render parameters
+   * @returns {Boolean}
+   */
+  needsRender(resource, transformation) {
+    return Boolean(
+      transformation.wm ||
+      watermarkService.forImage(resource.publicId, 'delivery') ||
+      (resource.focalPoint && this.crops(transformation))
+    );
+  }
+
+  /**
+   * Whether render parameters cut the image to a different aspect ratio
+   * @param {Object} transformation - Render parameters
+   * @returns {Boolean}
+   */
+  crops(transformation) {
+    return Boolean((transformation.fit || 'cover') === 'cover' && transformation.w && transformation.h);
+  }
+
   /**
    * Generate thumbnail URL
    * @param {String} publicId - Image public ID
@@ -305,13 +1400,7 @@ class ImageService {
    * @returns {String} Thumbnail URL
    */
   getThumbnailUrl(publicId, format) {
-    return cloudinary.url(publicId, {
-      transformation: [
-        { width: 200, height: 200, crop: 'fill' },
-        { quality: 'auto', fetch_format: 'auto' }
-      ],
-      format: format
-    });
+    return this.storage.getThumbnailUrl(publicId, format);
   }
 
   /**
@@ -321,23 +1410,49 @@ class ImageService {
    * @returns {String} Transformed URL
    */
   getTransformedUrl(publicId, transformation) {
-    return cloudinary.url(publicId, {
-      transformation: transformation
-    });
+    return this.storage.getTransformedUrl(publicId, transformation);
   }
 
   /**
-   * Bulk delete images
+   * Bulk delete images: move them to the trash, or remove them from the
+   * storage provider with `permanent`
    * @param {Array<String>} publicIds - Array of public IDs
+   * @param {Object} options - Storage options (type), permanent
    * @returns {Promise<Object>} Deletion results
    */
-  async bulkDelete(publicIds) {
+  async bulkDelete(publicIds, options = {}) {
     try {
       if (!Array.isArray(publicIds) || publicIds.length === 0) {
         throw new Error('Invalid public IDs array');
       }
 
-      const result = await cloudinary.api.delete_resources(publicIds);
+      if (!options.permanent) {
+        return {
+          success: true,
+          data: await this.trashImages(publicIds, options.type)
+        };
+      }
+
+      const originals = publicIds
+        .map(publicId => metadataService.get(publicId, options.type))
+        .filter(indexed => indexed && indexed.original);
+
+      const result = await this.storage.deleteMany(publicIds, { type: options.type });
+      await Promise.all(publicIds.map(publicId => renderService.invalidate(publicId)));
+      metadataService.remove(Object.keys(result.deleted), options.type);
+
+      await this.deleteOriginals(
+        originals
+          .filter(indexed => result.deleted[indexed.publicId] === 'deleted')
+          .map(indexed => indexed.original),
+        options.type
+      );
+
+      Object.entries(result.deleted)
+        .filter(([, status]) => status === 'deleted')
+        .forEach(([publicId]) => {
+          webhookService.emit('image.deleted', { publicId, type: options.type || 'upload' });
+        });
 
       return {
         success: true,
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config/app.config');
+const metadataService = require('./metadata.service');
+const imageService = require('./image.service');
+const renderService = require('./render.service');
+
+const RED = { r: 230, g: 20, b: 20 };
+const BLUE = { r: 30, g: 120, b: 200 };
+
+/**
+ * 600×200 PNG, red on the left half and the given color on the right
+ */
+const halves = async (right = BLUE) => sharp({
+  create: { width: 600, height: 200, channels: 3, background: right }
+}).composite([{
+  input: { create: { width: 300, height: 200, channels: 3, background: RED } },
+  left: 0,
+  top: 0
+}]).png().toBuffer();
+
+const upload = async (data, options = {}) => {
+  const result = await imageService.uploadImage({ name: 'photo.png', data, size: data.length, mimetype: 'image/png' }, options);
+  return result.data.publicId;
+};
+
+/**
+ * Average color of a rendered file
+ */
+const color = async (file) => {
+  const { channels: [r, g, b] } = await sharp(file).stats();
+  return { r: Math.round(r.mean), g: Math.round(g.mean), b: Math.round(b.mean) };
+};
+
+describe('imageService focal points', () => {
+  let publicId;
+
+  beforeAll(async () => {
+    publicId = await upload(await halves());
+  });
+
+  test('stores the focal point rounded and clears it with null', async () => {
+    const updated = await imageService.updateImage(publicId, { focalPoint: { x: 0.12345, y: 0.98765 } });
+    expect(updated.data.focalPoint).toEqual({ x: 0.123, y: 0.988 });
+
+    const cleared = await imageService.updateImage(publicId, { focalPoint: null });
+    expect(cleared.data.focalPoint).toBeNull();
+  });
+
+  test('crops around the focal point and re-renders when it moves', async () => {
+    await imageService.updateImage(publicId, { focalPoint: { x: 0.9, y: 0.5 } });
+    const right = await renderService.render(publicId, { w: '100', h: '100' });
+    expect((await color(right.path)).b).toBeGreaterThan(150);
+
+    await imageService.updateImage(publicId, { focalPoint: { x: 0.1, y: 0.5 } });
+    const left = await renderService.render(publicId, { w: '100', h: '100' });
+    expect(left.cached).toBe(false);
+    expect((await color(left.path)).r).toBeGreaterThan(200);
+  });
+
+  test('sends crops of images with a focal point to the render route', async () => {
+    await imageService.updateImage(publicId, { focalPoint: { x: 0.1, y: 0.5 } });
+    const { data: image } = await imageService.getImage(publicId);
+
+    expect(imageService.needsRender(image, { w: 100, h: 100 })).toBe(true);
+    expect(imageService.needsRender(image, { w: 100, h: 100, fit: 'inside' })).toBe(false);
+    expect(imageService.needsRender(image, { w: 100 })).toBe(false);
+    expect(imageService.getDerivedUrl(image, { w: 100, h: 100 })).toContain('/render?w=100&h=100');
+  });
+
+  test('a replaced image starts without the old focal point', async () => {
+    const id = await upload(await halves({ r: 40, g: 160, b: 90 }), { publicId: 'replaced' });
+    await imageService.updateImage(id, { focalPoint: { x: 0.2, y: 0.2 } });
+
+    await upload(await halves({ r: 200, g: 200, b: 40 }), { publicId: 'replaced' });
+
+    await expect(imageService.getImage(id)).resolves.toMatchObject({ data: { focalPoint: null } });
+  });
+
+  test('answers 404 for unknown images', async () => {
+    await expect(imageService.updateImage('uploads/missing', { focalPoint: { x: 0.5, y: 0.5 } }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('imageService trash', () => {
+  const { retentionDays } = config.trash;
+  const DAY = 24 * 60 * 60 * 1000;
+  let count = 0;
+
+  // Distinct colors, as identical uploads are deduplicated
+  const uploadNew = async () => {
+    count += 1;
+    return upload(await halves({ r: 10 * count, g: 100, b: 100 }), { folder: 'trash-test' });
+  };
+
+  const publicFile = (publicId, format = 'png') => path.join(config.storage.local.root, `${publicId}.${format}`);
+
+  afterEach(() => {
+    config.trash.retentionDays = retentionDays;
+  });
+
+  test('deleting moves an image to the trash with its purge date', async () => {
+    config.trash.retentionDays = 7;
+    const publicId = await uploadNew();
+
+    const result = await imageService.deleteImage(publicId);
+
+    expect(result).toMatchObject({ success: true, message: 'Image moved to trash', publicId });
+    expect(new Date(result.purgeAt) - Date.now()).toBeGreaterThan(7 * DAY - 60 * 1000);
+    expect(fs.existsSync(publicFile(publicId))).toBe(false);
+    await expect(imageService.getImage(publicId)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(imageService.getImage(publicId, { includeTrashed: true }))
+      .resolves.toMatchObject({ data: { publicId, deletedAt: expect.any(String) } });
+  });
+
+  test('a retention of 0 days makes trashed images due for the next purge', async () => {
+    config.trash.retentionDays = 0;
+    const deletedAt = new Date();
+
+    expect(imageService.getPurgeDate(deletedAt)).toEqual(deletedAt);
+  });
+
+  test('trashed images are left out of listings and cannot be changed or signed', async () => {
+    const publicId = await uploadNew();
+    await imageService.deleteImage(publicId);
+
+    expect(metadataService.list({ folder: 'trash-test' }).resources.map(image => image.publicId)).not.toContain(publicId);
+    const { data } = await imageService.listTrash({ folder: 'trash-test' });
+    expect(data.images.map(image => image.publicId)).toContain(publicId);
+    expect(data.retentionDays).toBe(retentionDays);
+
+    await expect(imageService.updateImage(publicId, { focalPoint: { x: 0.5, y: 0.5 } })).rejects.toMatchObject({ statusCode: 404 });
+    expect(metadataService.get(publicId).focalPoint).toBeNull();
+    await expect(imageService.signImageUrl(publicId)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('restoring serves the image again', async () => {
+    const publicId = await uploadNew();
+    await imageService.deleteImage(publicId);
+
+    await expect(imageService.restoreImage(publicId)).resolves.toMatchObject({ data: { publicId } });
+
+    expect(fs.existsSync(publicFile(publicId))).toBe(true);
+    await expect(imageService.getImage(publicId)).resolves.toMatchObject({ data: { publicId } });
+    expect(metadataService.get(publicId).deletedAt).toBeNull();
+    await expect(imageService.restoreImage(publicId)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('purges only images trashed before the cutoff', async () => {
+    const old = await uploadNew();
+    const recent = await uploadNew();
+    await imageService.deleteImage(old);
+    await imageService.deleteImage(recent);
+    metadataService.setDeleted(old, 'upload', new Date(Date.now() - 40 * DAY).toISOString());
+
+    await expect(imageService.purgeTrash({ olderThan: new Date(Date.now() - 30 * DAY) }))
+      .resolves.toEqual({ purged: 1, failed: 0 });
+
+    expect(metadataService.get(old)).toBeNull();
+    await expect(imageService.getImage(old, { includeTrashed: true })).rejects.toMatchObject({ statusCode: 404 });
+    expect(metadataService.get(recent).deletedAt).not.toBeNull();
+  });
+
+  test('permanent deletes skip the trash', async () => {
+    const publicId = await uploadNew();
+
+    await expect(imageService.deleteImage(publicId, { permanent: true }))
+      .resolves.toMatchObject({ message: 'Image deleted successfully' });
+    expect(metadataService.get(publicId)).toBeNull();
+    await expect(imageService.deleteImage(publicId)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,244 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const config = require('../config/app.config');
+const fileTypeService = require('./file-type.service');
+
+// Address ranges a remote import must never reach
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// File extensions for image content types, used when the content itself
+// is not recognized
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+  'image/heic': 'heic',
+  'image/heif': 'heif',
+  'image/tiff': 'tiff'
+};
+
+const MAX_REDIRECTS = 3;
+
+class ImportService {
+  /**
+   * Download an image from a remote URL
+   * @param {String} sourceUrl - http(s) URL of the image
+   * @returns {Promise<Object>} File object shaped like express-fileupload's
+   */
+  async fetchImage(sourceUrl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.import.timeout);
+
+    try {
+      let url = this.checkUrl(sourceUrl);
+
+      for (let redirects = 0; ; redirects++) {
+        const response = await this.request(url, controller.signal);
+
+        if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            throw this.error(502, 'Too many redirects');
+          }
+          // Every hop is checked against the same rules
+          url = this.checkUrl(new URL(response.headers.location, url).toString());
+          continue;
+        }
+
+        if (response.statusCode !== 200) {
+          response.resume();
+          throw this.error(502, `Remote server responded with HTTP ${response.statusCode}`);
+        }
+
+        const data = await this.readBody(response);
+        const mimetype = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+        return {
+          name: this.getFileName(url, mimetype, data),
+          data,
+          size: data.length,
+          mimetype
+        };
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw this.error(504, `Remote server did not respond within ${config.import.timeout / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check protocol and host allowlist
+   * @param {String} value - URL to check
+   * @returns {URL} Parsed URL
+   */
+  checkUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw this.error(400, 'Invalid URL');
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw this.error(400, 'Only http and https URLs can be imported');
+    }
+    if (url.username || url.password) {
+      throw this.error(400, 'URLs with credentials cannot be imported');
+    }
+
+    const { allowedHosts } = config.import;
+    const hostname = url.hostname.toLowerCase();
+    const allowed = allowedHosts.length === 0 || allowedHosts.some(host =>
+      host.startsWith('*.')
+        ? hostname.endsWith(host.slice(1))
+        : hostname === host
+    );
+    if (!allowed) {
+      throw this.error(403, `Host is not allowed: ${hostname}`);
+    }
+
+    // IP literals never go through the DNS lookup, so check them here
+    const address = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(address) && this.isBlockedAddress(address)) {
+      throw this.error(403, `Address is not allowed: ${address}`);
+    }
+
+    return url;
+  }
+
+  /**
+   * Start a GET request whose DNS lookup rejects private addresses. The
+   * check runs on the address actually connected to, so DNS rebinding
+   * cannot slip past it.
+   */
+  request(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, {
+        signal,
+        lookup: (hostname, options, callback) => this.lookup(hostname, options, callback),
+        headers: {
+          'User-Agent': 'image-cdn-import/1.0',
+          Accept: 'image/*'
+        }
+      }, resolve);
+
+      req.on('error', (error) => {
+        reject(error.statusCode ? error : this.error(502, `Failed to fetch image: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * dns.lookup for http(s) requests that fails on private addresses
+   * @param {Boolean} allowPrivateNetworks - IMPORT_ALLOW_PRIVATE_NETWORKS by default
+   */
+  lookup(hostname, options, callback, allowPrivateNetworks = config.import.allowPrivateNetworks) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => this.isBlockedAddress(entry.address, allowPrivateNetworks));
+      if (blocked) {
+        return callback(this.error(403, `Address is not allowed: ${blocked.address}`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Whether an address is loopback, private, link-local or otherwise not
+   * publicly routable
+   * @param {String} address - IPv4 or IPv6 address
+   * @param {Boolean} allowPrivateNetworks - IMPORT_ALLOW_PRIVATE_NETWORKS by default
+   */
+  isBlockedAddress(address, allowPrivateNetworks = config.import.allowPrivateNetworks) {
+    if (allowPrivateNetworks) return false;
+
+    // IPv4-mapped IPv6 addresses are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+
+    return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Read the response body, stopping once it exceeds the size limit
+   */
+  readBody(response) {
+    const maxSize = config.maxFileSize;
+    const declared = parseInt(response.headers['content-length']);
+
+    if (declared > maxSize) {
+      response.destroy();
+      return Promise.reject(this.error(413, `Remote file exceeds limit. Maximum size: ${maxSize / 1024 / 1024}MB`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxSize) {
+          response.destroy();
+          reject(this.error(413, `Remote file exceeds limit. Maximum size: ${maxSize / 1024 / 1024}MB`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+  }
+
+  /**
+   * File name from the URL path, with an extension matching the content.
+   * The URL's own extension is dropped: servers negotiating on `Accept` may
+   * send WebP or AVIF for a .jpg URL.
+   * @param {URL} url - Final URL, after redirects
+   * @param {String} mimetype - Response Content-Type
+   * @param {Buffer} data - Response body
+   * @returns {String} File name
+   */
+  getFileName(url, mimetype, data) {
+    let base = path.posix.basename(url.pathname);
+    try {
+      base = decodeURIComponent(base);
+    } catch (error) {
+      // Malformed percent-encoding is kept as it is
+    }
+
+    const stem = path.posix.basename(base, path.extname(base)) || 'image';
+    const type = fileTypeService.detect(data);
+    return `${stem}.${type ? type.format : EXTENSIONS[mimetype] || 'bin'}`;
+  }
+
+  error(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,708 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const config = require('../config/app.config');
+const { getStorage } = require('./storage');
+const colorService = require('./color.service');
+const similarityService = require('./similarity.service');
+
+// Delivery types mirrored from the provider
+const TYPES = ['upload', 'private', 'authenticated'];
+
+// Columns of the images table. New columns are added to existing
+// databases on open, so append here rather than editing CREATE TABLE.
+const COLUMNS = {
+  public_id: 'TEXT NOT NULL',
+  type: "TEXT NOT NULL DEFAULT 'upload'",
+  folder: "TEXT NOT NULL DEFAULT ''",
+  format: 'TEXT',
+  width: 'INTEGER',
+  height: 'INTEGER',
+  bytes: 'INTEGER',
+  resource_type: "TEXT NOT NULL DEFAULT 'image'",
+  url: 'TEXT',
+  tags: "TEXT NOT NULL DEFAULT '[]'",
+  custom: "TEXT NOT NULL DEFAULT '{}'",
+  sha256: 'TEXT',
+  exif: 'TEXT',
+  original: 'TEXT',
+  animation: 'TEXT',
+  placeholder: 'TEXT',
+  colors: 'TEXT',
+  phash: 'TEXT',
+  focal_point: 'TEXT',
+  created_at: 'TEXT',
+  deleted_at: 'TEXT',
+  indexed_at: 'TEXT'
+};
+
+// Sortable fields mapped to columns
+const SORT_FIELDS = {
+  createdAt: 'created_at',
+  bytes: 'bytes',
+  width: 'width',
+  height: 'height',
+  format: 'format',
+  publicId: 'public_id',
+  deletedAt: 'deleted_at'
+};
+
+// Search expression fields mapped to columns
+const SEARCH_FIELDS = {
+  public_id: 'public_id',
+  folder: 'folder',
+  format: 'format',
+  resource_type: 'resource_type',
+  type: 'type',
+  bytes: 'bytes',
+  width: 'width',
+  height: 'height',
+  created_at: 'created_at',
+  uploaded_at: 'created_at'
+};
+
+const NUMERIC_FIELDS = ['bytes', 'width', 'height'];
+
+/**
+ * Local SQLite mirror of the image library. Uploads and deletes keep it
+ * current; reconcile() pulls everything from the storage provider to fill
+ * it and fix drift. List and search are served from here instead of the
+ * provider's API.
+ */
+class MetadataService {
+  /**
+   * Open the database on first use
+   * @returns {Database} SQLite connection
+   */
+  get db() {
+    if (!this.connection) {
+      fs.mkdirSync(path.dirname(config.metadata.dbPath), { recursive: true });
+      this.connection = new Database(config.metadata.dbPath);
+      this.connection.pragma('journal_mode = WAL');
+      this.migrate(this.connection);
+      // Perceptual distance from an image's stored colors to a hex color
+      this.connection.function('color_distance', { deterministic: true }, (colors, target) =>
+        colors ? colorService.distance(JSON.parse(colors), target) : null
+      );
+      this.connection.function('hamming_distance', { deterministic: true }, (a, b) =>
+        a && b ? similarityService.distance(a, b) : null
+      );
+    }
+    return this.connection;
+  }
+
+  migrate(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS images (
+        public_id TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'upload',
+        PRIMARY KEY (public_id, type)
+      );
+      CREATE TABLE IF NOT EXISTS state (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+
+    const existing = db.prepare('PRAGMA table_info(images)').all().map(column => column.name);
+    Object.entries(COLUMNS)
+      .filter(([name]) => !existing.includes(name))
+      .forEach(([name, definition]) => {
+        db.exec(`ALTER TABLE images ADD COLUMN ${name} ${definition}`);
+      });
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS images_folder ON images (folder);
+      CREATE INDEX IF NOT EXISTS images_created_at ON images (created_at);
+      CREATE INDEX IF NOT EXISTS images_sha256 ON images (sha256);
+      CREATE INDEX IF NOT EXISTS images_phash ON images (phash);
+      CREATE INDEX IF NOT EXISTS images_deleted_at ON images (deleted_at);
+    `);
+  }
+
+  /**
+   * Hash file contents
+   * @param {Buffer} buffer - Original file bytes
+   * @returns {String} Hex SHA-256 digest
+   */
+  hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Insert or update an image. Fields the provider does not report (hash,
+   * custom fields, EXIF, kept original, animation, placeholders, colors,
+   * perceptual hash) keep their stored values unless given.
+   * @param {Object} resource - Resource from the storage provider
+   * @param {Object} extra - sha256, context, exif, original, animation, placeholder, colors, phash, focalPoint
+   *   and deletedAt (null clears them)
+   */
+  upsert(resource, extra = {}) {
+    const type = resource.type || 'upload';
+    const context = extra.context || resource.context;
+
+    this.db.prepare(`
+      INSERT INTO images (public_id, type, folder, format, width, height, bytes,
+        resource_type, url, tags, custom, sha256, exif, original, animation, placeholder, colors, phash, focal_point,
+        created_at, indexed_at)
+      VALUES (@publicId, @type, @folder, @format, @width, @height, @bytes,
+        @resourceType, @url, @tags, @custom, @sha256, @exif, @original, @animation, @placeholder, @colors, @phash, @focalPoint,
+        @createdAt, @indexedAt)
+      ON CONFLICT (public_id, type) DO UPDATE SET
+        folder = excluded.folder,
+        format = excluded.format,
+        width = excluded.width,
+        height = excluded.height,
+        bytes = excluded.bytes,
+        resource_type = excluded.resource_type,
+        url = excluded.url,
+        tags = excluded.tags,
+        custom = COALESCE(@customUpdate, images.custom),
+        sha256 = COALESCE(excluded.sha256, images.sha256),
+        exif = CASE WHEN @exifGiven THEN excluded.exif ELSE images.exif END,
+        original = CASE WHEN @originalGiven THEN excluded.original ELSE images.original END,
+        animation = CASE WHEN @animationGiven THEN excluded.animation ELSE images.animation END,
+        placeholder = CASE WHEN @placeholderGiven THEN excluded.placeholder ELSE images.placeholder END,
+        colors = CASE WHEN @colorsGiven THEN excluded.colors ELSE images.colors END,
+        phash = CASE WHEN @phashGiven THEN excluded.phash ELSE images.phash END,
+        focal_point = CASE WHEN @focalPointGiven THEN excluded.focal_point ELSE images.focal_point END,
+        deleted_at = CASE WHEN @deletedAtGiven THEN @deletedAt ELSE images.deleted_at END,
+        created_at = excluded.created_at,
+        indexed_at = excluded.indexed_at
+    `).run({
+      publicId: resource.publicId,
+      type,
+      folder: this.getFolder(resource.publicId),
+      format: resource.format,
+      width: resource.width,
+      height: resource.height,
+      bytes: resource.bytes,
+      resourceType: resource.resourceType || 'image',
+      url: resource.url,
+      tags: JSON.stringify(resource.tags || []),
+      custom: JSON.stringify(context || {}),
+      customUpdate: context ? JSON.stringify(context) : null,
+      sha256: extra.sha256 || null,
+      exif: extra.exif ? JSON.stringify(extra.exif) : null,
+      exifGiven: 'exif' in extra ? 1 : 0,
+      original: extra.original ? JSON.stringify(extra.original) : null,
+      originalGiven: 'original' in extra ? 1 : 0,
+      animation: extra.animation ? JSON.stringify(extra.animation) : null,
+      animationGiven: 'animation' in extra ? 1 : 0,
+      placeholder: extra.placeholder ? JSON.stringify(extra.placeholder) : null,
+      placeholderGiven: 'placeholder' in extra ? 1 : 0,
+      colors: extra.colors ? JSON.stringify(extra.colors) : null,
+      colorsGiven: 'colors' in extra ? 1 : 0,
+      phash: extra.phash || null,
+      phashGiven: 'phash' in extra ? 1 : 0,
+      focalPoint: extra.focalPoint ? JSON.stringify(extra.focalPoint) : null,
+      focalPointGiven: 'focalPoint' in extra ? 1 : 0,
+      deletedAt: extra.deletedAt || null,
+      deletedAtGiven: 'deletedAt' in extra ? 1 : 0,
+      createdAt: resource.createdAt,
+      indexedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Remove images from the index
+   * @param {Array<String>} publicIds - Image public IDs
+   * @param {String} type - Delivery type
+   */
+  remove(publicIds, type = 'upload') {
+    const statement = this.db.prepare('DELETE FROM images WHERE public_id = ? AND type = ?');
+    this.db.transaction(() => {
+      publicIds.forEach(publicId => statement.run(publicId, type));
+    })();
+  }
+
+  /**
+   * Move an indexed image to a new public ID, keeping its hash and custom fields
+   * @param {String} fromId - Current public ID
+   * @param {String} toId - New public ID
+   * @param {String} type - Delivery type
+   */
+  rename(fromId, toId, type = 'upload') {
+    this.db
+      .prepare('UPDATE images SET public_id = ?, folder = ? WHERE public_id = ? AND type = ?')
+      .run(toId, this.getFolder(toId), fromId, type);
+  }
+
+  getFolder(publicId) {
+    return path.posix.dirname(publicId).replace(/^\.$/, '');
+  }
+
+  /**
+   * Get one indexed image
+   * @param {String} publicId - Image public ID
+   * @param {String} type - Delivery type
+   * @returns {Object|null} Resource
+   */
+  get(publicId, type = 'upload') {
+    const row = this.db
+      .prepare('SELECT * FROM images WHERE public_id = ? AND type = ?')
+      .get(publicId, type);
+    return row ? this.toResource(row) : null;
+  }
+
+  /**
+   * Move an image to the trash or take it out
+   * @param {String} publicId - Image public ID
+   * @param {String} type - Delivery type
+   * @param {String|null} deletedAt - ISO date, null to restore
+   */
+  setDeleted(publicId, type, deletedAt) {
+    this.db
+      .prepare('UPDATE images SET deleted_at = ? WHERE public_id = ? AND type = ?')
+      .run(deletedAt, publicId, type);
+  }
+
+  /**
+   * Images moved to the trash before a date
+   * @param {Date} before - Cutoff
+   * @returns {Array<Object>} { publicId, type }
+   */
+  trashedBefore(before) {
+    return this.db
+      .prepare('SELECT public_id, type FROM images WHERE deleted_at < ? ORDER BY deleted_at')
+      .all(before.toISOString())
+      .map(row => ({ publicId: row.public_id, type: row.type }));
+  }
+
+  /**
+   * Find the oldest indexed image with this content and delivery type
+   * @param {String} sha256 - SHA-256 of the original file
+   * @param {String} type - Delivery type
+   * @returns {Object|null} Resource
+   */
+  findByHash(sha256, type) {
+    const row = this.db
+      .prepare('SELECT * FROM images WHERE sha256 = ? AND type = ? AND deleted_at IS NULL ORDER BY created_at LIMIT 1')
+      .get(sha256, type);
+    return row ? this.toResource(row) : null;
+  }
+
+  /**
+   * Group indexed images sharing the same content
+   * @returns {Array<Object>} Groups with more than one image, largest waste first
+   */
+  duplicateGroups() {
+    const rows = this.db.prepare(`
+      SELECT * FROM images
+      WHERE deleted_at IS NULL AND sha256 IN (
+        SELECT sha256 FROM images WHERE sha256 IS NOT NULL AND deleted_at IS NULL
+        GROUP BY sha256 HAVING COUNT(*) > 1
+      )
+      ORDER BY created_at
+    `).all();
+
+    const groups = new Map();
+    rows.forEach(row => {
+      if (!groups.has(row.sha256)) groups.set(row.sha256, []);
+      groups.get(row.sha256).push({
+        publicId: row.public_id,
+        type: row.type,
+        bytes: row.bytes,
+        createdAt: row.created_at
+      });
+    });
+
+    return [...groups.entries()]
+      .map(([hash, images]) => ({
+        hash,
+        count: images.length,
+        original: images[0].publicId,
+        images,
+        // Stored bytes beyond the first copy
+        wastedBytes: images.slice(1).reduce((sum, image) => sum + (image.bytes || 0), 0)
+      }))
+      .sort((a, b) => b.wastedBytes - a.wastedBytes);
+  }
+
+  /**
+   * Images whose perceptual hash is within a distance of another image's,
+   * closest first. Images of every delivery type are compared.
+   * @param {Object} image - Indexed image (publicId, type, phash)
+   * @param {Object} options - threshold, maxResults
+   * @returns {Array<Object>} Resources with their hashDistance
+   */
+  similar(image, { threshold, maxResults = 30 }) {
+    const rows = this.db.prepare(`
+      SELECT *, hamming_distance(phash, @phash) AS hash_distance FROM images
+      WHERE phash IS NOT NULL
+        AND deleted_at IS NULL
+        AND NOT (public_id = @publicId AND type = @type)
+        AND hamming_distance(phash, @phash) <= @threshold
+      ORDER BY hash_distance, created_at, public_id
+      LIMIT @maxResults
+    `).all({ phash: image.phash, publicId: image.publicId, type: image.type, threshold, maxResults });
+
+    return rows.map(row => this.toResource(row));
+  }
+
+  /**
+   * Group indexed images that look alike. In each group the image with the
+   * most pixels (then bytes) is the one to keep; the others are candidates
+   * for removal.
+   * @param {Number} threshold - Largest hash distance between neighbors
+   * @returns {Array<Object>} Groups, most reclaimable bytes first
+   */
+  similarGroups(threshold) {
+    const rows = this.db.prepare(`
+      SELECT public_id, type, format, width, height, bytes, phash, created_at
+      FROM images WHERE phash IS NOT NULL AND deleted_at IS NULL
+      ORDER BY created_at
+    `).all();
+
+    return similarityService.group(rows, threshold)
+      .map(group => {
+        const [keep, ...others] = [...group].sort((a, b) =>
+          (b.width * b.height) - (a.width * a.height) || b.bytes - a.bytes
+        );
+        const images = [keep, ...others].map(row => ({
+          publicId: row.public_id,
+          type: row.type,
+          format: row.format,
+          width: row.width,
+          height: row.height,
+          bytes: row.bytes,
+          createdAt: row.created_at,
+          // Distance from the image to keep
+          hashDistance: similarityService.distance(keep.phash, row.phash)
+        }));
+
+        return {
+          count: images.length,
+          keep: keep.public_id,
+          images,
+          reclaimableBytes: others.reduce((sum, row) => sum + (row.bytes || 0), 0)
+        };
+      })
+      .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
+  }
+
+  /**
+   * List indexed images of one delivery type
+   * @param {Object} options - type, prefix, folder, tag, format, size,
+   *   dimension and date ranges, color and colorTolerance, trashed, sortBy,
+   *   order, maxResults, nextCursor
+   * @returns {Object} { resources, totalCount, nextCursor }
+   */
+  list(options = {}) {
+    const where = ['type = ?'];
+    const params = [options.type || 'upload'];
+
+    if (options.prefix) {
+      where.push("public_id LIKE ? ESCAPE '\\'");
+      params.push(`${this.escapeLike(options.prefix)}%`);
+    }
+
+    this.addFilters(options, where, params);
+    return this.query(where, params, options);
+  }
+
+  /**
+   * Search indexed images with a subset of the Cloudinary search syntax:
+   * `folder:uploads AND tags=featured AND bytes>100000 AND public_id:banner*`
+   * @param {Object} options - expression plus the list() filters and sorting
+   * @returns {Object} { resources, totalCount, nextCursor }
+   */
+  search(options = {}) {
+    const where = [];
+    const params = [];
+
+    this.parseExpression(options.expression).forEach(term => {
+      where.push(term.sql);
+      params.push(...term.params);
+    });
+
+    this.addFilters(options, where, params);
+    return this.query(where, params, options);
+  }
+
+  addFilters(options, where, params) {
+    // Images in the trash are only listed on their own
+    where.push(options.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+
+    const ranges = [
+      ['minBytes', 'bytes >= ?'], ['maxBytes', 'bytes <= ?'],
+      ['minWidth', 'width >= ?'], ['maxWidth', 'width <= ?'],
+      ['minHeight', 'height >= ?'], ['maxHeight', 'height <= ?'],
+      ['createdAfter', 'created_at >= ?'], ['createdBefore', 'created_at <= ?']
+    ];
+
+    if (options.folder !== undefined) {
+      where.push('folder = ?');
+      params.push(options.folder);
+    }
+    if (options.format) {
+      // Providers disagree on jpg/jpeg
+      const format = options.format.toLowerCase();
+      const formats = ['jpg', 'jpeg'].includes(format) ? ['jpg', 'jpeg'] : [format];
+      where.push(`format IN (${formats.map(() => '?').join(', ')})`);
+      params.push(...formats);
+    }
+    if (options.tag) {
+      where.push('EXISTS (SELECT 1 FROM json_each(images.tags) WHERE value = ?)');
+      params.push(options.tag);
+    }
+    if (options.color) {
+      where.push('color_distance(colors, ?) <= ?');
+      params.push(options.color, options.colorTolerance ?? config.colors.tolerance);
+    }
+
+    ranges
+      .filter(([option]) => options[option] !== undefined)
+      .forEach(([option, sql]) => {
+        where.push(sql);
+        const value = options[option];
+        params.push(value instanceof Date ? value.toISOString() : value);
+      });
+  }
+
+  query(where, params, options) {
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const column = SORT_FIELDS[options.sortBy] || 'created_at';
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const maxResults = Math.min(options.maxResults || 30, 500);
+    const offset = parseInt(options.nextCursor) || 0;
+
+    const { count } = this.db
+      .prepare(`SELECT COUNT(*) AS count FROM images ${clause}`)
+      .get(...params);
+
+    // Color searches are ranked by closeness, closest first, unless another
+    // order is asked for
+    const distance = options.color ? ', color_distance(colors, ?) AS color_distance' : '';
+    const ranked = options.color && [undefined, 'colorDistance'].includes(options.sortBy);
+    const closeness = options.order === 'desc' ? 'DESC' : 'ASC';
+    const order = ranked
+      ? `color_distance ${closeness}, public_id ${closeness}`
+      : `${column} ${direction}, public_id ${direction}`;
+
+    const rows = this.db.prepare(`
+      SELECT *${distance} FROM images ${clause}
+      ORDER BY ${order}
+      LIMIT ? OFFSET ?
+    `).all(...(options.color ? [options.color] : []), ...params, maxResults, offset);
+
+    const next = offset + maxResults;
+
+    return {
+      resources: rows.map(row => this.toResource(row)),
+      totalCount: count,
+      nextCursor: next < count ? String(next) : undefined
+    };
+  }
+
+  /**
+   * Translate search terms joined by AND into SQL conditions
+   * @param {String} expression - Search expression
+   * @returns {Array<Object>} { sql, params } per term
+   */
+  parseExpression(expression) {
+    return expression
+      .split(/\s+AND\s+/i)
+      .map(term => term.trim())
+      .filter(Boolean)
+      .map(term => {
+        const match = term.match(/^(\w+)\s*(:|=|>=|<=|>|<)\s*"?([^"]*)"?$/);
+        if (!match) {
+          // Bare words match anywhere in the public ID or a tag
+          const pattern = `%${this.escapeLike(term)}%`;
+          return {
+            sql: "(public_id LIKE ? ESCAPE '\\' OR EXISTS (SELECT 1 FROM json_each(images.tags) WHERE value LIKE ? ESCAPE '\\'))",
+            params: [pattern, pattern]
+          };
+        }
+
+        const [, name, operator, value] = match;
+        const field = name.toLowerCase();
+
+        if (field === 'tags' || field === 'tag') {
+          return value.endsWith('*')
+            ? { sql: "EXISTS (SELECT 1 FROM json_each(images.tags) WHERE value LIKE ? ESCAPE '\\')", params: [`${this.escapeLike(value.slice(0, -1))}%`] }
+            : { sql: 'EXISTS (SELECT 1 FROM json_each(images.tags) WHERE value = ?)', params: [value] };
+        }
+
+        const column = SEARCH_FIELDS[field];
+        if (!column) {
+          throw new Error(`Unsupported search field: ${name}`);
+        }
+
+        const typed = NUMERIC_FIELDS.includes(column) ? Number(value) : value;
+        if (NUMERIC_FIELDS.includes(column) && Number.isNaN(typed)) {
+          throw new Error(`${name} must be a number`);
+        }
+
+        if (operator === ':' || operator === '=') {
+          return value.endsWith('*')
+            ? { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`${this.escapeLike(value.slice(0, -1))}%`] }
+            : { sql: `${column} = ?`, params: [typed] };
+        }
+        return { sql: `${column} ${operator} ?`, params: [typed] };
+      });
+  }
+
+  escapeLike(value) {
+    return value.replace(/[\\%_]/g, character => `\\${character}`);
+  }
+
+  /**
+   * Pull every image from the storage provider into the index. With
+   * `prune`, indexed images the provider no longer has are removed.
+   * @param {Object} options - prune
+   * @returns {Promise<Object>} { added, updated, removed, total }
+   */
+  async reconcile({ prune = true } = {}) {
+    const storage = getStorage();
+    const startedAt = new Date().toISOString();
+    const seen = new Set();
+    const summary = { added: 0, updated: 0, removed: 0, total: 0 };
+
+    for (const type of TYPES) {
+      let nextCursor;
+      do {
+        const page = await storage.list({ type, maxResults: 500, nextCursor, tags: true, context: true });
+
+        page.resources.filter(resource => !this.isOriginal(resource.publicId)).forEach(resource => {
+          const current = { ...resource, type: resource.type || type };
+          const existing = this.get(current.publicId, current.type);
+
+          if (!existing) {
+            summary.added++;
+          } else if (this.hasChanged(existing, current)) {
+            summary.updated++;
+          }
+
+          this.upsert(current);
+          seen.add(`${current.type}:${current.publicId}`);
+        });
+
+        nextCursor = page.nextCursor;
+      } while (nextCursor);
+    }
+
+    if (prune) {
+      // Images indexed while the provider was being listed are not stale
+      const stale = this.db.prepare('SELECT public_id, type FROM images WHERE indexed_at < ?').all(startedAt)
+        .filter(row => !seen.has(`${row.type}:${row.public_id}`));
+
+      const statement = this.db.prepare('DELETE FROM images WHERE public_id = ? AND type = ?');
+      this.db.transaction(() => {
+        stale.forEach(row => statement.run(row.public_id, row.type));
+      })();
+      summary.removed = stale.length;
+    }
+
+    summary.total = seen.size;
+    this.setState('lastReconciledAt', new Date().toISOString());
+    return summary;
+  }
+
+  /**
+   * Compute perceptual hashes of indexed images that have none, such as
+   * images indexed before hashing existed or uploaded outside this
+   * service. Each image is read from the storage provider, one at a time.
+   * @param {Object} options - force: rehash every image
+   * @returns {Promise<Object>} { hashed, failed, total }
+   */
+  async backfillHashes({ force = false } = {}) {
+    const storage = getStorage();
+    const rows = this.db
+      .prepare(`SELECT public_id, type FROM images ${force ? '' : 'WHERE phash IS NULL'}`)
+      .all();
+    const summary = { hashed: 0, failed: 0, total: rows.length };
+
+    for (const row of rows) {
+      try {
+        const phash = await similarityService.hash(await storage.read(row.public_id, { type: row.type }));
+        if (!phash) throw new Error('image could not be decoded');
+
+        this.setHash(row.public_id, row.type, phash);
+        summary.hashed++;
+      } catch (error) {
+        console.warn(`Could not hash ${row.public_id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  setHash(publicId, type, phash) {
+    this.db
+      .prepare('UPDATE images SET phash = ? WHERE public_id = ? AND type = ?')
+      .run(phash, publicId, type);
+  }
+
+  /**
+   * Set or clear the point crops of an image are centered on
+   * @param {String} publicId - Image public ID
+   * @param {String} type - Delivery type
+   * @param {Object|null} focalPoint - { x, y } as fractions of the width and height
+   */
+  setFocalPoint(publicId, type, focalPoint) {
+    this.db
+      .prepare('UPDATE images SET focal_point = ? WHERE public_id = ? AND type = ?')
+      .run(focalPoint ? JSON.stringify(focalPoint) : null, publicId, type);
+  }
+
+  /**
+   * Whether a public ID is an uploaded file kept next to its converted
+   * image; those are reached through the converted image, not indexed
+   * @param {String} publicId - Image public ID
+   * @returns {Boolean}
+   */
+  isOriginal(publicId) {
+    return publicId.startsWith(`${config.convert.originalsFolder}/`);
+  }
+
+  hasChanged(existing, resource) {
+    return ['url', 'format', 'width', 'height', 'bytes', 'createdAt'].some(key => existing[key] !== resource[key]) ||
+      JSON.stringify(existing.tags) !== JSON.stringify(resource.tags || []);
+  }
+
+  getState(key) {
+    const row = this.db.prepare('SELECT value FROM state WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setState(key, value) {
+    this.db
+      .prepare('INSERT INTO state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  /**
+   * Map a row to the common storage resource shape
+   */
+  toResource(row) {
+    return {
+      publicId: row.public_id,
+      url: row.url,
+      format: row.format,
+      width: row.width,
+      height: row.height,
+      bytes: row.bytes,
+      createdAt: row.created_at,
+      resourceType: row.resource_type,
+      type: row.type,
+      tags: JSON.parse(row.tags),
+      context: JSON.parse(row.custom),
+      exif: row.exif ? JSON.parse(row.exif) : null,
+      original: row.original ? JSON.parse(row.original) : null,
+      animation: row.animation ? JSON.parse(row.animation) : null,
+      placeholder: row.placeholder ? JSON.parse(row.placeholder) : null,
+      colors: row.colors ? JSON.parse(row.colors) : null,
+      phash: row.phash,
+      focalPoint: row.focal_point ? JSON.parse(row.focal_point) : null,
+      deletedAt: row.deleted_at,
+      ...(row.color_distance !== undefined && { colorDistance: Math.round(row.color_distance * 10) / 10 }),
+      ...(row.hash_distance !== undefined && { hashDistance: row.hash_distance })
+    };
+  }
+}
+
+module.exports = new MetadataService();
@@ -0,0 +1,120 @@
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const metadataService = require('./metadata.service');
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 30, g: 120, b: 200 } }
+}).png().toBuffer();
+
+/**
+ * Index a resource that only exists in the database
+ */
+const index = (publicId, fields = {}, extra = {}) => metadataService.upsert({
+  publicId,
+  url: `http://localhost/${publicId}`,
+  format: 'png',
+  width: 100,
+  height: 100,
+  bytes: 1000,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  tags: [],
+  ...fields
+}, extra);
+
+// Rows indexed in the same millisecond a reconcile starts count as fresh
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const ids = result => result.resources.map(resource => resource.publicId).sort();
+
+describe('metadataService', () => {
+  test('upsert keeps stored fields that are not given and clears those given as null', () => {
+    index('kept/photo', {}, { sha256: 'abc', placeholder: { dataUrl: 'data:' }, focalPoint: { x: 0.5, y: 0.5 } });
+    index('kept/photo', { bytes: 2000 }, { focalPoint: null });
+
+    expect(metadataService.get('kept/photo')).toMatchObject({
+      bytes: 2000,
+      placeholder: { dataUrl: 'data:' },
+      focalPoint: null
+    });
+    expect(metadataService.findByHash('abc', 'upload')).toMatchObject({ publicId: 'kept/photo' });
+  });
+
+  test('lists by folder, tag and format, leaving trashed images out', () => {
+    index('list/a', { format: 'jpg', tags: ['featured'] });
+    index('list/b', { format: 'jpeg' });
+    index('list/c', { format: 'png', tags: ['featured'] });
+    index('list/nested/d', { format: 'jpg' });
+    index('list/e', { format: 'jpg' });
+    metadataService.setDeleted('list/e', 'upload', new Date().toISOString());
+
+    expect(ids(metadataService.list({ folder: 'list' }))).toEqual(['list/a', 'list/b', 'list/c']);
+    expect(ids(metadataService.list({ folder: 'list', format: 'jpg' }))).toEqual(['list/a', 'list/b']);
+    expect(ids(metadataService.list({ prefix: 'list/', tag: 'featured' }))).toEqual(['list/a', 'list/c']);
+    expect(ids(metadataService.list({ folder: 'list', trashed: true }))).toEqual(['list/e']);
+  });
+
+  test('treats LIKE wildcards in a prefix literally', () => {
+    index('wild_card/a');
+    index('wildXcard/b');
+
+    expect(ids(metadataService.list({ prefix: 'wild_' }))).toEqual(['wild_card/a']);
+  });
+
+  test('searches with the Cloudinary expression syntax', () => {
+    index('search/banner-big', { bytes: 200000, tags: ['featured'] });
+    index('search/banner-small', { bytes: 5000, tags: ['featured'] });
+    index('search/logo', { bytes: 300000, tags: ['featured'] });
+
+    const { resources, totalCount } = metadataService.search({
+      expression: 'folder:search AND tags=featured AND bytes>100000 AND public_id:search/banner*'
+    });
+
+    expect(totalCount).toBe(1);
+    expect(resources[0].publicId).toBe('search/banner-big');
+    expect(() => metadataService.search({ expression: 'owner:me' })).toThrow('Unsupported search field: owner');
+  });
+
+  describe('reconcile', () => {
+    beforeEach(async () => {
+      await metadataService.reconcile();
+    });
+
+    test('indexes images found in storage and skips stored originals', async () => {
+      const storage = getStorage();
+      await storage.upload(await png(20, 10), { folder: 'synced', publicId: 'one' });
+      await storage.upload(await png(30, 10), { folder: 'synced', publicId: 'two' });
+      await storage.upload(await png(40, 10), { folder: 'originals', publicId: 'three' });
+
+      await expect(metadataService.reconcile()).resolves.toMatchObject({ added: 2, updated: 0, removed: 0 });
+      expect(metadataService.get('synced/two')).toMatchObject({ width: 30, height: 10, format: 'png' });
+      expect(metadataService.get('originals/three')).toBeNull();
+      expect(Date.now() - new Date(metadataService.getState('lastReconciledAt'))).toBeLessThan(60 * 1000);
+    });
+
+    test('counts changed images and prunes images gone from storage', async () => {
+      const storage = getStorage();
+      await storage.upload(await png(20, 20), { folder: 'drift', publicId: 'changed' });
+      await storage.upload(await png(20, 20), { folder: 'drift', publicId: 'deleted' });
+      await metadataService.reconcile();
+
+      await storage.upload(await png(20, 20), { folder: 'drift', publicId: 'changed', tags: ['new'] });
+      await storage.delete('drift/deleted');
+      index('drift/never-stored');
+      await tick();
+
+      const summary = await metadataService.reconcile();
+      expect(summary).toMatchObject({ added: 0, updated: 1, removed: 2 });
+      expect(metadataService.get('drift/changed').tags).toEqual(['new']);
+      expect(metadataService.get('drift/deleted')).toBeNull();
+      expect(metadataService.get('drift/never-stored')).toBeNull();
+    });
+
+    test('prune=false leaves stale rows in place', async () => {
+      index('stale/kept');
+      await tick();
+
+      await expect(metadataService.reconcile({ prune: false })).resolves.toMatchObject({ removed: 0 });
+      expect(metadataService.get('stale/kept')).not.toBeNull();
+    });
+  });
+});
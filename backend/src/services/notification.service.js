@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const { cloudinary } = require('../config/cloudinary.config');
+const { getStorage } = require('./storage');
+const metadataService = require('./metadata.service');
+const renderService = require('./render.service');
+const webhookService = require('./webhook.service');
+const imageService = require('./image.service');
+
+/**
+ * Receives Cloudinary notifications for changes made outside this service
+ * (console, other apps) and applies them to local state: the metadata
+ * index, the render cache and outbound webhooks.
+ */
+class NotificationService {
+  constructor() {
+    // Signatures already handled, with the time they stop being valid
+    this.seen = new Map();
+  }
+
+  /**
+   * Verify a notification's signature: hex(SHA(body + timestamp + api_secret))
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {String} timestamp - X-Cld-Timestamp header (Unix seconds)
+   * @param {String} signature - X-Cld-Signature header
+   */
+  verify(rawBody, timestamp, signature) {
+    if (!timestamp || !signature) {
+      throw this.error(401, 'Missing Cloudinary signature headers');
+    }
+
+    const sentAt = parseInt(timestamp);
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isInteger(sentAt) || Math.abs(now - sentAt) > config.notifications.tolerance) {
+      throw this.error(401, 'Notification timestamp is outside the allowed window');
+    }
+
+    const { api_secret: secret, signature_algorithm: algorithm = 'sha1' } = cloudinary.config();
+    const expected = crypto
+      .createHash(algorithm)
+      .update(Buffer.concat([rawBody, Buffer.from(`${timestamp}${secret}`)]))
+      .digest('hex');
+
+    const given = Buffer.from(String(signature));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+      throw this.error(401, 'Invalid notification signature');
+    }
+  }
+
+  /**
+   * Whether a verified notification was already handled
+   * @param {String} signature - X-Cld-Signature header
+   * @returns {Boolean} True for a replay
+   */
+  isReplay(signature) {
+    return this.seen.has(signature);
+  }
+
+  /**
+   * Remember a handled notification until its timestamp leaves the
+   * allowed window; older ones are rejected by verify() anyway
+   * @param {String} signature - X-Cld-Signature header
+   * @param {String} timestamp - X-Cld-Timestamp header
+   */
+  markHandled(signature, timestamp) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [seenSignature, expiresAt] of this.seen) {
+      if (expiresAt < now) this.seen.delete(seenSignature);
+    }
+    this.seen.set(signature, parseInt(timestamp) + config.notifications.tolerance);
+  }
+
+  /**
+   * Turn a notification into internal events and apply them
+   * @param {Object} notification - Parsed notification body
+   * @returns {Promise<Array<Object>>} Applied events
+   */
+  async handle(notification) {
+    const events = this.toEvents(notification);
+    const applied = [];
+
+    for (const event of events) {
+      if (await this.apply(event)) applied.push(event);
+    }
+    return applied;
+  }
+
+  /**
+   * Map a Cloudinary notification to internal events
+   * @param {Object} notification - Parsed notification body
+   * @returns {Array<Object>} Events: { name, publicId, type, resource?, from? }
+   */
+  toEvents(notification) {
+    const isImage = item => (item.resource_type || 'image') === 'image';
+
+    switch (notification.notification_type) {
+      case 'upload':
+        if (!isImage(notification)) return [];
+        return [{
+          name: 'image.uploaded',
+          publicId: notification.public_id,
+          type: notification.type || 'upload',
+          resource: getStorage().toResource(notification)
+        }];
+
+      case 'delete':
+        return (notification.resources || [])
+          .filter(isImage)
+          .map(resource => ({
+            name: 'image.deleted',
+            publicId: resource.public_id,
+            type: resource.type || 'upload'
+          }));
+
+      case 'rename':
+        if (!isImage(notification)) return [];
+        return [{
+          name: 'image.renamed',
+          from: notification.from_public_id,
+          publicId: notification.to_public_id,
+          type: notification.type || 'upload'
+        }];
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Update local state for one event and forward it to webhook subscribers.
+   * Changes this service made itself are already reflected locally and are
+   * not forwarded again.
+   * @param {Object} event - Internal event
+   * @returns {Promise<Boolean>} True when local state changed
+   */
+  async apply(event) {
+    if (metadataService.isOriginal(event.publicId)) return false;
+
+    const indexed = metadataService.get(event.publicId, event.type);
+
+    switch (event.name) {
+      case 'image.uploaded': {
+        // The delivery URL carries the version, so an unchanged URL means
+        // this upload is already indexed
+        if (indexed && indexed.url === event.resource.url) return false;
+
+        await renderService.invalidate(event.publicId);
+        metadataService.upsert(event.resource);
+
+        webhookService.emit(
+          indexed ? 'image.replaced' : 'image.uploaded',
+          imageService.formatImage(event.resource)
+        );
+        return true;
+      }
+
+      case 'image.deleted': {
+        if (!indexed) return false;
+
+        await renderService.invalidate(event.publicId);
+        metadataService.remove([event.publicId], event.type);
+        webhookService.emit('image.deleted', { publicId: event.publicId, type: event.type });
+        return true;
+      }
+
+      case 'image.renamed': {
+        if (indexed || !metadataService.get(event.from, event.type)) return false;
+
+        // Fetch first so a failure leaves local state untouched for the retry
+        const resource = await getStorage().get(event.publicId, { type: event.type });
+
+        await renderService.invalidate(event.from);
+        metadataService.rename(event.from, event.publicId, event.type);
+        metadataService.upsert(resource);
+
+        webhookService.emit('image.renamed', {
+          from: event.from,
+          publicId: event.publicId,
+          type: event.type
+        });
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  error(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new NotificationService();
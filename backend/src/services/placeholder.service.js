@@ -0,0 +1,68 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const config = require('../config/app.config');
+
+/**
+ * Loading placeholders computed on upload: a BlurHash string and a tiny
+ * blurred image as a base64 data URI (LQIP), both small enough to ship
+ * inline with API responses.
+ */
+class PlaceholderService {
+  /**
+   * Compute the placeholders of an image
+   * @param {Buffer} buffer - Stored image bytes
+   * @returns {Promise<Object|null>} { blurhash, lqip }, null when the image cannot be decoded
+   */
+  async generate(buffer) {
+    try {
+      const [blurhash, lqip] = await Promise.all([
+        this.getBlurhash(buffer),
+        this.getLqip(buffer)
+      ]);
+      return { blurhash, lqip };
+    } catch (error) {
+      console.warn('Placeholder generation failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * BlurHash of the upright first frame. Components follow the aspect
+   * ratio: more across for landscape images, more down for portrait ones.
+   */
+  async getBlurhash(buffer) {
+    const { size, components } = config.placeholder.blurhash;
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const landscape = info.width >= info.height;
+    const minor = Math.max(1, Math.round(components * Math.min(info.width, info.height) / Math.max(info.width, info.height)));
+    return encode(
+      new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+      info.width,
+      info.height,
+      landscape ? components : minor,
+      landscape ? minor : components
+    );
+  }
+
+  /**
+   * Tiny blurred WebP of the upright first frame, as a data URI
+   */
+  async getLqip(buffer) {
+    const { width, quality } = config.placeholder.lqip;
+    const lqip = await sharp(buffer)
+      .rotate()
+      .resize(width, width, { fit: 'inside' })
+      .blur()
+      .webp({ quality })
+      .toBuffer();
+    return `data:image/webp;base64,${lqip.toString('base64')}`;
+  }
+}
+
+module.exports = new PlaceholderService();
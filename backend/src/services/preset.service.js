@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const DataStore = require('./data.store');
+
+/**
+ * Named transformation presets (e.g. card, hero, avatar). A preset holds
+ * render parameters (w, h, fit, format, q) so clients can ask for a
+ * derivative by name instead of building a transformation themselves.
+ */
+class PresetService {
+  constructor() {
+    this.presets = new DataStore('presets');
+  }
+
+  /**
+   * List presets by name
+   * @returns {Array<Object>} Presets
+   */
+  listPresets() {
+    return this.presets.all().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getPreset(name) {
+    return this.presets.find(preset => preset.name === name);
+  }
+
+  /**
+   * Create a preset
+   * @param {Object} options - name, description, transformation
+   * @returns {Object} Created preset
+   * @throws {Error} 409 error when the name is taken
+   */
+  createPreset({ name, description, transformation }) {
+    if (this.getPreset(name)) {
+      throw this.error(409, 'PRESET_EXISTS', `Preset ${name} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    return this.presets.insert({
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      description: description || '',
+      transformation,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Change a preset's description or transformation. A new transformation
+   * replaces the old one rather than being merged into it.
+   * @param {String} name - Preset name
+   * @param {Object} changes - description, transformation
+   * @returns {Object|null} Updated preset, or null when it does not exist
+   */
+  updatePreset(name, changes) {
+    const preset = this.getPreset(name);
+    if (!preset) return null;
+
+    return this.presets.update(preset.id, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  deletePreset(name) {
+    const preset = this.getPreset(name);
+    return preset ? this.presets.remove(preset.id) : false;
+  }
+
+  /**
+   * Transformation of a preset requested by name
+   * @param {String} name - Preset name
+   * @returns {Object} Render parameters
+   * @throws {Error} 400 error when there is no such preset
+   */
+  resolve(name) {
+    const preset = this.getPreset(name);
+    if (!preset) {
+      throw this.error(400, 'UNKNOWN_PRESET', `Unknown preset: ${name}`);
+    }
+    return preset.transformation;
+  }
+
+  error(statusCode, code, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new PresetService();
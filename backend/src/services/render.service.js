@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config/app.config');
+const { getStorage } = require('./storage');
+const signingService = require('./signing.service');
+const metadataService = require('./metadata.service');
+const watermarkService = require('./watermark.service');
+const presetService = require('./preset.service');
+
+// Output formats sharp can encode, with their Content-Type
+const OUTPUT_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+
+// Output formats that keep every frame of animated originals
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+class RenderService {
+  constructor() {
+    // Bytes in the disk cache, counted from disk on first use
+    this.cacheBytes = null;
+    this.eviction = null;
+  }
+
+  /**
+   * Render a derivative of a stored image, serving it from the disk cache
+   * when the same parameters were rendered before
+   * @param {String} publicId - Image public ID
+   * @param {Object} params - w, h, fit, format, q, wm or a preset, and type, expires, sig for signed URLs
+   * @param {String} accept - Request Accept header, used by format=auto
+   * @returns {Promise<Object>} { path, contentType, cached, signed, negotiated }
+   */
+  async render(publicId, params = {}, accept = '') {
+    const storage = getStorage();
+
+    // Tampered or expired signatures are rejected even for public images
+    if (params.sig) {
+      signingService.verify(publicId, params);
+    }
+
+    // A preset stands in for the transformation parameters; the ones given
+    // in the URL override its values
+    const transformation = params.preset ? { ...presetService.resolve(params.preset), ...params } : params;
+
+    // The metadata index answers without a provider call, so cache hits
+    // never reach the provider; images it does not have yet are looked up
+    const indexed = metadataService.get(publicId, params.type || 'upload');
+    let resource = indexed;
+    if (!resource) {
+      try {
+        resource = await storage.get(publicId, { type: params.type });
+      } catch (error) {
+        if (error.statusCode === 404) throw this.notFound();
+        throw new Error(`Failed to render image: ${error.message}`);
+      }
+    }
+
+    // Images in the trash are not delivered
+    if (indexed && indexed.deletedAt) {
+      throw this.notFound();
+    }
+
+    // Private and authenticated images, and watermarks named in the URL or
+    // its preset, are only delivered through signed URLs
+    const signed = Boolean(params.sig);
+    if ((resource.type !== 'upload' || transformation.wm) && !signed) {
+      signingService.verify(publicId, params);
+    }
+
+    const options = {
+      ...this.normalize(transformation, resource.format, accept),
+      // The folder's delivery watermark cannot be swapped out; the one named
+      // in the URL only applies to images without a default
+      watermark: watermarkService.forImage(publicId, 'delivery') ||
+        (transformation.wm ? watermarkService.resolve(transformation.wm) : null),
+      focalPoint: indexed ? indexed.focalPoint : null
+    };
+    const cachePath = this.getCachePath(publicId, options);
+    const negotiated = transformation.format === 'auto';
+
+    if (fs.existsSync(cachePath)) {
+      // Recently served derivatives are the last to be evicted
+      const now = new Date();
+      fs.promises.utimes(cachePath, now, now).catch(() => {});
+      return { path: cachePath, contentType: OUTPUT_FORMATS[options.format], cached: true, signed, negotiated };
+    }
+
+    let original;
+    try {
+      original = await storage.read(publicId, { type: resource.type });
+    } catch (error) {
+      // The index can be behind deletes made outside this service
+      if (error.statusCode === 404) throw this.notFound();
+      throw new Error(`Failed to render image: ${error.message}`);
+    }
+
+    try {
+      const buffer = await this.transform(original, options);
+
+      // Write to a temporary file first so concurrent requests never read a
+      // partially written derivative
+      const tmpPath = `${cachePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, buffer);
+      await fs.promises.rename(tmpPath, cachePath);
+      await this.trackCache(buffer.length);
+
+      return { path: cachePath, contentType: OUTPUT_FORMATS[options.format], cached: false, signed, negotiated };
+    } catch (error) {
+      throw new Error(`Failed to render image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply resize and encoding options with sharp
+   * @param {Buffer} buffer - Original image bytes
+   * @param {Object} options - Normalized render options
+   * @returns {Promise<Buffer>} Rendered image
+   */
+  async transform(buffer, options) {
+    const animated = ANIMATED_FORMATS.includes(options.format);
+
+    // Originals uploaded without optimization may still carry an orientation tag
+    let sharpInstance = sharp(buffer, { animated }).rotate();
+
+    // Cover crops are cut around the focal point when the image has one
+    let position = 'centre';
+    if (this.crops(options)) {
+      const metadata = await sharp(buffer).metadata();
+      if (options.focalPoint) {
+        sharpInstance = sharpInstance.extract(this.getFocalRegion(metadata, options));
+      } else if (config.render.cropStrategy !== 'center' && !(animated && metadata.pages > 1)) {
+        // sharp cannot look for interesting regions across frames
+        position = sharp.strategy[config.render.cropStrategy];
+      }
+    }
+
+    if (options.width || options.height) {
+      sharpInstance = sharpInstance.resize(options.width, options.height, {
+        fit: options.fit,
+        position,
+        withoutEnlargement: true
+      });
+    }
+
+    if (options.watermark) {
+      sharpInstance = await watermarkService.apply(sharpInstance, options.watermark);
+    }
+
+    const encoderOptions = { quality: options.quality };
+    if (options.format === 'jpeg') encoderOptions.progressive = true;
+    if (options.format === 'png') encoderOptions.compressionLevel = 9;
+
+    return sharpInstance.toFormat(options.format, encoderOptions).toBuffer();
+  }
+
+  /**
+   * Whether the options cut the image to a different aspect ratio
+   * @param {Object} options - Render options
+   * @returns {Boolean}
+   */
+  crops(options) {
+    return Boolean(options.fit === 'cover' && options.width && options.height);
+  }
+
+  /**
+   * Largest region with the target aspect ratio centered on the focal
+   * point, shifted to stay inside the upright image
+   * @param {Object} metadata - sharp metadata of the original; dimensions are those of one frame
+   * @param {Object} options - Render options with width, height and focalPoint
+   * @returns {Object} { left, top, width, height }
+   */
+  getFocalRegion(metadata, options) {
+    const upright = metadata.orientation >= 5;
+    const width = upright ? metadata.height : metadata.width;
+    const height = upright ? metadata.width : metadata.height;
+    const ratio = options.width / options.height;
+
+    const regionWidth = Math.min(width, Math.round(height * ratio));
+    const regionHeight = Math.min(height, Math.round(width / ratio));
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+    return {
+      left: clamp(Math.round(options.focalPoint.x * width - regionWidth / 2), width - regionWidth),
+      top: clamp(Math.round(options.focalPoint.y * height - regionHeight / 2), height - regionHeight),
+      width: regionWidth,
+      height: regionHeight
+    };
+  }
+
+  /**
+   * Fill in defaults and resolve the output format
+   * @param {Object} params - Query parameters
+   * @param {String} originalFormat - Format of the stored image
+   * @param {String} accept - Request Accept header
+   * @returns {Object} Render options
+   */
+  normalize(params, originalFormat, accept) {
+    let format = params.format === 'jpg' ? 'jpeg' : params.format;
+
+    if (format === 'auto') {
+      if (accept.includes('image/avif')) format = 'avif';
+      else if (accept.includes('image/webp')) format = 'webp';
+      else format = undefined;
+    }
+
+    if (!format) {
+      const original = originalFormat === 'jpg' ? 'jpeg' : originalFormat;
+      // Vector and unsupported originals are rasterized to PNG
+      format = OUTPUT_FORMATS[original] ? original : 'png';
+    }
+
+    return {
+      width: params.w ? parseInt(params.w) : undefined,
+      height: params.h ? parseInt(params.h) : undefined,
+      fit: params.fit || 'cover',
+      format,
+      quality: params.q ? parseInt(params.q) : config.render.defaultQuality
+    };
+  }
+
+  /**
+   * Cache file for a derivative; all derivatives of an image share one
+   * directory so they can be dropped together. A changed watermark or
+   * focal point gets new cache files.
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - Render options
+   * @returns {String} Absolute cache file path
+   */
+  getCachePath(publicId, options) {
+    const key = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        options.width,
+        options.height,
+        options.fit,
+        options.quality,
+        ...(options.watermark ? [options.watermark.id, options.watermark.updatedAt] : []),
+        ...(this.crops(options) ? [options.focalPoint || config.render.cropStrategy] : [])
+      ]))
+      .digest('hex')
+      .slice(0, 32);
+
+    return path.join(this.getCacheDir(publicId), `${key}.${options.format}`);
+  }
+
+  getCacheDir(publicId) {
+    const dir = crypto.createHash('sha256').update(publicId).digest('hex');
+    return path.join(config.render.cacheDir, dir);
+  }
+
+  /**
+   * Drop every cached derivative of an image
+   * @param {String} publicId - Image public ID
+   */
+  async invalidate(publicId) {
+    await fs.promises.rm(this.getCacheDir(publicId), { recursive: true, force: true });
+    this.cacheBytes = null;
+  }
+
+  /**
+   * Count a new derivative against the cache size limit, evicting the
+   * least recently served ones when it is exceeded. Without a limit, any
+   * client could fill the disk with size and quality combinations.
+   * @param {Number} bytes - Size of the derivative just written
+   */
+  async trackCache(bytes) {
+    if (this.cacheBytes === null) {
+      const files = await this.listCache();
+      this.cacheBytes = files.reduce((total, file) => total + file.size, 0);
+    } else {
+      this.cacheBytes += bytes;
+    }
+
+    if (this.cacheBytes > config.render.cacheMaxBytes && !this.eviction) {
+      this.eviction = this.evict().finally(() => { this.eviction = null; });
+    }
+    await this.eviction;
+  }
+
+  /**
+   * Remove the least recently served derivatives until the cache is at
+   * 90% of its limit
+   */
+  async evict() {
+    const files = (await this.listCache()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    const target = config.render.cacheMaxBytes * 0.9;
+
+    for (const file of files) {
+      if (total <= target) break;
+      await fs.promises.rm(file.path, { force: true });
+      total -= file.size;
+    }
+    this.cacheBytes = total;
+  }
+
+  /**
+   * Every cached derivative with its size and last use
+   * @returns {Promise<Array<Object>>} { path, size, mtimeMs }
+   */
+  async listCache() {
+    const files = [];
+    const dirs = await fs.promises.readdir(config.render.cacheDir).catch(() => []);
+
+    for (const dir of dirs) {
+      const names = await fs.promises.readdir(path.join(config.render.cacheDir, dir)).catch(() => []);
+      for (const name of names.filter(name => !name.endsWith('.tmp'))) {
+        const file = path.join(config.render.cacheDir, dir, name);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (stat) files.push({ path: file, size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    }
+    return files;
+  }
+
+  notFound() {
+    const error = new Error('Image not found');
+    error.statusCode = 404;
+    return error;
+  }
+}
+
+module.exports = new RenderService();
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const config = require('../config/app.config');
+const imageService = require('./image.service');
+const renderService = require('./render.service');
+
+/**
+ * Upload a generated PNG and return its public ID
+ */
+const upload = async (background = { r: 30, g: 120, b: 200 }) => {
+  const data = await sharp({
+    create: { width: 400, height: 300, channels: 3, background }
+  }).png().toBuffer();
+  const result = await imageService.uploadImage({ name: 'photo.png', data, size: data.length, mimetype: 'image/png' });
+  return result.data.publicId;
+};
+
+const setUsedAt = (file, secondsAgo) => {
+  const time = new Date(Date.now() - secondsAgo * 1000);
+  fs.utimesSync(file, time, time);
+};
+
+describe('renderService', () => {
+  const { cacheMaxBytes } = config.render;
+  let publicId;
+
+  beforeAll(async () => {
+    publicId = await upload();
+  });
+
+  afterEach(async () => {
+    config.render.cacheMaxBytes = cacheMaxBytes;
+    await renderService.invalidate(publicId);
+  });
+
+  test('renders a derivative once and serves it from the cache afterwards', async () => {
+    const first = await renderService.render(publicId, { w: '100', format: 'webp' });
+    const second = await renderService.render(publicId, { w: '100', format: 'webp' });
+
+    expect(first).toMatchObject({ cached: false, contentType: 'image/webp', signed: false });
+    expect(second).toMatchObject({ cached: true, path: first.path });
+    await expect(sharp(first.path).metadata()).resolves.toMatchObject({ format: 'webp', width: 100, height: 75 });
+  });
+
+  test('caches each set of parameters separately', async () => {
+    const small = await renderService.render(publicId, { w: '100' });
+    const large = await renderService.render(publicId, { w: '200' });
+
+    expect(large.cached).toBe(false);
+    expect(large.path).not.toBe(small.path);
+  });
+
+  test('picks the format=auto output from the Accept header', async () => {
+    const avif = await renderService.render(publicId, { w: '50', format: 'auto' }, 'image/avif,image/webp,*/*');
+    const fallback = await renderService.render(publicId, { w: '50', format: 'auto' }, '*/*');
+
+    expect(avif).toMatchObject({ contentType: 'image/avif', negotiated: true });
+    expect(fallback.contentType).toBe('image/png');
+  });
+
+  test('invalidate drops every cached derivative of the image', async () => {
+    const { path } = await renderService.render(publicId, { w: '100' });
+
+    await renderService.invalidate(publicId);
+
+    expect(fs.existsSync(path)).toBe(false);
+    await expect(renderService.render(publicId, { w: '100' })).resolves.toMatchObject({ cached: false });
+  });
+
+  test('a cache hit marks the derivative as recently used', async () => {
+    const { path } = await renderService.render(publicId, { w: '100' });
+    setUsedAt(path, 3600);
+
+    await renderService.render(publicId, { w: '100' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(Date.now() - fs.statSync(path).mtimeMs).toBeLessThan(60 * 1000);
+  });
+
+  test('evicts the least recently used derivatives once the cache is over its limit', async () => {
+    const rendered = [];
+    for (const width of [100, 110, 120, 130]) {
+      rendered.push((await renderService.render(publicId, { w: String(width) })).path);
+    }
+    const [recent, oldest, older, newest] = rendered;
+    setUsedAt(recent, 10);
+    setUsedAt(oldest, 300);
+    setUsedAt(older, 200);
+    setUsedAt(newest, 0);
+
+    // Just over the limit: evicting the oldest brings it under 90%
+    const total = rendered.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    config.render.cacheMaxBytes = total - 1;
+    renderService.cacheBytes = null;
+    await renderService.trackCache(0);
+
+    expect(fs.existsSync(oldest)).toBe(false);
+    expect([recent, older, newest].every(file => fs.existsSync(file))).toBe(true);
+    expect(renderService.cacheBytes).toBe([recent, older, newest].reduce((sum, file) => sum + fs.statSync(file).size, 0));
+  });
+
+  test('answers 404 for unknown and trashed images', async () => {
+    const trashed = await upload({ r: 200, g: 40, b: 40 });
+    await imageService.deleteImage(trashed);
+
+    await expect(renderService.render('uploads/missing', { w: '100' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(renderService.render(trashed, { w: '100' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('renderService.getFocalRegion', () => {
+  const region = (focalPoint, metadata = { width: 600, height: 200 }) =>
+    renderService.getFocalRegion(metadata, { width: 100, height: 100, focalPoint });
+
+  test('takes the largest region with the target aspect ratio around the focal point', () => {
+    expect(region({ x: 0.5, y: 0.5 })).toEqual({ left: 200, top: 0, width: 200, height: 200 });
+  });
+
+  test('shifts the region to stay inside the image', () => {
+    expect(region({ x: 0, y: 0 })).toEqual({ left: 0, top: 0, width: 200, height: 200 });
+    expect(region({ x: 1, y: 1 })).toEqual({ left: 400, top: 0, width: 200, height: 200 });
+  });
+
+  test('measures rotated images upright', () => {
+    expect(region({ x: 0.5, y: 0.9 }, { width: 600, height: 200, orientation: 6 }))
+      .toEqual({ left: 0, top: 400, width: 200, height: 200 });
+  });
+});
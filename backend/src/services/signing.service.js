@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const config = require('../config/app.config');
+
+// Render parameters covered by the signature, in canonical order
+const SIGNED_PARAMS = ['expires', 'fit', 'format', 'h', 'preset', 'q', 'type', 'w', 'wm'];
+
+class SigningService {
+  /**
+   * HMAC secret; without URL_SIGNING_SECRET a random secret is used, so
+   * signed URLs stop working when the server restarts
+   */
+  get secret() {
+    if (!this._secret) {
+      this._secret = config.signing.secret;
+      if (!this._secret) {
+        console.warn('⚠ Warning: URL_SIGNING_SECRET is not set, signed URLs will not survive a restart.');
+        this._secret = crypto.randomBytes(32).toString('hex');
+      }
+    }
+    return this._secret;
+  }
+
+  /**
+   * Create a signed, expiring render URL
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - expiresIn (seconds), transformation (w, h, fit, format, q, wm), type
+   * @returns {Object} { url, expiresAt }
+   */
+  signUrl(publicId, options = {}) {
+    const expiresIn = options.expiresIn || config.signing.defaultExpiresIn;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+    const params = { ...options.transformation, expires };
+    if (options.type && options.type !== 'upload') {
+      params.type = options.type;
+    }
+    params.sig = this.sign(publicId, params);
+
+    const query = new URLSearchParams(params).toString();
+    return {
+      url: `${config.publicUrl}/api/images/${encodeURIComponent(publicId)}/render?${query}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Compute the signature of a public ID and its render parameters
+   * @param {String} publicId - Image public ID
+   * @param {Object} params - Render parameters
+   * @returns {String} Hex HMAC-SHA256
+   */
+  sign(publicId, params) {
+    const canonical = SIGNED_PARAMS
+      .filter(name => params[name] !== undefined && params[name] !== '')
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${publicId}?${canonical}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check the signature and expiry of a render request
+   * @param {String} publicId - Image public ID
+   * @param {Object} params - Render query parameters including sig and expires
+   * @throws {Error} 403 error when the signature is missing, invalid or expired
+   */
+  verify(publicId, params) {
+    if (!params.sig || !params.expires) {
+      throw this.forbidden('This image requires a signed URL');
+    }
+
+    const expected = Buffer.from(this.sign(publicId, params), 'hex');
+    const actual = Buffer.from(String(params.sig), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw this.forbidden('Invalid URL signature');
+    }
+
+    if (parseInt(params.expires) * 1000 < Date.now()) {
+      throw this.forbidden('Signed URL has expired');
+    }
+  }
+
+  forbidden(message) {
+    const error = new Error(message);
+    error.name = 'ForbiddenError';
+    error.statusCode = 403;
+    return error;
+  }
+}
+
+module.exports = new SigningService();
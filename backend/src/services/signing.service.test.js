@@ -0,0 +1,96 @@
+const config = require('../config/app.config');
+const signingService = require('./signing.service');
+
+const PUBLIC_ID = 'uploads/photo';
+
+/**
+ * Query parameters of a URL created by signUrl
+ */
+const signedParams = (publicId, options) => {
+  const { url } = signingService.signUrl(publicId, options);
+  return Object.fromEntries(new URL(url).searchParams);
+};
+
+describe('signingService', () => {
+  beforeAll(() => {
+    config.signing.secret = 'test-signing-secret';
+    signingService._secret = null;
+  });
+
+  test('signUrl creates a render URL that verifies', () => {
+    const { url, expiresAt } = signingService.signUrl(PUBLIC_ID, { expiresIn: 60, transformation: { w: 200, format: 'webp' } });
+    const params = Object.fromEntries(new URL(url).searchParams);
+
+    expect(url).toContain(`/api/images/${encodeURIComponent(PUBLIC_ID)}/render?`);
+    expect(params).toMatchObject({ w: '200', format: 'webp' });
+    expect(new Date(expiresAt).getTime()).toBe(parseInt(params.expires) * 1000);
+    expect(() => signingService.verify(PUBLIC_ID, params)).not.toThrow();
+  });
+
+  test('rejects requests without a signature or expiry', () => {
+    const params = signedParams(PUBLIC_ID, { transformation: { w: 200 } });
+
+    expect(() => signingService.verify(PUBLIC_ID, { w: '200' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'This image requires a signed URL' }));
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, expires: undefined }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'This image requires a signed URL' }));
+  });
+
+  test('rejects a changed transformation', () => {
+    const params = signedParams(PUBLIC_ID, { transformation: { w: 200 } });
+
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, w: '4000' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, wm: 'logo' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, preset: 'hero' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+  });
+
+  test('rejects a signature used for another image or delivery type', () => {
+    const params = signedParams(PUBLIC_ID, { type: 'authenticated' });
+
+    expect(params.type).toBe('authenticated');
+    expect(() => signingService.verify('uploads/other', params))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, type: 'upload' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+  });
+
+  test('rejects an extended expiry', () => {
+    const params = signedParams(PUBLIC_ID, { expiresIn: 60 });
+
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, expires: String(parseInt(params.expires) + 3600) }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+  });
+
+  test('rejects malformed signatures', () => {
+    const params = signedParams(PUBLIC_ID, {});
+
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, sig: 'not-hex' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+    expect(() => signingService.verify(PUBLIC_ID, { ...params, sig: params.sig.slice(0, 32) }))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+  });
+
+  test('rejects a correctly signed URL after it expires', () => {
+    const expires = Math.floor(Date.now() / 1000) - 10;
+    const params = { w: '200', expires: String(expires) };
+    params.sig = signingService.sign(PUBLIC_ID, params);
+
+    expect(() => signingService.verify(PUBLIC_ID, params))
+      .toThrow(expect.objectContaining({ statusCode: 403, message: 'Signed URL has expired' }));
+  });
+
+  test('signatures depend on the secret', () => {
+    const params = signedParams(PUBLIC_ID, {});
+
+    signingService._secret = 'another-secret';
+    try {
+      expect(() => signingService.verify(PUBLIC_ID, params))
+        .toThrow(expect.objectContaining({ statusCode: 403, message: 'Invalid URL signature' }));
+    } finally {
+      signingService._secret = null;
+    }
+  });
+});
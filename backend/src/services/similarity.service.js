@@ -0,0 +1,202 @@
+const sharp = require('sharp');
+
+// Hashes are indexed by four 16-bit segments when grouping
+const SEGMENTS = 4;
+const SEGMENT_VALUES = 0x10000;
+
+// Bits set in every 16-bit value
+const BIT_COUNTS = new Uint8Array(SEGMENT_VALUES);
+for (let value = 1; value < SEGMENT_VALUES; value++) {
+  BIT_COUNTS[value] = BIT_COUNTS[value >> 1] + (value & 1);
+}
+
+/**
+ * Perceptual hashes for finding near-duplicates. A 64-bit difference hash
+ * (dHash) survives re-encoding, resizing and small edits that change every
+ * byte of the file; the Hamming distance between two hashes counts the bits
+ * that differ, 0 meaning visually identical.
+ */
+class SimilarityService {
+  /**
+   * Difference hash of the upright first frame: each bit tells whether a
+   * pixel of a 9x8 grayscale thumbnail is brighter than its right neighbor
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Promise<String|null>} 16 hex digits, null when the image cannot be decoded
+   */
+  async hash(buffer) {
+    try {
+      const pixels = await sharp(buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+      let hash = '';
+      for (let row = 0; row < 8; row++) {
+        let bits = 0;
+        for (let column = 0; column < 8; column++) {
+          const left = pixels[row * 9 + column];
+          const right = pixels[row * 9 + column + 1];
+          bits = (bits << 1) | (left > right ? 1 : 0);
+        }
+        hash += bits.toString(16).padStart(2, '0');
+      }
+      return hash;
+    } catch (error) {
+      console.warn('Perceptual hash failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Number of differing bits between two hashes
+   * @param {String} a - Hex hash
+   * @param {String} b - Hex hash
+   * @returns {Number} 0-64
+   */
+  distance(a, b) {
+    let bits = 0;
+    for (let offset = 0; offset < 16; offset += 8) {
+      let difference = (parseInt(a.slice(offset, offset + 8), 16) ^ parseInt(b.slice(offset, offset + 8), 16)) >>> 0;
+      while (difference) {
+        difference &= difference - 1;
+        bits++;
+      }
+    }
+    return bits;
+  }
+
+  /**
+   * Group items whose hashes are within a distance of each other. Groups
+   * are transitive: A and C share a group when both are close to B. Items
+   * with the same hash always share a group, so only distinct hashes are
+   * compared.
+   * @param {Array<Object>} items - Objects with a `phash`
+   * @param {Number} threshold - Largest distance between neighbors
+   * @returns {Array<Array<Object>>} Groups of two or more items
+   */
+  group(items, threshold) {
+    const byHash = new Map();
+    for (const item of items) {
+      if (!byHash.has(item.phash)) byHash.set(item.phash, []);
+      byHash.get(item.phash).push(item);
+    }
+    const hashes = [...byHash.keys()];
+
+    const parents = hashes.map((hash, index) => index);
+    const find = (index) => {
+      while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+      }
+      return index;
+    };
+
+    this.findPairs(hashes, threshold, (i, j) => {
+      parents[find(j)] = find(i);
+    });
+
+    const groups = new Map();
+    hashes.forEach((hash, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(...byHash.get(hash));
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+  }
+
+  /**
+   * Call back for every pair of hashes within a distance, without comparing
+   * every pair. The 64 bits are split into four 16-bit segments; two hashes
+   * within `threshold` bits differ by at most threshold / 4 bits in one of
+   * them, so each hash is only compared with those sharing a segment value
+   * within that many bits.
+   * @param {Array<String>} hashes - Hex hashes
+   * @param {Number} threshold - Largest distance between pairs
+   * @param {Function} callback - Called with the indexes (i < j) of each pair
+   */
+  findPairs(hashes, threshold, callback) {
+    const count = hashes.length;
+    const segments = new Uint16Array(count * SEGMENTS);
+    hashes.forEach((hash, index) => {
+      for (let segment = 0; segment < SEGMENTS; segment++) {
+        segments[index * SEGMENTS + segment] = parseInt(hash.slice(segment * 4, segment * 4 + 4), 16);
+      }
+    });
+    const distance = (i, j) => {
+      let bits = 0;
+      for (let segment = 0; segment < SEGMENTS; segment++) {
+        bits += BIT_COUNTS[segments[i * SEGMENTS + segment] ^ segments[j * SEGMENTS + segment]];
+      }
+      return bits;
+    };
+
+    const masks = this.flipMasks(Math.floor(threshold / SEGMENTS));
+
+    // Wide thresholds probe more segment values than there are hashes
+    if (masks.length * SEGMENTS >= count) {
+      for (let j = 1; j < count; j++) {
+        for (let i = 0; i < j; i++) {
+          if (distance(i, j) <= threshold) callback(i, j);
+        }
+      }
+      return;
+    }
+
+    // Per segment, hash indexes in ascending order bucketed by segment value
+    const buckets = Array.from({ length: SEGMENTS }, (value, segment) => {
+      const starts = new Uint32Array(SEGMENT_VALUES + 1);
+      for (let index = 0; index < count; index++) {
+        starts[segments[index * SEGMENTS + segment] + 1]++;
+      }
+      for (let value = 0; value < SEGMENT_VALUES; value++) {
+        starts[value + 1] += starts[value];
+      }
+      const entries = new Uint32Array(count);
+      const next = starts.slice(0, SEGMENT_VALUES);
+      for (let index = 0; index < count; index++) {
+        entries[next[segments[index * SEGMENTS + segment]]++] = index;
+      }
+      return { starts, entries };
+    });
+
+    // The hash each earlier one was last compared with, so pairs sharing
+    // several segments are compared once
+    const comparedWith = new Int32Array(count).fill(-1);
+
+    for (let j = 0; j < count; j++) {
+      for (let segment = 0; segment < SEGMENTS; segment++) {
+        const { starts, entries } = buckets[segment];
+        const value = segments[j * SEGMENTS + segment];
+
+        for (const mask of masks) {
+          const bucket = value ^ mask;
+          for (let position = starts[bucket]; position < starts[bucket + 1]; position++) {
+            const i = entries[position];
+            if (i >= j) break;
+            if (comparedWith[i] === j) continue;
+            comparedWith[i] = j;
+            if (distance(i, j) <= threshold) callback(i, j);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Every 16-bit value with at most `radius` bits set; XOR-ing a segment
+   * with each gives the segment values within that distance
+   * @returns {Array<Number>} Masks
+   */
+  flipMasks(radius) {
+    const masks = [];
+    for (let mask = 0; mask < SEGMENT_VALUES; mask++) {
+      if (BIT_COUNTS[mask] <= radius) masks.push(mask);
+    }
+    return masks;
+  }
+}
+
+module.exports = new SimilarityService();
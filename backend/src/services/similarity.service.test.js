@@ -0,0 +1,103 @@
+const sharp = require('sharp');
+const config = require('../config/app.config');
+const similarityService = require('./similarity.service');
+
+/**
+ * Deterministic pseudo-random hex hashes
+ */
+const randomHashes = (count, seed = 1) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) >>> 0;
+    return state;
+  };
+  return Array.from({ length: count }, () =>
+    next().toString(16).padStart(8, '0') + next().toString(16).padStart(8, '0')
+  );
+};
+
+/**
+ * Flip the bits at the given positions of a hex hash
+ */
+const flip = (hash, positions) => {
+  let value = BigInt(`0x${hash}`);
+  for (const position of positions) value ^= 1n << BigInt(position);
+  return value.toString(16).padStart(16, '0');
+};
+
+/**
+ * Reference grouping by comparing every pair
+ */
+const bruteForceGroups = (items, threshold) => {
+  const groups = items.map(item => new Set([item]));
+  const groupOf = new Map(items.map((item, index) => [item, groups[index]]));
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = groupOf.get(items[i]);
+      const b = groupOf.get(items[j]);
+      if (a !== b && similarityService.distance(items[i].phash, items[j].phash) <= threshold) {
+        b.forEach(item => {
+          a.add(item);
+          groupOf.set(item, a);
+        });
+      }
+    }
+  }
+  return normalize([...new Set(groupOf.values())].map(group => [...group]).filter(group => group.length > 1));
+};
+
+const normalize = groups => groups
+  .map(group => group.map(item => item.id).sort((a, b) => a - b))
+  .sort((a, b) => a[0] - b[0]);
+
+describe('similarityService', () => {
+  test('hash is stable across re-encoding and resizing', async () => {
+    const source = await sharp(Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="640" height="480">' +
+      '<rect width="640" height="480" fill="#204080"/><circle cx="200" cy="240" r="140" fill="#ffcc00"/>' +
+      '<rect x="420" y="60" width="160" height="360" fill="#e03030"/></svg>'
+    )).png().toBuffer();
+    const copy = await sharp(source).resize(320).jpeg({ quality: 60 }).toBuffer();
+    const other = await sharp(source).rotate(90).png().toBuffer();
+
+    const [a, b, c] = await Promise.all([source, copy, other].map(buffer => similarityService.hash(buffer)));
+
+    expect(a).toMatch(/^[0-9a-f]{16}$/);
+    expect(similarityService.distance(a, b)).toBeLessThanOrEqual(config.similarity.threshold);
+    expect(similarityService.distance(a, c)).toBeGreaterThan(config.similarity.threshold);
+  });
+
+  test('hash is null for undecodable input', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(similarityService.hash(Buffer.from('not an image'))).resolves.toBeNull();
+    warn.mockRestore();
+  });
+
+  test('distance counts differing bits', () => {
+    expect(similarityService.distance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(similarityService.distance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(similarityService.distance('8000000000000001', '0000000000000000')).toBe(2);
+  });
+
+  test.each([0, 3, 7, 10])('group matches comparing every pair (threshold %i)', (threshold) => {
+    // Clusters of near copies among enough unrelated hashes to use the index
+    const bases = randomHashes(800, threshold + 1);
+    const items = bases.flatMap((hash, index) => index % 20 === 0
+      ? [hash, flip(hash, [index % 64]), flip(hash, [1, 17, 33, 49, (index + 7) % 64].slice(0, threshold % 6)), hash]
+      : [hash]
+    ).map((phash, id) => ({ id, phash }));
+
+    expect(normalize(similarityService.group(items, threshold))).toEqual(bruteForceGroups(items, threshold));
+  });
+
+  test('group finds pairs whose differing bits are spread over every segment', () => {
+    const [base] = randomHashes(1);
+    const near = flip(base, [0, 1, 16, 17, 32, 33, 48, 49, 50, 51]);
+    const items = [...randomHashes(800, 7), base, near].map((phash, id) => ({ id, phash }));
+
+    const groups = normalize(similarityService.group(items, 10));
+
+    expect(groups).toContainEqual([800, 801]);
+  });
+});
@@ -0,0 +1,220 @@
+const { cloudinary, testConnection } = require('../../config/cloudinary.config');
+const StorageProvider = require('./storage.provider');
+
+class CloudinaryProvider extends StorageProvider {
+  constructor() {
+    super('cloudinary');
+  }
+
+  async upload(buffer, options = {}) {
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder: options.folder,
+          public_id: options.publicId,
+          transformation: options.transformation,
+          resource_type: 'auto',
+          type: options.type || 'upload',
+          // Overwriting an image in the trash serves it again
+          ...((options.type || 'upload') === 'upload' && { access_mode: 'public' }),
+          tags: options.tags || [],
+          context: options.context,
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+
+    return this.toResource(result);
+  }
+
+  async get(publicId, options = {}) {
+    try {
+      const resource = await cloudinary.api.resource(publicId, {
+        resource_type: options.resourceType || 'image',
+        type: options.type || 'upload'
+      });
+
+      return this.toResource(resource);
+    } catch (error) {
+      if (error.error?.http_code === 404) {
+        throw this.notFound(publicId);
+      }
+      throw error;
+    }
+  }
+
+  async read(publicId, options = {}) {
+    const resource = await this.get(publicId, options);
+    const response = await fetch(this.getDownloadUrl(resource));
+
+    if (!response.ok) {
+      throw new Error(`Failed to download ${publicId}: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * URL the original can be downloaded from, signed for non-public types
+   * @param {Object} resource - Stored resource
+   * @returns {String} Download URL
+   */
+  getDownloadUrl(resource) {
+    if (resource.type === 'private') {
+      return cloudinary.utils.private_download_url(resource.publicId, resource.format, {
+        type: 'private'
+      });
+    }
+    if (resource.type === 'authenticated') {
+      return cloudinary.url(resource.publicId, {
+        type: 'authenticated',
+        sign_url: true,
+        format: resource.format
+      });
+    }
+    return resource.url;
+  }
+
+  async delete(publicId, options = {}) {
+    return cloudinary.uploader.destroy(publicId, {
+      type: options.type || 'upload'
+    });
+  }
+
+  async deleteMany(publicIds, options = {}) {
+    const result = await cloudinary.api.delete_resources(publicIds, {
+      type: options.type || 'upload'
+    });
+
+    return {
+      deleted: result.deleted,
+      partial: result.partial
+    };
+  }
+
+  async setAccessMode(publicIds, accessMode, options = {}) {
+    // The Admin API takes up to 100 public IDs per call
+    for (let i = 0; i < publicIds.length; i += 100) {
+      await cloudinary.api.update_resources_access_mode_by_ids(accessMode, publicIds.slice(i, i + 100), {
+        type: options.type || 'upload'
+      });
+    }
+  }
+
+  async list(options = {}) {
+    const {
+      maxResults = 30,
+      nextCursor,
+      prefix,
+      tags,
+      context,
+      resourceType = 'image'
+    } = options;
+
+    const queryOptions = {
+      resource_type: resourceType,
+      max_results: Math.min(maxResults, 500),
+      type: options.type || 'upload'
+    };
+
+    if (nextCursor) queryOptions.next_cursor = nextCursor;
+    if (prefix) queryOptions.prefix = prefix;
+    if (tags) queryOptions.tags = true;
+    if (context) queryOptions.context = true;
+
+    const result = await cloudinary.api.resources(queryOptions);
+
+    return {
+      resources: result.resources.map(resource => this.toResource(resource)),
+      totalCount: result.total_count,
+      nextCursor: result.next_cursor
+    };
+  }
+
+  async search(options = {}) {
+    const { expression, maxResults = 30, nextCursor } = options;
+
+    const result = await cloudinary.search
+      .expression(expression)
+      .max_results(Math.min(maxResults, 500))
+      .next_cursor(nextCursor)
+      .execute();
+
+    return {
+      resources: result.resources.map(resource => this.toResource(resource)),
+      totalCount: result.total_count,
+      nextCursor: result.next_cursor
+    };
+  }
+
+  async usage() {
+    const usage = await cloudinary.api.usage();
+
+    return {
+      used: {
+        credits: usage.credits?.used || 0,
+        storage: usage.storage?.used || 0,
+        bandwidth: usage.bandwidth?.used || 0,
+        transformations: usage.transformations?.used || 0
+      },
+      limit: {
+        credits: usage.credits?.limit || 0,
+        storage: usage.storage?.limit || 0,
+        bandwidth: usage.bandwidth?.limit || 0,
+        transformations: usage.transformations?.limit || 0
+      },
+      percentage: {
+        credits: usage.credits?.used_percent || 0,
+        storage: usage.storage?.used_percent || 0,
+        bandwidth: usage.bandwidth?.used_percent || 0
+      }
+    };
+  }
+
+  async ping() {
+    return testConnection();
+  }
+
+  getThumbnailUrl(publicId, format) {
+    return cloudinary.url(publicId, {
+      transformation: [
+        { width: 200, height: 200, crop: 'fill', gravity: 'auto' },
+        { quality: 'auto', fetch_format: 'auto' }
+      ],
+      format: format
+    });
+  }
+
+  getTransformedUrl(publicId, transformation) {
+    return cloudinary.url(publicId, {
+      transformation: transformation
+    });
+  }
+
+  /**
+   * Map a Cloudinary resource to the common resource shape
+   * @param {Object} resource - Cloudinary API resource
+   * @returns {Object} Stored resource
+   */
+  toResource(resource) {
+    return {
+      publicId: resource.public_id,
+      url: resource.secure_url,
+      format: resource.format,
+      width: resource.width,
+      height: resource.height,
+      bytes: resource.bytes,
+      createdAt: resource.created_at,
+      resourceType: resource.resource_type,
+      type: resource.type,
+      tags: resource.tags,
+      context: resource.context?.custom
+    };
+  }
+}
+
+module.exports = CloudinaryProvider;
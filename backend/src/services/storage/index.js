@@ -0,0 +1,43 @@
+const config = require('../../config/app.config');
+const CloudinaryProvider = require('./cloudinary.provider');
+const LocalProvider = require('./local.provider');
+
+const providers = {
+  cloudinary: () => new CloudinaryProvider(),
+  local: () => new LocalProvider(config.storage.local)
+};
+
+/**
+ * Create the storage provider selected in app.config.js
+ * @param {String} name - Provider name
+ * @returns {StorageProvider} Storage provider instance
+ */
+const createStorageProvider = (name = config.storage.provider) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage provider "${name}". Available providers: ${Object.keys(providers).join(', ')}`
+    );
+  }
+  return factory();
+};
+
+let storage;
+
+/**
+ * Get the shared storage provider, created on first use so that an invalid
+ * configuration is reported by validateConfig() at startup
+ * @returns {StorageProvider} Storage provider instance
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageProvider();
+  }
+  return storage;
+};
+
+module.exports = {
+  providers,
+  createStorageProvider,
+  getStorage
+};
@@ -0,0 +1,375 @@
+const { constants: fsConstants } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const StorageProvider = require('./storage.provider');
+
+// Metadata and non-public files live in dot-directories, which
+// express.static does not serve
+const META_DIR = '.meta';
+const PRIVATE_DIR = '.private';
+
+// Search fields understood by the local provider, mapped to resource keys
+const SEARCH_FIELDS = {
+  public_id: 'publicId',
+  folder: 'folder',
+  format: 'format',
+  resource_type: 'resourceType',
+  type: 'type',
+  tags: 'tags',
+  tag: 'tags'
+};
+
+// Cloudinary crop modes mapped to sharp fit modes
+const CROP_TO_FIT = {
+  fill: 'cover',
+  crop: 'cover',
+  thumb: 'cover',
+  fit: 'inside',
+  limit: 'inside',
+  pad: 'contain',
+  mfit: 'outside',
+  scale: 'fill'
+};
+
+class LocalProvider extends StorageProvider {
+  /**
+   * @param {Object} options - root, baseUrl, mountPath, quota
+   */
+  constructor(options) {
+    super('local');
+    this.root = path.resolve(options.root);
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.mountPath = options.mountPath;
+    this.quota = options.quota || 0;
+  }
+
+  async upload(buffer, options = {}) {
+    const id = options.publicId || crypto.randomBytes(10).toString('hex');
+    const publicId = options.folder ? `${options.folder}/${id}` : id;
+    const metadata = await sharp(buffer).metadata();
+
+    // Overwrite like Cloudinary does, dropping a previous file whose
+    // extension may differ
+    const previous = await this.readMeta(publicId);
+    if (previous) {
+      await fs.rm(this.filePath(previous), { force: true });
+    }
+
+    const resource = {
+      publicId,
+      folder: options.folder || '',
+      // sharp reports AVIF by its container name
+      format: metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format,
+      width: metadata.width,
+      height: metadata.height,
+      bytes: buffer.length,
+      createdAt: new Date().toISOString(),
+      resourceType: 'image',
+      type: options.type || 'upload',
+      tags: options.tags || [],
+      context: options.context
+    };
+
+    const filePath = this.filePath(resource);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    await this.writeMeta(resource);
+
+    return this.toResource(resource);
+  }
+
+  async get(publicId) {
+    const meta = await this.readMeta(publicId);
+    if (!meta) {
+      throw this.notFound(publicId);
+    }
+    return this.toResource(meta);
+  }
+
+  async read(publicId) {
+    const meta = await this.readMeta(publicId);
+    if (!meta) {
+      throw this.notFound(publicId);
+    }
+    return fs.readFile(this.filePath(meta));
+  }
+
+  async delete(publicId) {
+    const meta = await this.readMeta(publicId);
+    if (!meta) {
+      return { result: 'not found' };
+    }
+
+    await fs.rm(this.filePath(meta), { force: true });
+    await fs.rm(this.metaPath(publicId), { force: true });
+    return { result: 'ok' };
+  }
+
+  async setAccessMode(publicIds, accessMode) {
+    for (const publicId of publicIds) {
+      const meta = await this.readMeta(publicId);
+      if (!meta || (meta.accessMode || 'public') === accessMode) continue;
+
+      // Moving the file in or out of the private directory is what
+      // starts or stops /media serving it
+      const updated = { ...meta, accessMode };
+      const filePath = this.filePath(updated);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.rename(this.filePath(meta), filePath);
+      await this.writeMeta(updated);
+    }
+  }
+
+  async list(options = {}) {
+    const { prefix, type = 'upload' } = options;
+    let resources = (await this.readAllMeta())
+      .filter(resource => resource.type === type);
+
+    if (prefix) {
+      resources = resources.filter(resource => resource.publicId.startsWith(prefix));
+    }
+
+    return this.paginate(resources, options);
+  }
+
+  async search(options = {}) {
+    const terms = this.parseExpression(options.expression);
+    const resources = (await this.readAllMeta())
+      .filter(resource => terms.every(term => this.matchTerm(resource, term)));
+
+    return this.paginate(resources, options);
+  }
+
+  async usage() {
+    const resources = await this.readAllMeta();
+    const storage = resources.reduce((sum, resource) => sum + resource.bytes, 0);
+
+    return {
+      used: { credits: 0, storage, bandwidth: 0, transformations: 0 },
+      limit: { credits: 0, storage: this.quota, bandwidth: 0, transformations: 0 },
+      percentage: {
+        credits: 0,
+        storage: this.quota ? (storage / this.quota) * 100 : 0,
+        bandwidth: 0
+      }
+    };
+  }
+
+  async ping() {
+    try {
+      await fs.mkdir(this.root, { recursive: true });
+      await fs.access(this.root, fsConstants.W_OK);
+      return true;
+    } catch (error) {
+      console.error('✗ Local storage is not writable:', error.message);
+      return false;
+    }
+  }
+
+  getThumbnailUrl(publicId, format) {
+    return this.getRenderUrl(publicId, { w: 200, h: 200, fit: 'cover' });
+  }
+
+  getTransformedUrl(publicId, transformation) {
+    // Map the Cloudinary-style options the render route understands
+    const steps = [].concat(transformation || []);
+    const params = {};
+
+    for (const step of steps) {
+      if (step.width) params.w = step.width;
+      if (step.height) params.h = step.height;
+      if (step.crop) params.fit = CROP_TO_FIT[step.crop] || 'cover';
+      if (Number.isInteger(step.quality)) params.q = step.quality;
+      if (step.fetch_format || step.format) {
+        params.format = step.fetch_format || step.format;
+      }
+    }
+
+    return this.getRenderUrl(publicId, params);
+  }
+
+  /**
+   * Build a URL to the on-the-fly render route
+   * @param {String} publicId - Image public ID
+   * @param {Object} params - w, h, fit, format, q
+   * @returns {String} Render URL
+   */
+  getRenderUrl(publicId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `${this.baseUrl}/api/images/${encodeURIComponent(publicId)}/render${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Build the public URL of a stored file
+   * @param {String} publicId - Image public ID
+   * @param {String} format - File extension, looked up when omitted
+   * @returns {String} File URL
+   */
+  getFileUrl(publicId, format) {
+    const encoded = publicId.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}${this.mountPath}/${encoded}${format ? `.${format}` : ''}`;
+  }
+
+  /**
+   * Resolve a path inside the storage root, rejecting traversal and
+   * dot-segments (which would reach the metadata directory)
+   * @param {String} relativePath - Path relative to the root
+   * @returns {String} Absolute path
+   */
+  resolve(relativePath) {
+    const segments = relativePath.split('/');
+    if (segments.some(segment => !segment || segment.startsWith('.'))) {
+      throw new Error(`Invalid public ID: ${relativePath}`);
+    }
+    return path.join(this.root, ...segments);
+  }
+
+  /**
+   * Path of a stored file; only public files sit where /media serves them
+   * @param {Object} meta - Stored metadata
+   * @returns {String} Absolute file path
+   */
+  filePath(meta) {
+    const filePath = this.resolve(`${meta.publicId}.${meta.format}`);
+    if (this.isPublic(meta)) {
+      return filePath;
+    }
+    return path.join(this.root, PRIVATE_DIR, path.relative(this.root, filePath));
+  }
+
+  /**
+   * Whether /media serves a stored file: public type and access mode
+   */
+  isPublic(meta) {
+    return meta.type === 'upload' && meta.accessMode !== 'authenticated';
+  }
+
+  metaPath(publicId) {
+    this.resolve(publicId);
+    return path.join(this.root, META_DIR, `${publicId}.json`);
+  }
+
+  async readMeta(publicId) {
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(publicId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeMeta(resource) {
+    const metaPath = this.metaPath(resource.publicId);
+    await fs.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.writeFile(metaPath, JSON.stringify(resource, null, 2));
+  }
+
+  /**
+   * Read every metadata file, newest first
+   * @returns {Promise<Array<Object>>} Stored metadata
+   */
+  async readAllMeta() {
+    const metaRoot = path.join(this.root, META_DIR);
+    const entries = [];
+
+    const walk = async (dir) => {
+      let dirents;
+      try {
+        dirents = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const dirent of dirents) {
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+          await walk(fullPath);
+        } else if (dirent.name.endsWith('.json')) {
+          entries.push(JSON.parse(await fs.readFile(fullPath, 'utf8')));
+        }
+      }
+    };
+
+    await walk(metaRoot);
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Page through resources using the offset as cursor
+   */
+  paginate(resources, options) {
+    const maxResults = Math.min(options.maxResults || 30, 500);
+    const offset = parseInt(options.nextCursor) || 0;
+    const page = resources.slice(offset, offset + maxResults);
+    const next = offset + maxResults;
+
+    return {
+      resources: page.map(resource => this.toResource(resource)),
+      totalCount: resources.length,
+      nextCursor: next < resources.length ? String(next) : undefined
+    };
+  }
+
+  /**
+   * Parse a subset of the Cloudinary search syntax: terms such as
+   * `folder:uploads`, `tags=featured` or `public_id:banner*` joined by AND
+   * @param {String} expression - Search expression
+   * @returns {Array<Object>} Parsed terms
+   */
+  parseExpression(expression) {
+    return expression
+      .split(/\s+AND\s+/i)
+      .map(term => term.trim())
+      .filter(Boolean)
+      .map(term => {
+        const match = term.match(/^(\w+)\s*[:=]\s*"?([^"]*)"?$/);
+        if (!match) {
+          return { field: 'publicId', value: term, partial: true };
+        }
+
+        const field = SEARCH_FIELDS[match[1].toLowerCase()];
+        if (!field) {
+          throw new Error(`Unsupported search field: ${match[1]}`);
+        }
+
+        const value = match[2];
+        return value.endsWith('*')
+          ? { field, value: value.slice(0, -1), prefix: true }
+          : { field, value };
+      });
+  }
+
+  matchTerm(resource, term) {
+    const values = [].concat(resource[term.field] ?? []).map(String);
+
+    return values.some(value => {
+      if (term.partial) return value.includes(term.value);
+      if (term.prefix) return value.startsWith(term.value);
+      return value === term.value;
+    });
+  }
+
+  toResource(meta) {
+    return {
+      publicId: meta.publicId,
+      // Non-public files are only reachable through the render route
+      url: this.isPublic(meta)
+        ? this.getFileUrl(meta.publicId, meta.format)
+        : this.getRenderUrl(meta.publicId, { type: meta.type }),
+      format: meta.format,
+      width: meta.width,
+      height: meta.height,
+      bytes: meta.bytes,
+      createdAt: meta.createdAt,
+      resourceType: meta.resourceType,
+      type: meta.type,
+      tags: meta.tags,
+      context: meta.context
+    };
+  }
+}
+
+module.exports = LocalProvider;
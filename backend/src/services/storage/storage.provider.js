@@ -0,0 +1,156 @@
+/**
+ * Base class for storage providers.
+ *
+ * A provider stores image bytes and describes stored images with a common
+ * resource shape, so ImageService never depends on a specific vendor SDK:
+ *
+ *   { publicId, url, format, width, height, bytes, createdAt,
+ *     resourceType, type, tags, context }
+ *
+ * `context` holds custom key/value fields.
+ */
+class StorageProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Upload an image buffer
+   * @param {Buffer} buffer - Image bytes
+   * @param {Object} options - folder, publicId, type, tags, context, transformation
+   * @returns {Promise<Object>} Stored resource
+   */
+  async upload(buffer, options = {}) {
+    throw this.notImplemented('upload');
+  }
+
+  /**
+   * Get a stored image by public ID
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - Provider options (resourceType, type)
+   * @returns {Promise<Object>} Stored resource
+   */
+  async get(publicId, options = {}) {
+    throw this.notImplemented('get');
+  }
+
+  /**
+   * Read the stored bytes of an image
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - Provider options (type)
+   * @returns {Promise<Buffer>} Image bytes
+   */
+  async read(publicId, options = {}) {
+    throw this.notImplemented('read');
+  }
+
+  /**
+   * Delete a stored image
+   * @param {String} publicId - Image public ID
+   * @param {Object} options - Provider options (type)
+   * @returns {Promise<Object>} { result: 'ok' | 'not found' }
+   */
+  async delete(publicId, options = {}) {
+    throw this.notImplemented('delete');
+  }
+
+  /**
+   * Delete several images, one at a time unless the provider can batch
+   * @param {Array<String>} publicIds - Image public IDs
+   * @param {Object} options - Provider options (type)
+   * @returns {Promise<Object>} { deleted: { [publicId]: status }, partial }
+   */
+  async deleteMany(publicIds, options = {}) {
+    const deleted = {};
+
+    for (const publicId of publicIds) {
+      const result = await this.delete(publicId, options);
+      deleted[publicId] = result.result === 'ok' ? 'deleted' : 'not_found';
+    }
+
+    return { deleted, partial: false };
+  }
+
+  /**
+   * Stop or resume serving stored images at their public URLs. With
+   * `authenticated` access they are only read through the provider.
+   * @param {Array<String>} publicIds - Image public IDs
+   * @param {String} accessMode - public or authenticated
+   * @param {Object} options - Provider options (type)
+   * @returns {Promise<void>}
+   */
+  async setAccessMode(publicIds, accessMode, options = {}) {
+    throw this.notImplemented('setAccessMode');
+  }
+
+  /**
+   * List stored images with pagination
+   * @param {Object} options - maxResults, nextCursor, prefix, tags, context, type, resourceType
+   * @returns {Promise<Object>} { resources, totalCount, nextCursor }
+   */
+  async list(options = {}) {
+    throw this.notImplemented('list');
+  }
+
+  /**
+   * Search stored images
+   * @param {Object} options - expression, maxResults, nextCursor
+   * @returns {Promise<Object>} { resources, totalCount, nextCursor }
+   */
+  async search(options = {}) {
+    throw this.notImplemented('search');
+  }
+
+  /**
+   * Get storage usage
+   * @returns {Promise<Object>} { used, limit, percentage }
+   */
+  async usage() {
+    throw this.notImplemented('usage');
+  }
+
+  /**
+   * Check that the provider is reachable
+   * @returns {Promise<Boolean>} True when the provider can be used
+   */
+  async ping() {
+    return true;
+  }
+
+  /**
+   * Build a thumbnail URL
+   * @param {String} publicId - Image public ID
+   * @param {String} format - Image format
+   * @returns {String} Thumbnail URL
+   */
+  getThumbnailUrl(publicId, format) {
+    throw this.notImplemented('getThumbnailUrl');
+  }
+
+  /**
+   * Build a transformed URL
+   * @param {String} publicId - Image public ID
+   * @param {Object} transformation - Transformation options
+   * @returns {String} Transformed URL
+   */
+  getTransformedUrl(publicId, transformation) {
+    throw this.notImplemented('getTransformedUrl');
+  }
+
+  /**
+   * Create a "not found" error that ImageService maps to a 404
+   * @param {String} publicId - Missing image public ID
+   * @returns {Error} Not found error
+   */
+  notFound(publicId) {
+    const error = new Error(`Resource not found - ${publicId}`);
+    error.statusCode = 404;
+    return error;
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} storage provider does not implement ${method}()`);
+  }
+}
+
+module.exports = StorageProvider;
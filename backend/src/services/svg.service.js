@@ -0,0 +1,274 @@
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+// Elements kept in uploaded SVGs; anything else (script, foreignObject,
+// iframe, editor-specific elements...) is removed with its content
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'metadata', 'a', 'switch', 'view',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'image',
+  'text', 'tspan', 'textPath',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker', 'style',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood',
+  'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge',
+  'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting',
+  'feSpotLight', 'feTile', 'feTurbulence',
+  'animate', 'animateMotion', 'animateTransform', 'mpath', 'set'
+]);
+
+// Attributes without a namespace kept on allowed elements. Event handlers
+// (on*) are never listed.
+const ALLOWED_ATTRIBUTES = new Set([
+  // Core and geometry
+  'id', 'class', 'style', 'lang', 'role', 'aria-label', 'aria-hidden', 'href',
+  'version', 'baseProfile', 'viewBox', 'preserveAspectRatio', 'transform',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr',
+  'width', 'height', 'd', 'points', 'pathLength',
+  // Presentation
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'color', 'display', 'visibility', 'overflow',
+  'clip-path', 'clip-rule', 'mask', 'filter', 'paint-order', 'vector-effect',
+  'mix-blend-mode', 'isolation', 'shape-rendering', 'text-rendering', 'image-rendering',
+  'color-interpolation', 'color-interpolation-filters',
+  'marker-start', 'marker-mid', 'marker-end',
+  // Paint servers, clipping and markers
+  'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset', 'stop-color', 'stop-opacity',
+  'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits',
+  'maskUnits', 'maskContentUnits', 'markerWidth', 'markerHeight', 'markerUnits',
+  'refX', 'refY', 'orient',
+  // Text
+  'font-family', 'font-size', 'font-style', 'font-weight', 'font-variant', 'text-anchor',
+  'dominant-baseline', 'alignment-baseline', 'baseline-shift', 'letter-spacing',
+  'word-spacing', 'text-decoration', 'writing-mode', 'dx', 'dy', 'rotate', 'textLength',
+  'lengthAdjust', 'startOffset', 'method', 'spacing', 'side',
+  // Filters
+  'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'stdDeviation', 'mode', 'type',
+  'values', 'operator', 'k1', 'k2', 'k3', 'k4', 'flood-color', 'flood-opacity',
+  'lighting-color', 'radius', 'scale', 'xChannelSelector', 'yChannelSelector',
+  'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'tableValues', 'slope', 'intercept',
+  'amplitude', 'exponent', 'order', 'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY',
+  'edgeMode', 'preserveAlpha', 'surfaceScale', 'diffuseConstant', 'specularConstant',
+  'specularExponent', 'kernelUnitLength', 'azimuth', 'elevation', 'z',
+  'pointsAtX', 'pointsAtY', 'pointsAtZ', 'limitingConeAngle',
+  // Animation
+  'attributeName', 'attributeType', 'begin', 'dur', 'end', 'repeatCount', 'repeatDur',
+  'from', 'to', 'by', 'calcMode', 'keyTimes', 'keySplines', 'keyPoints', 'additive',
+  'accumulate', 'restart', 'min', 'max', 'path'
+]);
+
+// Namespaced attributes kept, by namespace
+const ALLOWED_NAMESPACED_ATTRIBUTES = {
+  [XLINK_NS]: new Set(['href', 'title']),
+  [XML_NS]: new Set(['space', 'lang'])
+};
+
+// Embedded raster images are the only non-local reference allowed
+const DATA_IMAGE = /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+const SCRIPT_URL = /(java|vb)script\s*:/i;
+const UNSAFE_CSS = /@import|expression\s*\(|behavior\s*:|-moz-binding/i;
+const CSS_URL = /url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+/**
+ * Sanitizes uploaded SVGs against an element and attribute allowlist so
+ * stored files cannot run script or load external resources when served
+ */
+class SvgService {
+  /**
+   * Parse an SVG and remove everything outside the allowlist, along with
+   * references to anything but fragments in the same document
+   * @param {Buffer} buffer - SVG bytes
+   * @returns {Object} { buffer, removed } - Clean SVG and what was removed
+   */
+  sanitize(buffer) {
+    const document = this.parse(buffer);
+    const report = new Map();
+
+    const remove = (node, kind, name, reason) => {
+      node.parentNode.removeChild(node);
+      this.record(report, { kind, name, reason });
+    };
+
+    for (const node of Array.from(document.childNodes)) {
+      if (node.nodeType === node.DOCUMENT_TYPE_NODE) {
+        remove(node, 'doctype', node.name, 'not allowed');
+      } else if (node.nodeType === node.PROCESSING_INSTRUCTION_NODE && node.target !== 'xml') {
+        remove(node, 'processing-instruction', node.target, 'not allowed');
+      }
+    }
+
+    this.cleanElement(document.documentElement, report, remove);
+
+    return {
+      buffer: Buffer.from(new XMLSerializer().serializeToString(document)),
+      removed: Array.from(report.values())
+    };
+  }
+
+  /**
+   * Parse SVG bytes; malformed documents are rejected rather than repaired
+   */
+  parse(buffer) {
+    let problem = null;
+    const parser = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') problem = problem || String(message).split('\n')[0];
+      }
+    });
+
+    let document;
+    try {
+      document = parser.parseFromString(buffer.toString('utf8'), 'image/svg+xml');
+    } catch (error) {
+      problem = problem || error.message.split('\n')[0];
+    }
+    if (problem) {
+      throw this.error(400, 'INVALID_IMAGE', `SVG could not be parsed: ${problem}`);
+    }
+
+    const root = document.documentElement;
+    if (!root || root.localName !== 'svg' || !this.isSvgNamespace(root)) {
+      throw this.error(400, 'INVALID_IMAGE', 'Document root is not an <svg> element');
+    }
+    return document;
+  }
+
+  /**
+   * Clean an element's attributes, then its children, depth first
+   */
+  cleanElement(element, report, remove) {
+    for (const attribute of Array.from(element.attributes)) {
+      const reason = this.checkAttribute(element, attribute);
+      if (reason) {
+        element.removeAttributeNode(attribute);
+        this.record(report, { kind: 'attribute', name: attribute.name, element: element.localName, reason });
+      }
+    }
+
+    for (const child of Array.from(element.childNodes)) {
+      switch (child.nodeType) {
+        case child.ELEMENT_NODE: {
+          const reason = this.checkElement(child);
+          if (reason) {
+            remove(child, 'element', child.tagName, reason);
+          } else {
+            this.cleanElement(child, report, remove);
+          }
+          break;
+        }
+        case child.TEXT_NODE:
+        case child.CDATA_SECTION_NODE:
+        case child.COMMENT_NODE:
+          break;
+        case child.PROCESSING_INSTRUCTION_NODE:
+          remove(child, 'processing-instruction', child.target, 'not allowed');
+          break;
+        default:
+          remove(child, 'node', child.nodeName, 'not allowed');
+      }
+    }
+  }
+
+  /**
+   * @returns {String|null} Why the element must be removed
+   */
+  checkElement(element) {
+    if (!this.isSvgNamespace(element) || !ALLOWED_ELEMENTS.has(element.localName)) {
+      return 'not allowed';
+    }
+
+    // Animating a link or handler would bring back what the attribute checks removed
+    if (['animate', 'set'].includes(element.localName)) {
+      const target = (element.getAttribute('attributeName') || '').toLowerCase();
+      if (target.endsWith('href') || target.startsWith('on')) return 'unsafe animation';
+    }
+
+    if (element.localName === 'style') return this.checkCss(element.textContent);
+    return null;
+  }
+
+  /**
+   * @returns {String|null} Why the attribute must be removed
+   */
+  checkAttribute(element, attribute) {
+    const { namespaceURI, localName, value } = attribute;
+
+    // Namespace declarations carry no content of their own
+    if (namespaceURI === XMLNS_NS || attribute.name === 'xmlns') return null;
+
+    const allowed = namespaceURI
+      ? ALLOWED_NAMESPACED_ATTRIBUTES[namespaceURI]?.has(localName)
+      : ALLOWED_ATTRIBUTES.has(localName);
+    if (!allowed) return 'not allowed';
+
+    if (SCRIPT_URL.test(value)) return 'script URL';
+
+    if (localName === 'href') {
+      const target = value.trim();
+      const embedded = ['image', 'feImage'].includes(element.localName) && DATA_IMAGE.test(target);
+      if (!target.startsWith('#') && !embedded) return 'external reference';
+    }
+
+    if (localName === 'style') return this.checkCss(value);
+    return this.checkUrls(value);
+  }
+
+  /**
+   * @returns {String|null} Why a stylesheet or style attribute is unsafe
+   */
+  checkCss(css) {
+    if (SCRIPT_URL.test(css) || UNSAFE_CSS.test(css)) return 'unsafe CSS';
+    return this.checkUrls(css);
+  }
+
+  /**
+   * Only url(#fragment) references are allowed in attribute values and CSS
+   */
+  checkUrls(value) {
+    for (const [, , target] of value.matchAll(CSS_URL)) {
+      if (!target.trim().startsWith('#')) return 'external reference';
+    }
+    return null;
+  }
+
+  isSvgNamespace(element) {
+    return element.namespaceURI === SVG_NS || element.namespaceURI === null;
+  }
+
+  /**
+   * Count a removal, grouping identical ones
+   */
+  record(report, entry) {
+    const key = [entry.kind, entry.name, entry.element, entry.reason].join('|');
+    const existing = report.get(key);
+    if (existing) {
+      existing.count++;
+    } else {
+      report.set(key, { ...entry, count: 1 });
+    }
+  }
+
+  /**
+   * Short description of removed content for error messages
+   * @param {Array<Object>} removed - Entries from sanitize()
+   * @returns {String} e.g. "<script>, onload attribute"
+   */
+  describe(removed) {
+    return removed
+      .map(entry => entry.kind === 'element' ? `<${entry.name}>` : `${entry.name} ${entry.kind}`)
+      .join(', ');
+  }
+
+  error(statusCode, code, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new SvgService();
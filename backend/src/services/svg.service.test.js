@@ -0,0 +1,128 @@
+const svgService = require('./svg.service');
+
+const svg = body => Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 10 10">${body}</svg>`
+);
+
+const sanitize = body => {
+  const result = svgService.sanitize(svg(body));
+  return { output: result.buffer.toString('utf8'), removed: result.removed };
+};
+
+describe('svgService.sanitize', () => {
+  test('keeps plain drawing content unchanged', () => {
+    const { output, removed } = sanitize('<rect x="1" y="1" width="8" height="8" fill="red"/>');
+
+    expect(output).toContain('<rect x="1" y="1" width="8" height="8" fill="red"/>');
+    expect(removed).toEqual([]);
+  });
+
+  test('removes script elements with their content', () => {
+    const { output, removed } = sanitize('<script>alert(1)</script><circle r="2"/>');
+
+    expect(output).not.toMatch(/script|alert/);
+    expect(output).toContain('<circle r="2"/>');
+    expect(removed).toContainEqual(expect.objectContaining({ kind: 'element', name: 'script', reason: 'not allowed' }));
+  });
+
+  test('removes elements that embed other documents', () => {
+    const { output } = sanitize('<foreignObject><iframe src="https://evil.example"/></foreignObject>');
+
+    expect(output).not.toMatch(/foreignObject|iframe|evil/);
+  });
+
+  test('removes event handler attributes', () => {
+    const { output, removed } = sanitize('<rect onload="alert(1)" onclick="alert(2)" width="1"/>');
+
+    expect(output).not.toMatch(/onload|onclick|alert/);
+    expect(output).toContain('width="1"');
+    expect(removed).toContainEqual(expect.objectContaining({ kind: 'attribute', name: 'onload', element: 'rect' }));
+  });
+
+  test('removes javascript: links', () => {
+    const { output, removed } = sanitize('<a href="javascript:alert(1)"><text>x</text></a>');
+
+    expect(output).not.toContain('javascript:');
+    expect(removed).toContainEqual(expect.objectContaining({ name: 'href', reason: 'script URL' }));
+  });
+
+  test('removes external references but keeps fragment references', () => {
+    const { output, removed } = sanitize(
+      '<use href="https://evil.example/sprite.svg#icon"/>' +
+      '<use xlink:href="//evil.example/a.svg#b"/>' +
+      '<use href="#local"/>'
+    );
+
+    expect(output).not.toContain('evil.example');
+    expect(output).toContain('href="#local"');
+    expect(removed).toContainEqual(expect.objectContaining({ reason: 'external reference' }));
+  });
+
+  test('keeps data: images on <image> only', () => {
+    const data = 'data:image/png;base64,iVBORw0KGgo=';
+    const { output } = sanitize(`<image href="${data}"/><a href="data:text/html,hi"><text>x</text></a>`);
+
+    expect(output).toContain(`<image href="${data}"/>`);
+    expect(output).not.toContain('data:text/html');
+  });
+
+  test('removes CSS url() references to other documents', () => {
+    const { output, removed } = sanitize(
+      '<rect style="fill: url(https://evil.example/track.png)"/>' +
+      '<rect style="fill: url(#gradient)"/>'
+    );
+
+    expect(output).not.toContain('evil.example');
+    expect(output).toContain('url(#gradient)');
+    expect(removed).toContainEqual(expect.objectContaining({ kind: 'attribute', name: 'style', reason: 'external reference' }));
+  });
+
+  test('removes style sheets that import or load external resources', () => {
+    const { output } = sanitize(
+      '<style>@import url("https://evil.example/x.css");</style>' +
+      '<style>rect { fill: url(https://evil.example/y.png) }</style>' +
+      '<style>rect { fill: blue }</style>'
+    );
+
+    expect(output).not.toContain('evil.example');
+    expect(output).not.toContain('@import');
+    expect(output).toContain('rect { fill: blue }');
+  });
+
+  test('removes animations that target links or event handlers', () => {
+    const { output, removed } = sanitize(
+      '<a href="#x">' +
+      '<animate attributeName="href" to="javascript:alert(1)"/>' +
+      '<set attributeName="xlink:href" to="https://evil.example"/>' +
+      '<set attributeName="onclick" to="alert(1)"/>' +
+      '<animate attributeName="opacity" from="0" to="1" dur="1s"/>' +
+      '<text>x</text></a>'
+    );
+
+    expect(output).not.toMatch(/javascript:|evil\.example|onclick/);
+    expect(output).toContain('attributeName="opacity"');
+    expect(removed).toContainEqual(expect.objectContaining({ name: 'animate', reason: 'unsafe animation' }));
+    expect(removed).toContainEqual(expect.objectContaining({ name: 'set', reason: 'unsafe animation', count: 2 }));
+  });
+
+  test('removes doctypes so entities cannot be declared', () => {
+    const input = Buffer.from(
+      '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY x "boom">]>' +
+      '<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>'
+    );
+    const { buffer, removed } = svgService.sanitize(input);
+
+    expect(buffer.toString('utf8')).not.toMatch(/DOCTYPE|ENTITY/);
+    expect(removed).toContainEqual(expect.objectContaining({ kind: 'doctype' }));
+  });
+
+  test('rejects malformed documents', () => {
+    expect(() => svgService.sanitize(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><rect></svg>')))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_IMAGE' }));
+  });
+
+  test('rejects documents whose root is not an SVG element', () => {
+    expect(() => svgService.sanitize(Buffer.from('<html><body/></html>')))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_IMAGE' }));
+  });
+});
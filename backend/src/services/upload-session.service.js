@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/app.config');
+
+const SESSION_FILE = 'session.json';
+
+class UploadSessionService {
+  /**
+   * Start a resumable upload
+   * @param {Object} options - filename, size, mimetype and upload options
+   * @param {String|null} apiKeyId - Key creating the session; only it can continue the upload
+   * @returns {Promise<Object>} Session
+   */
+  async createSession(options, apiKeyId = null) {
+    const { filename, size, mimetype, ...uploadOptions } = options;
+    const now = Date.now();
+
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      filename,
+      size,
+      mimetype,
+      chunkSize: config.uploads.chunkSize,
+      totalChunks: Math.ceil(size / config.uploads.chunkSize),
+      uploadOptions,
+      apiKeyId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.uploads.sessionTtl).toISOString()
+    };
+
+    await fs.mkdir(this.getSessionDir(session.id), { recursive: true });
+    await this.saveSession(session);
+    return this.toStatus(session, []);
+  }
+
+  /**
+   * Get the progress of an upload
+   * @param {String} id - Session ID
+   * @param {String|null} apiKeyId - Key making the request
+   * @returns {Promise<Object>} Session status
+   */
+  async getStatus(id, apiKeyId = null) {
+    const session = await this.loadSession(id, apiKeyId);
+    return this.toStatus(session, await this.getReceivedChunks(id));
+  }
+
+  /**
+   * Store one numbered chunk. Chunks may be re-sent; a repeated chunk
+   * replaces the earlier copy.
+   * @param {String} id - Session ID
+   * @param {Number} index - Zero-based chunk number
+   * @param {Buffer} data - Chunk bytes
+   * @param {String|null} apiKeyId - Key making the request
+   * @returns {Promise<Object>} Session status
+   */
+  async writeChunk(id, index, data, apiKeyId = null) {
+    const session = await this.loadSession(id, apiKeyId);
+
+    if (index >= session.totalChunks) {
+      throw this.error(400, `Chunk index out of range. Expected 0-${session.totalChunks - 1}`);
+    }
+
+    const expectedSize = index === session.totalChunks - 1
+      ? session.size - index * session.chunkSize
+      : session.chunkSize;
+    if (data.length !== expectedSize) {
+      throw this.error(400, `Chunk ${index} must be ${expectedSize} bytes, received ${data.length}`);
+    }
+
+    const chunkPath = this.getChunkPath(id, index);
+    const tmpPath = `${chunkPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, chunkPath);
+
+    // Activity keeps the session alive
+    session.expiresAt = new Date(Date.now() + config.uploads.sessionTtl).toISOString();
+    await this.saveSession(session);
+
+    return this.toStatus(session, await this.getReceivedChunks(id));
+  }
+
+  /**
+   * Assemble the chunks into a file object shaped like express-fileupload's
+   * @param {String} id - Session ID
+   * @param {String|null} apiKeyId - Key making the request
+   * @returns {Promise<Object>} { file, uploadOptions }
+   */
+  async assemble(id, apiKeyId = null) {
+    const session = await this.loadSession(id, apiKeyId);
+    const receivedChunks = await this.getReceivedChunks(id);
+
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!receivedChunks.includes(index)) missing.push(index);
+    }
+    if (missing.length > 0) {
+      throw this.error(409, `Upload incomplete. Missing chunks: ${missing.join(', ')}`);
+    }
+
+    const chunks = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      chunks.push(await fs.readFile(this.getChunkPath(id, index)));
+    }
+    const data = Buffer.concat(chunks);
+
+    if (data.length !== session.size) {
+      throw this.error(409, `Assembled size ${data.length} does not match declared size ${session.size}`);
+    }
+
+    return {
+      file: {
+        name: session.filename,
+        data,
+        size: data.length,
+        mimetype: session.mimetype
+      },
+      uploadOptions: session.uploadOptions
+    };
+  }
+
+  /**
+   * Remove an upload and its chunks
+   * @param {String} id - Session ID
+   */
+  async removeSession(id) {
+    await fs.rm(this.getSessionDir(id), { recursive: true, force: true });
+  }
+
+  /**
+   * Remove sessions whose expiry has passed
+   * @returns {Promise<Number>} Number of sessions removed
+   */
+  async purgeExpired() {
+    let entries;
+    try {
+      entries = await fs.readdir(config.uploads.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const id of entries) {
+      try {
+        const session = JSON.parse(
+          await fs.readFile(path.join(this.getSessionDir(id), SESSION_FILE), 'utf8')
+        );
+        if (Date.parse(session.expiresAt) > Date.now()) continue;
+      } catch (error) {
+        // Unreadable sessions are removed as well
+      }
+
+      await this.removeSession(id);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Read a live session. Sessions of other API keys are reported as
+   * missing, so upload IDs cannot be probed or hijacked with another key.
+   */
+  async loadSession(id, apiKeyId = null) {
+    if (!/^[0-9a-f]{32}$/.test(id)) {
+      throw this.error(404, 'Upload session not found');
+    }
+
+    let session;
+    try {
+      session = JSON.parse(
+        await fs.readFile(path.join(this.getSessionDir(id), SESSION_FILE), 'utf8')
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') throw this.error(404, 'Upload session not found');
+      throw error;
+    }
+
+    if ((session.apiKeyId || null) !== apiKeyId) {
+      throw this.error(404, 'Upload session not found');
+    }
+
+    if (Date.parse(session.expiresAt) <= Date.now()) {
+      await this.removeSession(id);
+      throw this.error(410, 'Upload session has expired');
+    }
+    return session;
+  }
+
+  async saveSession(session) {
+    const sessionPath = path.join(this.getSessionDir(session.id), SESSION_FILE);
+    const tmpPath = `${sessionPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await fs.rename(tmpPath, sessionPath);
+  }
+
+  /**
+   * Chunk numbers on disk; the chunk files are the source of truth so
+   * concurrent chunk writes never lose each other's progress
+   */
+  async getReceivedChunks(id) {
+    const entries = await fs.readdir(this.getSessionDir(id));
+    return entries
+      .filter(name => /^\d+\.part$/.test(name))
+      .map(name => parseInt(name))
+      .sort((a, b) => a - b);
+  }
+
+  getSessionDir(id) {
+    return path.join(config.uploads.dir, id);
+  }
+
+  getChunkPath(id, index) {
+    return path.join(this.getSessionDir(id), `${index}.part`);
+  }
+
+  /**
+   * Progress as reported to clients; `offset` counts the bytes received
+   * without gaps from the start of the file
+   */
+  toStatus(session, receivedChunks) {
+    let contiguous = 0;
+    while (receivedChunks.includes(contiguous)) contiguous++;
+
+    return {
+      uploadId: session.id,
+      filename: session.filename,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedChunks,
+      offset: Math.min(contiguous * session.chunkSize, session.size),
+      expiresAt: session.expiresAt
+    };
+  }
+
+  error(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new UploadSessionService();
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const uploadSessionService = require('./upload-session.service');
+
+const CHUNK_SIZE = 1024;
+const FILE = crypto.randomBytes(CHUNK_SIZE * 2 + 100);
+
+const chunk = index => FILE.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+
+const start = (apiKeyId = 'key-a') => uploadSessionService.createSession({
+  filename: 'big.jpg',
+  size: FILE.length,
+  mimetype: 'image/jpeg',
+  folder: 'photos'
+}, apiKeyId);
+
+describe('uploadSessionService', () => {
+  const { chunkSize, sessionTtl } = config.uploads;
+
+  beforeAll(() => {
+    config.uploads.chunkSize = CHUNK_SIZE;
+  });
+
+  afterAll(() => {
+    config.uploads.chunkSize = chunkSize;
+  });
+
+  afterEach(() => {
+    config.uploads.sessionTtl = sessionTtl;
+  });
+
+  test('splits the declared size into chunks', async () => {
+    const session = await start();
+
+    expect(session).toMatchObject({ filename: 'big.jpg', size: FILE.length, chunkSize: CHUNK_SIZE, totalChunks: 3 });
+    expect(session.uploadId).toMatch(/^[0-9a-f]{32}$/);
+    expect(session.receivedChunks).toEqual([]);
+    expect(session).not.toHaveProperty('apiKeyId');
+  });
+
+  test('accepts chunks in any order and reports the contiguous offset', async () => {
+    const { uploadId } = await start();
+
+    await uploadSessionService.writeChunk(uploadId, 1, chunk(1), 'key-a');
+    let status = await uploadSessionService.getStatus(uploadId, 'key-a');
+    expect(status).toMatchObject({ receivedChunks: [1], offset: 0 });
+
+    await uploadSessionService.writeChunk(uploadId, 0, chunk(0), 'key-a');
+    status = await uploadSessionService.getStatus(uploadId, 'key-a');
+    expect(status).toMatchObject({ receivedChunks: [0, 1], offset: CHUNK_SIZE * 2 });
+  });
+
+  test('assembles the file once every chunk has arrived, with the upload options', async () => {
+    const { uploadId } = await start();
+    await uploadSessionService.writeChunk(uploadId, 0, chunk(0), 'key-a');
+    await uploadSessionService.writeChunk(uploadId, 2, chunk(2), 'key-a');
+
+    await expect(uploadSessionService.assemble(uploadId, 'key-a'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Upload incomplete. Missing chunks: 1' });
+
+    // A re-sent chunk replaces the earlier copy
+    await uploadSessionService.writeChunk(uploadId, 1, Buffer.alloc(CHUNK_SIZE), 'key-a');
+    await uploadSessionService.writeChunk(uploadId, 1, chunk(1), 'key-a');
+    const { file, uploadOptions } = await uploadSessionService.assemble(uploadId, 'key-a');
+
+    expect(file).toMatchObject({ name: 'big.jpg', size: FILE.length, mimetype: 'image/jpeg' });
+    expect(file.data.equals(FILE)).toBe(true);
+    expect(uploadOptions).toEqual({ folder: 'photos' });
+  });
+
+  test('rejects chunks of the wrong size or out of range', async () => {
+    const { uploadId } = await start();
+
+    await expect(uploadSessionService.writeChunk(uploadId, 0, chunk(0).subarray(1), 'key-a'))
+      .rejects.toMatchObject({ statusCode: 400, message: `Chunk 0 must be ${CHUNK_SIZE} bytes, received ${CHUNK_SIZE - 1}` });
+    await expect(uploadSessionService.writeChunk(uploadId, 2, chunk(1), 'key-a'))
+      .rejects.toMatchObject({ statusCode: 400, message: `Chunk 2 must be 100 bytes, received ${CHUNK_SIZE}` });
+    await expect(uploadSessionService.writeChunk(uploadId, 3, chunk(3), 'key-a'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Chunk index out of range. Expected 0-2' });
+  });
+
+  test('hides sessions from other API keys', async () => {
+    const { uploadId } = await start('key-a');
+    await uploadSessionService.writeChunk(uploadId, 0, chunk(0), 'key-a');
+
+    const notFound = { statusCode: 404, message: 'Upload session not found' };
+    await expect(uploadSessionService.getStatus(uploadId, 'key-b')).rejects.toMatchObject(notFound);
+    await expect(uploadSessionService.writeChunk(uploadId, 1, chunk(1), 'key-b')).rejects.toMatchObject(notFound);
+    await expect(uploadSessionService.assemble(uploadId, 'key-b')).rejects.toMatchObject(notFound);
+    await expect(uploadSessionService.getStatus(uploadId, null)).rejects.toMatchObject(notFound);
+  });
+
+  test('answers 404 for unknown and malformed upload IDs', async () => {
+    await expect(uploadSessionService.getStatus('0'.repeat(32))).rejects.toMatchObject({ statusCode: 404 });
+    await expect(uploadSessionService.getStatus('../../etc')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('expired sessions answer 410 and are purged', async () => {
+    config.uploads.sessionTtl = -1000;
+    const expired = await start();
+    config.uploads.sessionTtl = sessionTtl;
+    const live = await start();
+
+    await expect(uploadSessionService.getStatus(expired.uploadId, 'key-a'))
+      .rejects.toMatchObject({ statusCode: 410 });
+
+    config.uploads.sessionTtl = -1000;
+    const stale = await start();
+    config.uploads.sessionTtl = sessionTtl;
+
+    await expect(uploadSessionService.purgeExpired()).resolves.toBe(1);
+    await expect(uploadSessionService.getStatus(stale.uploadId, 'key-a')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(uploadSessionService.getStatus(live.uploadId, 'key-a')).resolves.toMatchObject({ receivedChunks: [] });
+  });
+});
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const DataStore = require('./data.store');
+const { getStorage } = require('./storage');
+
+// Where a watermark is anchored, as sharp gravities: [horizontal, vertical]
+// with 0 at the start, 0.5 centered and 1 at the end
+const POSITIONS = {
+  northwest: [0, 0],
+  north: [0.5, 0],
+  northeast: [1, 0],
+  west: [0, 0.5],
+  center: [0.5, 0.5],
+  east: [1, 0.5],
+  southwest: [0, 1],
+  south: [0.5, 1],
+  southeast: [1, 1]
+};
+
+// Text is drawn at this resolution, then scaled like an image mark
+const TEXT_DPI = 300;
+
+/**
+ * Watermark definitions and compositing. A watermark is an image from the
+ * library or a line of text, placed at a position with an opacity, a width
+ * relative to the target and a margin. Watermarks listing folders are
+ * applied to images in those folders automatically, either burned in on
+ * upload or drawn on delivered derivatives.
+ */
+class WatermarkService {
+  constructor() {
+    this.watermarks = new DataStore('watermarks');
+  }
+
+  /**
+   * List watermarks by name
+   * @returns {Array<Object>} Watermarks
+   */
+  listWatermarks() {
+    return this.watermarks.all().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getWatermark(name) {
+    return this.watermarks.find(watermark => watermark.name === name);
+  }
+
+  /**
+   * Create a watermark
+   * @param {Object} definition - name, description, type, image or text,
+   *   position, opacity, scale, margin, folders, applyAt
+   * @returns {Promise<Object>} Created watermark
+   * @throws {Error} 409 error when the name or a folder default is taken,
+   *   400 error when the image does not exist
+   */
+  async createWatermark(definition) {
+    if (this.getWatermark(definition.name)) {
+      throw this.error(409, 'WATERMARK_EXISTS', `Watermark ${definition.name} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const watermark = {
+      id: crypto.randomBytes(6).toString('hex'),
+      description: '',
+      position: 'southeast',
+      opacity: 0.5,
+      scale: 0.2,
+      margin: 16,
+      folders: [],
+      applyAt: 'delivery',
+      ...definition,
+      createdAt: now,
+      updatedAt: now
+    };
+    watermark.folders = this.normalizeFolders(watermark.folders);
+    this.checkFolders(watermark);
+    if (watermark.image) await this.checkImage(watermark.image);
+
+    return this.watermarks.insert(watermark);
+  }
+
+  /**
+   * Change a watermark. A new image or text replaces the old one rather
+   * than being merged into it.
+   * @param {String} name - Watermark name
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated watermark, or null when it does not exist
+   * @throws {Error} 409 error when a folder default is taken, 400 error
+   *   when the image does not exist
+   */
+  async updateWatermark(name, changes) {
+    const watermark = this.getWatermark(name);
+    if (!watermark) return null;
+
+    const update = {
+      ...changes,
+      // A type change drops the other kind of mark
+      ...(changes.type === 'image' && { text: undefined }),
+      ...(changes.type === 'text' && { image: undefined }),
+      ...(changes.folders && { folders: this.normalizeFolders(changes.folders) })
+    };
+    this.checkFolders({ ...watermark, ...update });
+    if (changes.image) await this.checkImage(changes.image);
+
+    return this.watermarks.update(watermark.id, {
+      ...update,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  deleteWatermark(name) {
+    const watermark = this.getWatermark(name);
+    return watermark ? this.watermarks.remove(watermark.id) : false;
+  }
+
+  /**
+   * Watermark requested by name
+   * @param {String} name - Watermark name
+   * @returns {Object} Watermark
+   * @throws {Error} 400 error when there is no such watermark
+   */
+  resolve(name) {
+    const watermark = this.getWatermark(name);
+    if (!watermark) {
+      throw this.error(400, 'UNKNOWN_WATERMARK', `Unknown watermark: ${name}`);
+    }
+    return watermark;
+  }
+
+  /**
+   * Watermark applied automatically to a folder: the one listing the
+   * deepest folder containing it
+   * @param {String} folder - Image folder
+   * @param {String} applyAt - upload or delivery
+   * @returns {Object|null} Watermark
+   */
+  forFolder(folder, applyAt) {
+    let match = null;
+    let depth = -1;
+
+    this.watermarks.all()
+      .filter(watermark => watermark.applyAt === applyAt)
+      .forEach(watermark => {
+        watermark.folders
+          .filter(prefix => prefix === '' || folder === prefix || folder.startsWith(`${prefix}/`))
+          .forEach(prefix => {
+            if (prefix.length > depth) {
+              match = watermark;
+              depth = prefix.length;
+            }
+          });
+      });
+
+    return match;
+  }
+
+  /**
+   * Watermark applied automatically to an image, from its public ID's folder
+   * @param {String} publicId - Image public ID
+   * @param {String} applyAt - upload or delivery
+   * @returns {Object|null} Watermark
+   */
+  forImage(publicId, applyAt) {
+    const separator = publicId.lastIndexOf('/');
+    return this.forFolder(separator === -1 ? '' : publicId.slice(0, separator), applyAt);
+  }
+
+  /**
+   * Draw a watermark onto every frame of a sharp pipeline whose other
+   * operations (rotation, resizing) are already set. The mark is sized
+   * against the output, measured by running a copy of the pipeline.
+   * @param {Sharp} pipeline - sharp instance
+   * @param {Object} watermark - Watermark definition
+   * @returns {Promise<Sharp>} The pipeline with the watermark composited
+   */
+  async apply(pipeline, watermark) {
+    const { info } = await pipeline.clone().raw().toBuffer({ resolveWithObject: true });
+    const frameHeight = info.pageHeight || info.height;
+    const pages = info.height / frameHeight;
+
+    const { margin } = watermark;
+    const maxWidth = Math.max(1, Math.min(Math.round(info.width * watermark.scale), info.width - 2 * margin));
+    const maxHeight = Math.max(1, frameHeight - 2 * margin);
+
+    const { data: overlay, info: overlayInfo } = await sharp(await this.getMark(watermark))
+      .resize(maxWidth, maxHeight, { fit: 'inside' })
+      .ensureAlpha()
+      // Scale the mark's own alpha by the opacity
+      .composite([{
+        input: Buffer.from([0, 0, 0, Math.round(255 * watermark.opacity)]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in'
+      }])
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    const [horizontal, vertical] = POSITIONS[watermark.position];
+    const left = Math.round(margin + (info.width - 2 * margin - overlayInfo.width) * horizontal);
+    const top = Math.round(margin + (frameHeight - 2 * margin - overlayInfo.height) * vertical);
+
+    return pipeline.composite(Array.from({ length: pages }, (_, page) => ({
+      input: overlay,
+      left: Math.max(0, left),
+      top: page * frameHeight + Math.max(0, top)
+    })));
+  }
+
+  /**
+   * Full-size mark: the stored image, or the text rendered with Pango
+   * @param {Object} watermark - Watermark definition
+   * @returns {Promise<Buffer>} Image bytes
+   */
+  async getMark(watermark) {
+    if (watermark.type === 'image') {
+      try {
+        return await getStorage().read(watermark.image.publicId, { type: watermark.image.type });
+      } catch (error) {
+        throw new Error(`Watermark image ${watermark.image.publicId} could not be read: ${error.message}`);
+      }
+    }
+
+    const { value, font = 'sans bold', color = '#ffffff' } = watermark.text;
+    const escaped = value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return sharp({
+      text: {
+        text: `<span foreground="${color}">${escaped}</span>`,
+        font,
+        dpi: TEXT_DPI,
+        rgba: true
+      }
+    }).png().toBuffer();
+  }
+
+  normalizeFolders(folders) {
+    return [...new Set(folders.map(folder => folder.replace(/^\/+|\/+$/g, '')))];
+  }
+
+  /**
+   * A folder may have one automatic watermark per stage
+   * @throws {Error} 409 error when another watermark already claims a folder
+   */
+  checkFolders(watermark) {
+    this.watermarks.all()
+      .filter(other => other.id !== watermark.id && other.applyAt === watermark.applyAt)
+      .forEach(other => {
+        const taken = other.folders.find(folder => watermark.folders.includes(folder));
+        if (taken !== undefined) {
+          throw this.error(
+            409,
+            'WATERMARK_FOLDER_TAKEN',
+            `Folder "${taken}" already gets watermark ${other.name} on ${watermark.applyAt}`
+          );
+        }
+      });
+  }
+
+  /**
+   * An image mark must be a stored image
+   * @throws {Error} 400 error when it does not exist
+   */
+  async checkImage(image) {
+    try {
+      await getStorage().get(image.publicId, { type: image.type });
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      throw this.error(400, 'WATERMARK_IMAGE_NOT_FOUND', `Watermark image ${image.publicId} does not exist`);
+    }
+  }
+
+  error(statusCode, code, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new WatermarkService();
@@ -0,0 +1,126 @@
+const sharp = require('sharp');
+const config = require('../config/app.config');
+const { getStorage } = require('./storage');
+const imageService = require('./image.service');
+const renderService = require('./render.service');
+const signingService = require('./signing.service');
+const watermarkService = require('./watermark.service');
+
+const BLUE = { r: 30, g: 120, b: 200 };
+const RED = { r: 230, g: 20, b: 20 };
+
+const png = (width, height, background) => sharp({
+  create: { width, height, channels: 3, background }
+}).png().toBuffer();
+
+const upload = async (folder, background = BLUE) => {
+  const data = await png(400, 300, background);
+  const result = await imageService.uploadImage({ name: 'photo.png', data, size: data.length, mimetype: 'image/png' }, { folder });
+  return result.data;
+};
+
+/**
+ * Color of one pixel
+ */
+const pixel = async (input, left, top) => {
+  const data = await sharp(input).extract({ left, top, width: 1, height: 1 }).removeAlpha().raw().toBuffer();
+  return { r: data[0], g: data[1], b: data[2] };
+};
+
+const near = color => ({
+  r: expect.toBeWithin(color.r), g: expect.toBeWithin(color.g), b: expect.toBeWithin(color.b)
+});
+
+expect.extend({
+  toBeWithin(received, expected) {
+    const pass = Math.abs(received - expected) <= 12;
+    return { pass, message: () => `expected ${received} to be within 12 of ${expected}` };
+  }
+});
+
+/**
+ * Opaque red mark filling half the width of the southeast corner
+ */
+const createMark = async (name, fields) => watermarkService.createWatermark({
+  name,
+  type: 'image',
+  image: { publicId: 'marks/red', type: 'upload' },
+  opacity: 1,
+  scale: 0.5,
+  margin: 0,
+  ...fields
+});
+
+describe('watermarkService', () => {
+  beforeAll(async () => {
+    config.signing.secret = 'test-signing-secret';
+    signingService._secret = null;
+    await getStorage().upload(await png(100, 100, RED), { folder: 'marks', publicId: 'red' });
+  });
+
+  test('creates watermarks with defaults and refuses duplicate names', async () => {
+    const watermark = await createMark('plain', {});
+
+    expect(watermark).toMatchObject({ position: 'southeast', applyAt: 'delivery', folders: [] });
+    await expect(createMark('plain', {})).rejects.toMatchObject({ statusCode: 409, code: 'WATERMARK_EXISTS' });
+    await expect(createMark('missing', { image: { publicId: 'marks/missing', type: 'upload' } }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'WATERMARK_IMAGE_NOT_FOUND' });
+    expect(() => watermarkService.resolve('unknown')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('gives a folder one automatic watermark per stage', async () => {
+    await createMark('shop-delivery', { folders: ['/shop/'] });
+
+    await expect(createMark('shop-again', { folders: ['shop'] }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'WATERMARK_FOLDER_TAKEN' });
+    await expect(createMark('shop-upload', { folders: ['shop'], applyAt: 'upload' })).resolves.toMatchObject({ folders: ['shop'] });
+  });
+
+  test('applies the watermark of the deepest listed folder', async () => {
+    await createMark('site', { folders: ['site'] });
+    await createMark('site-blog', { folders: ['site/blog'] });
+
+    expect(watermarkService.forFolder('site', 'delivery').name).toBe('site');
+    expect(watermarkService.forFolder('site/news', 'delivery').name).toBe('site');
+    expect(watermarkService.forFolder('site/blog/2024', 'delivery').name).toBe('site-blog');
+    expect(watermarkService.forFolder('sites', 'delivery')).toBeNull();
+    expect(watermarkService.forImage('site/blog/post', 'delivery').name).toBe('site-blog');
+  });
+
+  test('burns the folder\'s upload watermark into stored images', async () => {
+    await createMark('branded', { folders: ['branded'], applyAt: 'upload' });
+
+    const image = await upload('branded');
+    const stored = await getStorage().read(image.publicId);
+
+    expect(image.watermark).toBe('branded');
+    expect(image.original).toBeFalsy();
+    await expect(pixel(stored, 390, 290)).resolves.toEqual(near(RED));
+    await expect(pixel(stored, 10, 10)).resolves.toEqual(near(BLUE));
+  });
+
+  test('draws the folder\'s delivery watermark on derivatives only', async () => {
+    await createMark('previews', { folders: ['previews'] });
+
+    const image = await upload('previews', { r: 40, g: 160, b: 90 });
+    const stored = await getStorage().read(image.publicId);
+    const { path } = await renderService.render(image.publicId, { w: '200' });
+
+    await expect(pixel(stored, 390, 290)).resolves.toEqual(near({ r: 40, g: 160, b: 90 }));
+    await expect(pixel(path, 195, 145)).resolves.toEqual(near(RED));
+    expect(imageService.getDerivedUrl(image, { w: 200 })).toContain('/render?w=200');
+  });
+
+  test('renders a watermark named in the URL only when the URL is signed', async () => {
+    await createMark('named', {});
+    const image = await upload('plain-folder', { r: 200, g: 200, b: 40 });
+
+    await expect(renderService.render(image.publicId, { w: '200', wm: 'named' })).rejects.toMatchObject({ statusCode: 403 });
+
+    const { url } = signingService.signUrl(image.publicId, { transformation: { w: 200, wm: 'named' } });
+    const params = Object.fromEntries(new URL(url).searchParams);
+    const { path } = await renderService.render(image.publicId, params);
+    await expect(pixel(path, 195, 145)).resolves.toEqual(near(RED));
+    await expect(pixel(path, 5, 5)).resolves.toEqual(near({ r: 200, g: 200, b: 40 }));
+  });
+});
@@ -0,0 +1,437 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/app.config');
+const DataStore = require('./data.store');
+const metadataService = require('./metadata.service');
+const importService = require('./import.service');
+
+// Delivery fields mapped to columns of the webhook_deliveries table
+const DELIVERY_COLUMNS = {
+  id: 'id',
+  webhookId: 'webhook_id',
+  event: 'event',
+  eventId: 'event_id',
+  payload: 'payload',
+  status: 'status',
+  attempts: 'attempts',
+  nextAttemptAt: 'next_attempt_at',
+  redeliveryOf: 'redelivery_of',
+  createdAt: 'created_at',
+  completedAt: 'completed_at'
+};
+
+// Stored as JSON text
+const JSON_FIELDS = ['payload', 'attempts'];
+
+/**
+ * Outbound webhooks. Events are recorded as deliveries, one per matching
+ * subscription, and sent in the background. Failed deliveries are retried
+ * with exponential backoff by processDue(), which the server runs on an
+ * interval, so pending retries survive restarts. Subscriptions are
+ * configuration kept in a JSON file; the delivery log is written on every
+ * event and attempt, so it lives in the SQLite metadata database.
+ */
+class WebhookService {
+  constructor() {
+    this.webhooks = new DataStore('webhooks');
+    this.inFlight = new Set();
+  }
+
+  /**
+   * The metadata database, with the delivery table created on first use
+   * @returns {Database} SQLite connection
+   */
+  get db() {
+    if (!this.connection) {
+      const db = metadataService.db;
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          webhook_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          event_id TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts TEXT NOT NULL DEFAULT '[]',
+          next_attempt_at TEXT,
+          redelivery_of TEXT,
+          created_at TEXT NOT NULL,
+          completed_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS webhook_deliveries_created_at ON webhook_deliveries (created_at);
+      `);
+      this.connection = db;
+      this.importJsonLog();
+    }
+    return this.connection;
+  }
+
+  /**
+   * Move deliveries from the JSON file used before the log moved to
+   * SQLite, so pending retries are not lost on upgrade
+   */
+  importJsonLog() {
+    const filePath = path.join(config.dataDir, 'webhook-deliveries.json');
+    if (!fs.existsSync(filePath)) return;
+
+    const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.db.transaction(() => records.forEach(record => this.insertDelivery(record)))();
+    fs.rmSync(filePath);
+  }
+
+  /**
+   * Register a webhook subscription
+   * @param {Object} options - url, events, secret, description
+   * @returns {Object} Subscription including its secret
+   */
+  createWebhook({ url, events, secret, description }) {
+    this.checkUrl(url);
+
+    return this.webhooks.insert({
+      id: crypto.randomBytes(6).toString('hex'),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(24).toString('base64url'),
+      description: description || '',
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List webhook subscriptions without their secrets
+   * @returns {Array<Object>} Subscriptions
+   */
+  listWebhooks() {
+    return this.webhooks.all().map(webhook => this.toPublic(webhook));
+  }
+
+  getWebhook(id) {
+    const webhook = this.webhooks.get(id);
+    return webhook ? this.toPublic(webhook) : null;
+  }
+
+  /**
+   * Change a subscription's URL, events, secret, description or active flag
+   * @param {String} id - Webhook ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} Updated subscription, or null when it does not exist
+   */
+  updateWebhook(id, changes) {
+    if (changes.url) this.checkUrl(changes.url);
+
+    const webhook = this.webhooks.update(id, changes);
+    return webhook ? this.toPublic(webhook) : null;
+  }
+
+  deleteWebhook(id) {
+    return this.webhooks.remove(id);
+  }
+
+  /**
+   * Record an event for every active subscription listening to it and
+   * start delivering. Never throws, so callers can emit from any path.
+   * @param {String} event - Event name, e.g. image.uploaded
+   * @param {Object} data - Event data
+   * @returns {Array<Object>} Created deliveries
+   */
+  emit(event, data) {
+    try {
+      const subscribers = this.webhooks.filter(webhook =>
+        webhook.active && webhook.events.includes(event)
+      );
+      if (subscribers.length === 0) return [];
+
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const deliveries = subscribers.map(webhook => this.createDelivery(webhook.id, payload));
+      deliveries.forEach(delivery => this.send(delivery.id));
+      return deliveries;
+    } catch (error) {
+      console.error(`Failed to emit ${event} webhook:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filters - webhookId, status, limit
+   * @returns {Array<Object>} Deliveries without payloads
+   */
+  listDeliveries({ webhookId, status, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (webhookId) {
+      where.push('webhook_id = ?');
+      params.push(webhookId);
+    }
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT * FROM webhook_deliveries ${clause} ORDER BY created_at DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => this.toDelivery(row))
+      .map(({ payload, ...delivery }) => delivery);
+  }
+
+  getDelivery(id) {
+    const row = this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? this.toDelivery(row) : null;
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery
+   * @param {String} id - Delivery ID
+   * @returns {Object|null} New delivery, or null when the original does not exist
+   */
+  redeliver(id) {
+    const original = this.getDelivery(id);
+    if (!original) return null;
+
+    const webhook = this.webhooks.get(original.webhookId);
+    if (!webhook) {
+      const error = new Error('Webhook no longer exists');
+      error.statusCode = 410;
+      throw error;
+    }
+    if (!webhook.active) {
+      const error = new Error('Webhook is inactive');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const delivery = this.createDelivery(original.webhookId, original.payload, original.id);
+    this.send(delivery.id);
+    return delivery;
+  }
+
+  /**
+   * Attempt every pending delivery whose retry time has come
+   * @returns {Promise<Number>} Deliveries attempted
+   */
+  async processDue() {
+    const due = this.db
+      .prepare("SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?")
+      .all(new Date().toISOString())
+      .filter(delivery => !this.inFlight.has(delivery.id));
+
+    await Promise.all(due.map(delivery => this.attempt(delivery.id)));
+    return due.length;
+  }
+
+  createDelivery(webhookId, payload, redeliveryOf = null) {
+    const now = new Date().toISOString();
+    const delivery = this.insertDelivery({
+      id: crypto.randomBytes(8).toString('hex'),
+      webhookId,
+      event: payload.event,
+      eventId: payload.id,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: now,
+      redeliveryOf,
+      createdAt: now,
+      completedAt: null
+    });
+
+    this.trimLog();
+    return delivery;
+  }
+
+  send(id) {
+    this.attempt(id).catch(error => {
+      console.error(`Webhook delivery ${id} failed:`, error.message);
+    });
+  }
+
+  /**
+   * POST a delivery's payload once and record the outcome
+   * @param {String} id - Delivery ID
+   */
+  async attempt(id) {
+    if (this.inFlight.has(id)) return;
+    this.inFlight.add(id);
+
+    try {
+      const delivery = this.getDelivery(id);
+      if (!delivery || delivery.status !== 'pending') return;
+
+      const webhook = this.webhooks.get(delivery.webhookId);
+      if (!webhook) {
+        this.updateDelivery(id, {
+          status: 'failed',
+          nextAttemptAt: null,
+          completedAt: new Date().toISOString()
+        });
+        return;
+      }
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const startedAt = Date.now();
+      const result = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+      try {
+        result.statusCode = await this.post(webhook.url, {
+          'Content-Type': 'application/json',
+          'User-Agent': 'image-cdn-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        }, body);
+
+        if (result.statusCode < 200 || result.statusCode >= 300) result.error = `HTTP ${result.statusCode}`;
+      } catch (error) {
+        result.error = error.name === 'AbortError'
+          ? `No response within ${config.webhooks.timeout / 1000}s`
+          : error.message;
+      }
+      result.durationMs = Date.now() - startedAt;
+
+      const attempts = [...delivery.attempts, result];
+      const succeeded = !result.error;
+      const exhausted = attempts.length >= config.webhooks.maxAttempts;
+
+      this.updateDelivery(id, {
+        attempts,
+        status: succeeded ? 'succeeded' : (exhausted ? 'failed' : 'pending'),
+        nextAttemptAt: succeeded || exhausted ? null : this.getRetryTime(attempts.length),
+        completedAt: succeeded || exhausted ? new Date().toISOString() : null
+      });
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  /**
+   * POST to a webhook URL without following redirects. Like imports, the
+   * request refuses loopback, private and link-local addresses, checked on
+   * the address actually connected to.
+   * @returns {Promise<Number>} Response status code
+   */
+  post(url, headers, body) {
+    this.checkUrl(url);
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(config.webhooks.timeout),
+        lookup: (hostname, options, callback) =>
+          importService.lookup(hostname, options, callback, config.webhooks.allowPrivateNetworks)
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * Refuse webhook URLs whose host is a loopback, private or link-local
+   * address. Host names are checked when a delivery resolves them.
+   * @param {String} url - Webhook URL
+   * @throws {Error} 400 error for a refused address
+   */
+  checkUrl(url) {
+    const address = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(address) && importService.isBlockedAddress(address, config.webhooks.allowPrivateNetworks)) {
+      const error = new Error(`Webhook address is not allowed: ${address}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Exponential backoff: retryDelay, then doubling after every attempt
+   * @param {Number} attemptCount - Attempts made so far
+   * @returns {String} ISO time of the next attempt
+   */
+  getRetryTime(attemptCount) {
+    const delay = config.webhooks.retryDelay * 2 ** (attemptCount - 1);
+    return new Date(Date.now() + delay).toISOString();
+  }
+
+  /**
+   * HMAC-SHA256 over `<timestamp>.<body>`; receivers recompute it with
+   * the shared secret and reject stale timestamps
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond the log limit
+   */
+  trimLog() {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM webhook_deliveries').get();
+    const excess = count - config.webhooks.logLimit;
+    if (excess <= 0) return;
+
+    this.db.prepare(`
+      DELETE FROM webhook_deliveries WHERE id IN (
+        SELECT id FROM webhook_deliveries WHERE status != 'pending'
+        ORDER BY created_at LIMIT ?
+      )
+    `).run(excess);
+  }
+
+  insertDelivery(delivery) {
+    const fields = Object.keys(DELIVERY_COLUMNS);
+    this.db.prepare(`
+      INSERT OR REPLACE INTO webhook_deliveries (${fields.map(field => DELIVERY_COLUMNS[field]).join(', ')})
+      VALUES (${fields.map(field => `@${field}`).join(', ')})
+    `).run(this.toRow(delivery));
+    return delivery;
+  }
+
+  updateDelivery(id, changes) {
+    const fields = Object.keys(changes);
+    this.db.prepare(`
+      UPDATE webhook_deliveries SET ${fields.map(field => `${DELIVERY_COLUMNS[field]} = @${field}`).join(', ')}
+      WHERE id = @id
+    `).run({ ...this.toRow(changes), id });
+  }
+
+  toRow(delivery) {
+    const row = {};
+    Object.entries(delivery).forEach(([field, value]) => {
+      row[field] = JSON_FIELDS.includes(field) ? JSON.stringify(value) : (value === undefined ? null : value);
+    });
+    return row;
+  }
+
+  toDelivery(row) {
+    const delivery = {};
+    Object.entries(DELIVERY_COLUMNS).forEach(([field, column]) => {
+      delivery[field] = JSON_FIELDS.includes(field) ? JSON.parse(row[column]) : row[column];
+    });
+    return delivery;
+  }
+
+  toPublic({ secret, ...webhook }) {
+    return webhook;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,149 @@
+const http = require('http');
+const config = require('../config/app.config');
+const webhookService = require('./webhook.service');
+
+/**
+ * Receiver answering with queued status codes, 200 once they run out
+ */
+const receiver = {
+  requests: [],
+  statuses: [],
+  server: http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.statuses.shift() || 200;
+      res.end();
+    });
+  })
+};
+
+/**
+ * Wait for a delivery started in the background to finish its attempt
+ */
+const settled = async (id) => {
+  while (webhookService.inFlight.has(id)) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return webhookService.getDelivery(id);
+};
+
+const makeDue = id => webhookService.updateDelivery(id, { nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+
+describe('webhookService', () => {
+  const { allowPrivateNetworks, maxAttempts, retryDelay } = config.webhooks;
+  let webhook;
+
+  beforeAll(async () => {
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    config.webhooks.allowPrivateNetworks = true;
+    config.webhooks.retryDelay = 60 * 1000;
+    webhook = webhookService.createWebhook({
+      url: `http://127.0.0.1:${receiver.server.address().port}/hooks`,
+      events: ['image.uploaded']
+    });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.webhooks, { allowPrivateNetworks, maxAttempts, retryDelay });
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    receiver.requests = [];
+    receiver.statuses = [];
+    config.webhooks.maxAttempts = maxAttempts;
+    webhookService.updateWebhook(webhook.id, { active: true });
+  });
+
+  test('delivers a signed payload to subscribers of the event', async () => {
+    const [delivery] = webhookService.emit('image.uploaded', { publicId: 'uploads/photo' });
+    expect(webhookService.emit('image.deleted', { publicId: 'uploads/photo' })).toEqual([]);
+
+    await expect(settled(delivery.id)).resolves.toMatchObject({ status: 'succeeded', attempts: [{ statusCode: 200, error: null }] });
+    const [{ headers, body }] = receiver.requests;
+    expect(JSON.parse(body)).toMatchObject({ event: 'image.uploaded', data: { publicId: 'uploads/photo' } });
+    expect(headers['x-webhook-signature'])
+      .toBe(`sha256=${webhookService.sign(webhook.secret, headers['x-webhook-timestamp'], body)}`);
+  });
+
+  test('doubles the retry delay after every attempt', () => {
+    const delays = [1, 2, 3].map(attempts => new Date(webhookService.getRetryTime(attempts)) - Date.now());
+
+    [60, 120, 240].forEach((seconds, index) => {
+      expect(delays[index]).toBeGreaterThan((seconds - 1) * 1000);
+      expect(delays[index]).toBeLessThanOrEqual(seconds * 1000);
+    });
+  });
+
+  test('keeps a failed delivery pending until its retry time, then retries it', async () => {
+    receiver.statuses = [500, 503];
+    const [delivery] = webhookService.emit('image.uploaded', {});
+
+    const failed = await settled(delivery.id);
+    expect(failed).toMatchObject({ status: 'pending', attempts: [{ statusCode: 500, error: 'HTTP 500' }] });
+    expect(new Date(failed.nextAttemptAt) - Date.now()).toBeGreaterThan(59 * 1000);
+    await expect(webhookService.processDue()).resolves.toBe(0);
+
+    makeDue(delivery.id);
+    await expect(webhookService.processDue()).resolves.toBe(1);
+    const retried = webhookService.getDelivery(delivery.id);
+    expect(retried.attempts.map(attempt => attempt.error)).toEqual(['HTTP 500', 'HTTP 503']);
+    expect(new Date(retried.nextAttemptAt) - Date.now()).toBeGreaterThan(119 * 1000);
+
+    makeDue(delivery.id);
+    await webhookService.processDue();
+    expect(webhookService.getDelivery(delivery.id)).toMatchObject({ status: 'succeeded', nextAttemptAt: null });
+  });
+
+  test('gives up after the last attempt', async () => {
+    config.webhooks.maxAttempts = 2;
+    receiver.statuses = [500, 500];
+    const [delivery] = webhookService.emit('image.uploaded', {});
+    await settled(delivery.id);
+
+    makeDue(delivery.id);
+    await webhookService.processDue();
+
+    const failed = webhookService.getDelivery(delivery.id);
+    expect(failed).toMatchObject({ status: 'failed', nextAttemptAt: null });
+    expect(failed.attempts).toHaveLength(2);
+    expect(failed.completedAt).not.toBeNull();
+  });
+
+  test('redelivers as a new delivery, but not to an inactive webhook', async () => {
+    const [delivery] = webhookService.emit('image.uploaded', {});
+    await settled(delivery.id);
+
+    const redelivery = webhookService.redeliver(delivery.id);
+    expect(redelivery).toMatchObject({ redeliveryOf: delivery.id, payload: delivery.payload });
+    await settled(redelivery.id);
+
+    webhookService.updateWebhook(webhook.id, { active: false });
+    expect(() => webhookService.redeliver(delivery.id)).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('refuses private targets unless they are allowed', async () => {
+    const [delivery] = webhookService.emit('image.uploaded', {});
+    await settled(delivery.id);
+    config.webhooks.allowPrivateNetworks = false;
+
+    try {
+      expect(() => webhookService.createWebhook({ url: 'http://10.0.0.5/hooks', events: ['image.uploaded'] }))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'Webhook address is not allowed: 10.0.0.5' }));
+      expect(() => webhookService.updateWebhook(webhook.id, { url: 'http://[::1]/hooks' }))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+
+      // Host names are checked on the address they resolve to
+      const local = webhookService.createWebhook({ url: 'http://localhost/hooks', events: ['image.deleted'] });
+      const [blocked] = webhookService.emit('image.deleted', {});
+      const attempted = await settled(blocked.id);
+      expect(attempted.attempts[0].error).toMatch(/^Address is not allowed: /);
+      expect(receiver.requests).toHaveLength(1);
+      webhookService.deleteWebhook(local.id);
+    } finally {
+      config.webhooks.allowPrivateNetworks = true;
+    }
+  });
+});
@@ -4,27 +4,47 @@ import Header from './components/Header';
 import ImageUpload from './components/ImageUpload';
 import ImageGallery from './components/ImageGallery';
 import Stats from './components/Stats';
-import imageAPI from './services/api';
+import Trash from './components/Trash';
+import ApiKeyPrompt from './components/ApiKeyPrompt';
+import imageAPI, { setApiKey } from './services/api';
 import './App.css';
 
+const DEFAULT_FILTERS = { sortBy: 'createdAt', order: 'desc', format: '', color: '' };
+
 function App() {
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [nextCursor, setNextCursor] = useState(null);
   const [hasMore, setHasMore] = useState(true);
   const [activeTab, setActiveTab] = useState('gallery');
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [keyRequired, setKeyRequired] = useState(false);
 
   // Load initial images
   useEffect(() => {
-    loadImages();
+    loadImages(DEFAULT_FILTERS);
+  }, []);
+
+  // Any request rejected for a missing or revoked API key asks for one
+  useEffect(() => {
+    const handleKeyRequired = () => setKeyRequired(true);
+    window.addEventListener('api-key-required', handleKeyRequired);
+    return () => window.removeEventListener('api-key-required', handleKeyRequired);
   }, []);
 
-  const loadImages = async (cursor = null) => {
+  const handleApiKey = (key) => {
+    setApiKey(key);
+    setKeyRequired(false);
+    loadImages(filters);
+  };
+
+  const loadImages = async (activeFilters, cursor = null) => {
     try {
       setLoading(true);
       const result = await imageAPI.listImages({
         maxResults: 20,
         nextCursor: cursor,
+        ...activeFilters,
       });
 
       if (cursor) {
@@ -44,33 +64,69 @@ function App() {
     }
   };
 
-  const handleUploadSuccess = (newImage) => {
-    setImages((prev) => [newImage, ...prev]);
-    toast.success('Image uploaded successfully!');
+  const handleUploadSuccess = (newImages) => {
+    setImages((prev) => [...newImages, ...prev]);
+    toast.success(
+      newImages.length === 1
+        ? 'Image uploaded successfully!'
+        : `${newImages.length} images uploaded successfully!`
+    );
   };
 
+  // Deleting moves the image to the trash, so it can be undone right away
   const handleDeleteImage = async (publicId) => {
-    if (!window.confirm('Are you sure you want to delete this image?')) {
-      return;
-    }
-
     try {
       await imageAPI.deleteImage(publicId);
       setImages((prev) => prev.filter((img) => img.publicId !== publicId));
-      toast.success('Image deleted successfully!');
+      toast.success(
+        (t) => (
+          <span className="toast-undo">
+            Image moved to trash
+            <button
+              onClick={() => {
+                toast.dismiss(t.id);
+                handleUndoDelete(publicId);
+              }}
+            >
+              Undo
+            </button>
+          </span>
+        ),
+        { duration: 6000 }
+      );
     } catch (error) {
       toast.error(`Failed to delete image: ${error.message}`);
     }
   };
 
+  const handleUndoDelete = async (publicId) => {
+    try {
+      const result = await imageAPI.restoreImage(publicId);
+      handleRestoreImage(result.data);
+      toast.success('Image restored');
+    } catch (error) {
+      toast.error(`Failed to restore image: ${error.message}`);
+    }
+  };
+
+  // Restored images go back in the gallery; a refresh puts them in sort order
+  const handleRestoreImage = (image) => {
+    setImages((prev) => [image, ...prev.filter((img) => img.publicId !== image.publicId)]);
+  };
+
   const handleLoadMore = () => {
     if (nextCursor && !loading) {
-      loadImages(nextCursor);
+      loadImages(filters, nextCursor);
     }
   };
 
   const handleRefresh = () => {
-    loadImages();
+    loadImages(filters);
+  };
+
+  const handleFiltersChange = (nextFilters) => {
+    setFilters(nextFilters);
+    loadImages(nextFilters);
   };
 
   return (
@@ -101,6 +157,8 @@ function App() {
       <Header />
 
       <main className="main-content container">
+        {keyRequired && <ApiKeyPrompt onSubmit={handleApiKey} />}
+
         <div className="tabs">
           <button
             className={`tab ${activeTab === 'gallery' ? 'active' : ''}`}
@@ -120,6 +178,12 @@ function App() {
           >
             Statistics
           </button>
+          <button
+            className={`tab ${activeTab === 'trash' ? 'active' : ''}`}
+            onClick={() => setActiveTab('trash')}
+          >
+            Trash
+          </button>
         </div>
 
         {activeTab === 'upload' && (
@@ -134,6 +198,8 @@ function App() {
               images={images}
               loading={loading}
               hasMore={hasMore}
+              filters={filters}
+              onFiltersChange={handleFiltersChange}
               onDelete={handleDeleteImage}
               onLoadMore={handleLoadMore}
               onRefresh={handleRefresh}
@@ -146,6 +212,12 @@ function App() {
             <Stats />
           </div>
         )}
+
+        {activeTab === 'trash' && (
+          <div className="tab-content fade-in">
+            <Trash onRestore={handleRestoreImage} />
+          </div>
+        )}
       </main>
 
       <footer className="footer">
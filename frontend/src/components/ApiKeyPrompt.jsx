@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import './ApiKeyPrompt.css';
+
+function ApiKeyPrompt({ onSubmit }) {
+  const [key, setKey] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (key.trim()) {
+      onSubmit(key.trim());
+    }
+  };
+
+  return (
+    <form className="api-key-prompt card" onSubmit={handleSubmit}>
+      <KeyRound size={24} />
+      <div className="api-key-fields">
+        <label htmlFor="api-key">API key</label>
+        <p>
+          This server requires an API key. It is kept for this browser session only.
+        </p>
+        <div className="api-key-row">
+          <input
+            id="api-key"
+            className="input"
+            type="password"
+            autoComplete="off"
+            value={key}
+            onChange={(e) => setKey(e.target.value)}
+            placeholder="icdn_..."
+          />
+          <button type="submit" className="btn btn-primary" disabled={!key.trim()}>
+            Continue
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+export default ApiKeyPrompt;
@@ -1,9 +1,103 @@
-import { useState } from 'react';
-import { Trash2, ExternalLink, Download, RefreshCw, Loader } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { Trash2, ExternalLink, Download, RefreshCw, Loader, Copy, Code } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import imageAPI from '../services/api';
 import './ImageGallery.css';
 
-function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefresh }) {
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'bytes:desc', label: 'Largest file' },
+  { value: 'bytes:asc', label: 'Smallest file' },
+  { value: 'width:desc', label: 'Widest' },
+  { value: 'publicId:asc', label: 'Name' },
+];
+
+const FORMAT_OPTIONS = ['jpg', 'png', 'gif', 'webp', 'avif', 'svg'];
+
+// Ranking by closeness only applies while a color is picked
+const COLOR_SORT = { value: 'colorDistance:asc', label: 'Closest color' };
+
+// Named colors are broad, so matches may be further from them than the
+// API's default tolerance allows
+const COLOR_TOLERANCE = 35;
+
+const COLOR_OPTIONS = [
+  { value: '#e53935', label: 'Red' },
+  { value: '#fb8c00', label: 'Orange' },
+  { value: '#fdd835', label: 'Yellow' },
+  { value: '#43a047', label: 'Green' },
+  { value: '#1e88e5', label: 'Blue' },
+  { value: '#8e24aa', label: 'Purple' },
+  { value: '#ec407a', label: 'Pink' },
+  { value: '#6d4c41', label: 'Brown' },
+  { value: '#212121', label: 'Black' },
+  { value: '#9e9e9e', label: 'Gray' },
+  { value: '#fafafa', label: 'White' },
+];
+
+function ImageGallery({
+  images,
+  loading,
+  hasMore,
+  filters,
+  onFiltersChange,
+  onDelete,
+  onLoadMore,
+  onRefresh,
+}) {
   const [selectedImage, setSelectedImage] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [loadedThumbnails, setLoadedThumbnails] = useState(() => new Set());
+  const exif = details?.exif;
+  const animation = details?.animation;
+  const focalPoint = details ? details.focalPoint : selectedImage?.focalPoint;
+
+  // Photo metadata, animation details and preset URLs are only returned by the detail endpoint
+  useEffect(() => {
+    setDetails(null);
+    if (!selectedImage) return;
+
+    let cancelled = false;
+    imageAPI
+      .getImage(selectedImage.publicId, { type: selectedImage.type })
+      .then((result) => {
+        if (!cancelled) setDetails(result.data);
+      })
+      .catch((error) => console.error('Failed to load image details:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedImage]);
+
+  const handleThumbnailLoad = (url) => {
+    setLoadedThumbnails((loaded) => new Set(loaded).add(url));
+  };
+
+  // Crops of the image are centered where it was clicked
+  const handleFocalPointClick = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const clamp = (value) => Math.min(1, Math.max(0, Math.round(value * 1000) / 1000));
+    saveFocalPoint({
+      x: clamp((event.clientX - bounds.left) / bounds.width),
+      y: clamp((event.clientY - bounds.top) / bounds.height),
+    });
+  };
+
+  const saveFocalPoint = async (point) => {
+    try {
+      const result = await imageAPI.updateImage(
+        selectedImage.publicId,
+        { focalPoint: point },
+        { type: selectedImage.type }
+      );
+      setDetails(result.data);
+      toast.success(point ? 'Focal point saved' : 'Focal point cleared');
+    } catch (error) {
+      toast.error(`Could not save focal point: ${error.response?.data?.error || error.message}`);
+    }
+  };
 
   const handleDownload = async (url, publicId) => {
     try {
@@ -20,6 +114,16 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
     }
   };
 
+  const handleCopyPicture = async (image) => {
+    try {
+      const result = await imageAPI.getResponsive(image.publicId, { type: image.type });
+      await navigator.clipboard.writeText(result.data.html);
+      toast.success('<picture> markup copied');
+    } catch (error) {
+      toast.error(`Could not copy markup: ${error.message}`);
+    }
+  };
+
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -28,6 +132,23 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   };
 
+  const formatExposure = ({ exposureTime, fNumber, iso, focalLength }) =>
+    [
+      exposureTime && `${exposureTime}s`,
+      fNumber && `f/${fNumber}`,
+      iso && `ISO ${iso}`,
+      focalLength && `${focalLength}mm`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+  const formatAnimation = ({ frames, loop, duration }) =>
+    [
+      `${frames} frames`,
+      `${Math.round(duration / 100) / 10}s`,
+      loop === 0 ? 'loops forever' : `plays ${loop}×`,
+    ].join(' · ');
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -45,7 +166,31 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
     );
   }
 
-  if (images.length === 0) {
+  const handleSortChange = (value) => {
+    const [sortBy, order] = value.split(':');
+    onFiltersChange({ ...filters, sortBy, order });
+  };
+
+  const handleColorChange = (color) => {
+    if (color) {
+      onFiltersChange({
+        ...filters,
+        color,
+        colorTolerance: COLOR_TOLERANCE,
+        sortBy: 'colorDistance',
+        order: 'asc',
+      });
+    } else {
+      const sort = filters.sortBy === 'colorDistance' ? { sortBy: 'createdAt', order: 'desc' } : {};
+      onFiltersChange({ ...filters, color: '', colorTolerance: undefined, ...sort });
+    }
+  };
+
+  const sortOptions = filters.color ? [COLOR_SORT, ...SORT_OPTIONS] : SORT_OPTIONS;
+
+  const filtered = Boolean(filters.format || filters.color);
+
+  if (images.length === 0 && !filtered) {
     return (
       <div className="gallery-empty card">
         <p>No images found. Upload your first image!</p>
@@ -57,20 +202,71 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
     <div className="gallery-container">
       <div className="gallery-header">
         <h2>Gallery ({images.length} images)</h2>
-        <button className="btn btn-secondary" onClick={onRefresh} disabled={loading}>
-          <RefreshCw size={18} className={loading ? 'spin' : ''} />
-          Refresh
-        </button>
+        <div className="gallery-controls">
+          <select
+            className="input"
+            value={`${filters.sortBy}:${filters.order}`}
+            onChange={(e) => handleSortChange(e.target.value)}
+            aria-label="Sort images"
+          >
+            {sortOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.format}
+            onChange={(e) => onFiltersChange({ ...filters, format: e.target.value })}
+            aria-label="Filter by format"
+          >
+            <option value="">All formats</option>
+            {FORMAT_OPTIONS.map((format) => (
+              <option key={format} value={format}>
+                {format.toUpperCase()}
+              </option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.color}
+            onChange={(e) => handleColorChange(e.target.value)}
+            aria-label="Filter by color"
+          >
+            <option value="">Any color</option>
+            {COLOR_OPTIONS.map((color) => (
+              <option key={color.value} value={color.value}>
+                {color.label}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-secondary" onClick={onRefresh} disabled={loading}>
+            <RefreshCw size={18} className={loading ? 'spin' : ''} />
+            Refresh
+          </button>
+        </div>
       </div>
 
+      {images.length === 0 && (
+        <div className="gallery-empty card">
+          <p>No images match these filters.</p>
+        </div>
+      )}
+
       <div className="gallery-grid">
         {images.map((image) => (
           <div key={image.publicId} className="gallery-item card fade-in">
             <div className="image-wrapper">
+              {image.placeholder && !loadedThumbnails.has(image.thumbnail) && (
+                <img className="image-placeholder" src={image.placeholder.lqip} alt="" aria-hidden="true" />
+              )}
               <img
+                className={loadedThumbnails.has(image.thumbnail) ? 'loaded' : ''}
                 src={image.thumbnail}
                 alt={image.publicId}
                 loading="lazy"
+                onLoad={() => handleThumbnailLoad(image.thumbnail)}
                 onClick={() => setSelectedImage(image)}
               />
               <div className="image-overlay">
@@ -106,6 +302,18 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
                 <span>{formatBytes(image.bytes)}</span>
                 <span>{image.format.toUpperCase()}</span>
               </div>
+              {image.colors && (
+                <div className="image-palette">
+                  {image.colors.palette.map((entry) => (
+                    <span
+                      key={entry.color}
+                      className="palette-swatch"
+                      style={{ backgroundColor: entry.color, flexGrow: entry.share }}
+                      title={`${entry.color} · ${Math.round(entry.share * 100)}%`}
+                    />
+                  ))}
+                </div>
+              )}
               <p className="image-date">{formatDate(image.createdAt)}</p>
             </div>
           </div>
@@ -140,7 +348,21 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
             >
               ×
             </button>
-            <img src={selectedImage.url} alt={selectedImage.publicId} />
+            <div className="modal-image">
+              <div className="focal-picker" title="Click to set the focal point for crops">
+                <img
+                  src={selectedImage.url}
+                  alt={selectedImage.publicId}
+                  onClick={handleFocalPointClick}
+                />
+                {focalPoint && (
+                  <span
+                    className="focal-marker"
+                    style={{ left: `${focalPoint.x * 100}%`, top: `${focalPoint.y * 100}%` }}
+                  />
+                )}
+              </div>
+            </div>
             <div className="modal-info">
               <h3>{selectedImage.publicId}</h3>
               <div className="modal-details">
@@ -160,7 +382,78 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
                   <span className="detail-label">Created:</span>
                   <span>{formatDate(selectedImage.createdAt)}</span>
                 </div>
+                {exif?.capturedAt && (
+                  <div className="detail-item">
+                    <span className="detail-label">Captured:</span>
+                    <span>{formatDate(exif.capturedAt)}</span>
+                  </div>
+                )}
+                {exif?.camera && (
+                  <div className="detail-item">
+                    <span className="detail-label">Camera:</span>
+                    <span>{[exif.camera.make, exif.camera.model].filter(Boolean).join(' ')}</span>
+                  </div>
+                )}
+                {exif?.lens && (
+                  <div className="detail-item">
+                    <span className="detail-label">Lens:</span>
+                    <span>{[exif.lens.make, exif.lens.model].filter(Boolean).join(' ')}</span>
+                  </div>
+                )}
+                {exif?.exposure && (
+                  <div className="detail-item">
+                    <span className="detail-label">Exposure:</span>
+                    <span>{formatExposure(exif.exposure)}</span>
+                  </div>
+                )}
+                {exif?.iccProfile && (
+                  <div className="detail-item">
+                    <span className="detail-label">Color Profile:</span>
+                    <span>{exif.iccProfile}</span>
+                  </div>
+                )}
+                {animation && (
+                  <div className="detail-item">
+                    <span className="detail-label">Animation:</span>
+                    <span>{formatAnimation(animation)}</span>
+                  </div>
+                )}
+                <div className="detail-item">
+                  <span className="detail-label">Focal Point:</span>
+                  {focalPoint ? (
+                    <span>
+                      {Math.round(focalPoint.x * 100)}%, {Math.round(focalPoint.y * 100)}%{' '}
+                      <button className="focal-clear" onClick={() => saveFocalPoint(null)}>
+                        Clear
+                      </button>
+                    </span>
+                  ) : (
+                    <span>Automatic (click the image to set)</span>
+                  )}
+                </div>
               </div>
+              {details?.presets?.length > 0 && (
+                <div className="modal-presets">
+                  <span className="detail-label">Presets</span>
+                  <ul>
+                    {details.presets.map((preset) => (
+                      <li key={preset.name}>
+                        <a href={preset.url} target="_blank" rel="noopener noreferrer">
+                          {preset.name}
+                        </a>
+                        <input className="input" value={preset.url} readOnly />
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => navigator.clipboard.writeText(preset.url)}
+                          title={`Copy ${preset.name} URL`}
+                        >
+                          <Copy size={16} />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               <div className="modal-actions">
                 <a
                   href={selectedImage.url}
@@ -171,6 +464,24 @@ function ImageGallery({ images, loading, hasMore, onDelete, onLoadMore, onRefres
                   <ExternalLink size={18} />
                   Open Original
                 </a>
+                {selectedImage.original && (
+                  <a
+                    href={selectedImage.original.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="btn btn-secondary"
+                  >
+                    <Download size={18} />
+                    Uploaded {selectedImage.original.format.toUpperCase()}
+                  </a>
+                )}
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleCopyPicture(selectedImage)}
+                >
+                  <Code size={18} />
+                  Copy &lt;picture&gt;
+                </button>
                 <button
                   className="btn btn-primary"
                   onClick={() => handleDownload(selectedImage.url, selectedImage.publicId)}
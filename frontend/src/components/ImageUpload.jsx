@@ -1,143 +1,356 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { Upload, X, CheckCircle, Loader } from 'lucide-react';
+import { Upload, X, CheckCircle, AlertCircle, Loader } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import imageAPI from '../services/api';
 import './ImageUpload.css';
 
+// Files sent per batch request
+const BATCH_SIZE = 10;
+// Larger files go through resumable uploads, one at a time
+const MAX_BATCH_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+
+// Extensions the dropzone accepts, by the format name shown in the hint
+const ACCEPTED_FORMATS = {
+  JPG: ['.jpg', '.jpeg'],
+  PNG: ['.png'],
+  GIF: ['.gif'],
+  WebP: ['.webp'],
+  SVG: ['.svg'],
+  AVIF: ['.avif'],
+  HEIC: ['.heic', '.heif'],
+  TIFF: ['.tif', '.tiff'],
+};
+
+const defaultOptions = {
+  folder: '',
+  tags: '',
+  optimize: true,
+  // Empty leaves the choice to the server (folder mapping or default)
+  profile: '',
+  access: 'public',
+  onDuplicate: 'reuse',
+  onUnsafeSvg: 'clean',
+  keepOriginal: false,
+  convertAnimatedGif: false,
+  // Empty leaves the choice to the server (the folder's upload watermark)
+  watermark: '',
+};
+
+let nextQueueId = 0;
+
+// Short note on what the server did with an uploaded file, if anything notable
+const getResultNote = (image) => {
+  if (image.duplicateOf) return `Duplicate of ${image.duplicateOf}`;
+  if (image.watermark) return `Watermarked with ${image.watermark}`;
+  if (image.convertedFrom) {
+    return `Converted from ${image.convertedFrom.toUpperCase()} to ${image.format.toUpperCase()}`;
+  }
+
+  const removed = image.sanitization?.removed || [];
+  if (removed.length > 0) {
+    const count = removed.reduce((total, entry) => total + entry.count, 0);
+    return `Removed ${count} unsafe SVG item${count === 1 ? '' : 's'}`;
+  }
+
+  const { savedPercent, profile } = image.optimization || {};
+  if (savedPercent > 0) return `${savedPercent}% smaller${profile ? ` with the ${profile} profile` : ''}`;
+  return null;
+};
+
 function ImageUpload({ onUploadSuccess }) {
   const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [preview, setPreview] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [options, setOptions] = useState({
-    folder: '',
-    tags: '',
-    optimize: true,
-  });
+  const [queue, setQueue] = useState([]);
+  const [options, setOptions] = useState(defaultOptions);
+  const [watermarks, setWatermarks] = useState([]);
+  const queueRef = useRef(queue);
+
+  queueRef.current = queue;
+
+  // Watermarks that can be burned in on upload
+  useEffect(() => {
+    imageAPI
+      .listWatermarks()
+      .then((response) => setWatermarks(response.data))
+      .catch(() => setWatermarks([]));
+  }, []);
+
+  // Release preview URLs when the component unmounts
+  useEffect(() => {
+    return () => queueRef.current.forEach((item) => URL.revokeObjectURL(item.preview));
+  }, []);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     accept: {
-      'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'],
+      'image/*': Object.values(ACCEPTED_FORMATS).flat(),
     },
-    maxSize: 10 * 1024 * 1024, // 10MB
-    multiple: false,
+    maxSize: MAX_FILE_SIZE,
+    multiple: true,
+    disabled: uploading,
     onDrop: (acceptedFiles) => {
-      if (acceptedFiles.length > 0) {
-        const file = acceptedFiles[0];
-        setSelectedFile(file);
-        setPreview(URL.createObjectURL(file));
-      }
+      const items = acceptedFiles.map((file) => ({
+        id: nextQueueId++,
+        file,
+        preview: URL.createObjectURL(file),
+        status: 'pending',
+        progress: 0,
+        error: null,
+        note: null,
+      }));
+      setQueue((prev) => [...prev, ...items]);
     },
     onDropRejected: (fileRejections) => {
-      const error = fileRejections[0]?.errors[0];
-      if (error?.code === 'file-too-large') {
-        toast.error('File is too large. Maximum size is 10MB');
-      } else if (error?.code === 'file-invalid-type') {
-        toast.error('Invalid file type. Please upload an image');
-      } else {
-        toast.error('File rejected');
-      }
+      fileRejections.forEach(({ file, errors }) => {
+        const error = errors[0];
+        if (error?.code === 'file-too-large') {
+          toast.error(`${file.name} is too large. Maximum size is 100MB`);
+        } else if (error?.code === 'file-invalid-type') {
+          toast.error(`${file.name} is not a supported image`);
+        } else {
+          toast.error(`${file.name} was rejected`);
+        }
+      });
     },
   });
 
-  const handleUpload = async () => {
-    if (!selectedFile) {
-      toast.error('Please select a file first');
-      return;
-    }
+  const updateItems = (ids, changes) => {
+    setQueue((prev) =>
+      prev.map((item) =>
+        ids.includes(item.id)
+          ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) }
+          : item
+      )
+    );
+  };
+
+  const uploadChunk = async (items, uploadOptions) => {
+    const ids = items.map((item) => item.id);
+    const totalBytes = items.reduce((sum, item) => sum + item.file.size, 0);
+
+    // Files are sent in order, so the bytes sent so far tell how far along
+    // each file is
+    const offsets = [];
+    items.reduce((offset, item) => {
+      offsets.push(offset);
+      return offset + item.file.size;
+    }, 0);
+
+    updateItems(ids, { status: 'uploading', progress: 0, error: null });
 
     try {
-      setUploading(true);
-      setUploadProgress(0);
+      const result = await imageAPI.uploadBatch(
+        items.map((item) => item.file),
+        {
+          ...uploadOptions,
+          onUploadProgress: (progressEvent) => {
+            const sent = progressEvent.total
+              ? (progressEvent.loaded / progressEvent.total) * totalBytes
+              : 0;
+            setQueue((prev) =>
+              prev.map((item) => {
+                const index = ids.indexOf(item.id);
+                if (index === -1) return item;
+                const fileProgress = (sent - offsets[index]) / (item.file.size || 1);
+                return {
+                  ...item,
+                  progress: Math.round(Math.min(Math.max(fileProgress, 0), 1) * 100),
+                };
+              })
+            );
+          },
+        }
+      );
 
-      const uploadOptions = {
-        folder: options.folder || undefined,
-        tags: options.tags ? options.tags.split(',').map((t) => t.trim()) : undefined,
-        optimize: options.optimize,
+      const uploaded = [];
+      result.data.results.forEach((fileResult) => {
+        const item = items[fileResult.index];
+        if (fileResult.success) {
+          uploaded.push(fileResult.data);
+          updateItems([item.id], {
+            status: 'done',
+            progress: 100,
+            note: getResultNote(fileResult.data),
+          });
+        } else {
+          updateItems([item.id], { status: 'error', error: fileResult.error });
+        }
+      });
+      return uploaded;
+    } catch (error) {
+      updateItems(ids, { status: 'error', error: error.message });
+      return [];
+    }
+  };
+
+  const uploadResumable = async (item, uploadOptions) => {
+    updateItems([item.id], { status: 'uploading', progress: 0, error: null });
+
+    try {
+      const result = await imageAPI.uploadImage(item.file, {
+        ...uploadOptions,
         onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadProgress(percentCompleted);
+          updateItems([item.id], {
+            progress: Math.round((progressEvent.loaded * 100) / progressEvent.total),
+          });
         },
-      };
+      });
+      updateItems([item.id], {
+        status: 'done',
+        progress: 100,
+        note: getResultNote(result.data),
+      });
+      return [result.data];
+    } catch (error) {
+      updateItems([item.id], { status: 'error', error: error.message });
+      return [];
+    }
+  };
 
-      const result = await imageAPI.uploadImage(selectedFile, uploadOptions);
+  const handleUpload = async () => {
+    const pending = queue.filter((item) => item.status === 'pending' || item.status === 'error');
+    if (pending.length === 0) {
+      toast.error('Please select files first');
+      return;
+    }
 
-      if (result.success) {
-        onUploadSuccess(result.data);
-        handleClear();
-      }
-    } catch (error) {
-      toast.error(`Upload failed: ${error.message}`);
-    } finally {
-      setUploading(false);
-      setUploadProgress(0);
+    setUploading(true);
+
+    const uploadOptions = {
+      folder: options.folder || undefined,
+      tags: options.tags ? options.tags.split(',').map((t) => t.trim()) : undefined,
+      optimize: options.optimize,
+      profile: options.profile || undefined,
+      access: options.access,
+      onDuplicate: options.onDuplicate,
+      onUnsafeSvg: options.onUnsafeSvg,
+      // Left to the server's default unless asked for
+      keepOriginal: options.keepOriginal || undefined,
+      convertAnimatedGif: options.convertAnimatedGif || undefined,
+      watermark: options.watermark || undefined,
+    };
+
+    const small = pending.filter((item) => item.file.size <= MAX_BATCH_FILE_SIZE);
+    const large = pending.filter((item) => item.file.size > MAX_BATCH_FILE_SIZE);
+
+    const uploaded = [];
+    for (let i = 0; i < small.length; i += BATCH_SIZE) {
+      uploaded.push(...(await uploadChunk(small.slice(i, i + BATCH_SIZE), uploadOptions)));
+    }
+    for (const item of large) {
+      uploaded.push(...(await uploadResumable(item, uploadOptions)));
+    }
+
+    setUploading(false);
+
+    if (uploaded.length > 0) {
+      onUploadSuccess(uploaded);
+    }
+    const failed = pending.length - uploaded.length;
+    if (failed > 0) {
+      toast.error(`${failed} of ${pending.length} files failed to upload`);
     }
   };
 
-  const handleClear = () => {
-    setSelectedFile(null);
-    setPreview(null);
-    setUploadProgress(0);
-    setOptions({
-      folder: '',
-      tags: '',
-      optimize: true,
+  const handleRemove = (id) => {
+    setQueue((prev) => {
+      const item = prev.find((queued) => queued.id === id);
+      if (item) URL.revokeObjectURL(item.preview);
+      return prev.filter((queued) => queued.id !== id);
+    });
+  };
+
+  const handleClearCompleted = () => {
+    setQueue((prev) => {
+      prev
+        .filter((item) => item.status === 'done')
+        .forEach((item) => URL.revokeObjectURL(item.preview));
+      return prev.filter((item) => item.status !== 'done');
     });
   };
 
+  const handleClear = () => {
+    queue.forEach((item) => URL.revokeObjectURL(item.preview));
+    setQueue([]);
+    setOptions(defaultOptions);
+  };
+
+  const pendingCount = queue.filter(
+    (item) => item.status === 'pending' || item.status === 'error'
+  ).length;
+  const doneCount = queue.filter((item) => item.status === 'done').length;
+
   return (
     <div className="upload-container card">
-      <h2 className="upload-title">Upload Image</h2>
+      <h2 className="upload-title">Upload Images</h2>
 
       <div
         {...getRootProps()}
         className={`dropzone ${isDragActive ? 'active' : ''} ${
-          preview ? 'has-preview' : ''
+          queue.length > 0 ? 'compact' : ''
         }`}
       >
         <input {...getInputProps()} />
 
-        {!preview ? (
-          <div className="dropzone-content">
-            <Upload size={48} />
-            <p className="dropzone-text">
-              {isDragActive
-                ? 'Drop the image here'
-                : 'Drag & drop an image here, or click to select'}
-            </p>
-            <p className="dropzone-hint">
-              Supported formats: JPG, PNG, GIF, WebP, SVG (max 10MB)
-            </p>
-          </div>
-        ) : (
-          <div className="preview-container">
-            <img src={preview} alt="Preview" className="preview-image" />
-            <button
-              className="preview-remove"
-              onClick={(e) => {
-                e.stopPropagation();
-                handleClear();
-              }}
-              disabled={uploading}
-            >
-              <X size={20} />
-            </button>
-          </div>
-        )}
+        <div className="dropzone-content">
+          <Upload size={queue.length > 0 ? 32 : 48} />
+          <p className="dropzone-text">
+            {isDragActive
+              ? 'Drop the images here'
+              : 'Drag & drop images here, or click to select'}
+          </p>
+          <p className="dropzone-hint">
+            Supported formats: {Object.keys(ACCEPTED_FORMATS).join(', ')} (max 100MB each)
+          </p>
+        </div>
       </div>
 
-      {selectedFile && (
+      {queue.length > 0 && (
         <div className="upload-options">
-          <div className="file-info">
-            <CheckCircle size={20} className="check-icon" />
-            <span className="file-name">{selectedFile.name}</span>
-            <span className="file-size">
-              ({(selectedFile.size / 1024).toFixed(2)} KB)
-            </span>
-          </div>
+          <ul className="upload-queue">
+            {queue.map((item) => (
+              <li key={item.id} className={`queue-item ${item.status}`}>
+                <img src={item.preview} alt={item.file.name} className="queue-preview" />
+                <div className="queue-details">
+                  <div className="queue-header">
+                    <span className="file-name" title={item.file.name}>
+                      {item.file.name}
+                    </span>
+                    <span className="file-size">
+                      ({(item.file.size / 1024).toFixed(2)} KB)
+                    </span>
+                  </div>
+                  {item.status === 'error' ? (
+                    <p className="queue-error">{item.error}</p>
+                  ) : item.note ? (
+                    <p className="queue-note">{item.note}</p>
+                  ) : (
+                    <div className="progress-bar">
+                      <div
+                        className="progress-fill"
+                        style={{ width: `${item.progress}%` }}
+                      />
+                    </div>
+                  )}
+                </div>
+                <div className="queue-status">
+                  {item.status === 'uploading' && <Loader size={20} className="spin" />}
+                  {item.status === 'done' && <CheckCircle size={20} className="check-icon" />}
+                  {item.status === 'error' && <AlertCircle size={20} className="error-icon" />}
+                  {(item.status === 'pending' || item.status === 'error') && (
+                    <button
+                      className="queue-remove"
+                      onClick={() => handleRemove(item.id)}
+                      disabled={uploading}
+                      title="Remove"
+                    >
+                      <X size={16} />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
 
           <div className="options-form">
             <div className="form-group">
@@ -168,6 +381,86 @@ function ImageUpload({ onUploadSuccess }) {
               />
             </div>
 
+            <div className="form-group">
+              <label htmlFor="access">Access</label>
+              <select
+                id="access"
+                className="input"
+                value={options.access}
+                onChange={(e) => setOptions({ ...options, access: e.target.value })}
+                disabled={uploading}
+              >
+                <option value="public">Public</option>
+                <option value="private">Private (signed URLs only)</option>
+                <option value="authenticated">Authenticated (signed URLs only)</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="onDuplicate">If already uploaded</label>
+              <select
+                id="onDuplicate"
+                className="input"
+                value={options.onDuplicate}
+                onChange={(e) => setOptions({ ...options, onDuplicate: e.target.value })}
+                disabled={uploading}
+              >
+                <option value="reuse">Use the existing image</option>
+                <option value="reject">Report an error</option>
+                <option value="allow">Upload a new copy</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="onUnsafeSvg">Unsafe SVG content</label>
+              <select
+                id="onUnsafeSvg"
+                className="input"
+                value={options.onUnsafeSvg}
+                onChange={(e) => setOptions({ ...options, onUnsafeSvg: e.target.value })}
+                disabled={uploading}
+              >
+                <option value="clean">Remove it and upload</option>
+                <option value="reject">Reject the file</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="profile">Optimization profile</label>
+              <select
+                id="profile"
+                className="input"
+                value={options.profile}
+                onChange={(e) => setOptions({ ...options, profile: e.target.value })}
+                disabled={uploading || !options.optimize}
+              >
+                <option value="">Server default</option>
+                <option value="photo">Photo (4096px, quality 85)</option>
+                <option value="thumbnail">Thumbnail (640px WebP)</option>
+                <option value="lossless">Lossless</option>
+                <option value="archive">Archive (full size, metadata kept)</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="watermark">Watermark</label>
+              <select
+                id="watermark"
+                className="input"
+                value={options.watermark}
+                onChange={(e) => setOptions({ ...options, watermark: e.target.value })}
+                disabled={uploading}
+              >
+                <option value="">Folder default</option>
+                <option value="none">None</option>
+                {watermarks.map((watermark) => (
+                  <option key={watermark.id} value={watermark.name}>
+                    {watermark.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="form-group checkbox-group">
               <label>
                 <input
@@ -178,24 +471,50 @@ function ImageUpload({ onUploadSuccess }) {
                   }
                   disabled={uploading}
                 />
-                <span>Optimize image before upload</span>
+                <span>Optimize images before upload</span>
               </label>
             </div>
-          </div>
 
-          {uploading && (
-            <div className="progress-container">
-              <div className="progress-bar">
-                <div
-                  className="progress-fill"
-                  style={{ width: `${uploadProgress}%` }}
+            <div className="form-group checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={options.keepOriginal}
+                  onChange={(e) =>
+                    setOptions({ ...options, keepOriginal: e.target.checked })
+                  }
+                  disabled={uploading}
                 />
-              </div>
-              <span className="progress-text">{uploadProgress}%</span>
+                <span>Keep originals of converted or watermarked files</span>
+              </label>
             </div>
-          )}
+
+            <div className="form-group checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={options.convertAnimatedGif}
+                  onChange={(e) =>
+                    setOptions({ ...options, convertAnimatedGif: e.target.checked })
+                  }
+                  disabled={uploading}
+                />
+                <span>Convert animated GIFs to WebP</span>
+              </label>
+            </div>
+          </div>
 
           <div className="upload-actions">
+            {doneCount > 0 && (
+              <button
+                className="btn btn-secondary"
+                onClick={handleClearCompleted}
+                disabled={uploading}
+              >
+                <CheckCircle size={18} />
+                Clear Completed
+              </button>
+            )}
             <button
               className="btn btn-secondary"
               onClick={handleClear}
@@ -207,7 +526,7 @@ function ImageUpload({ onUploadSuccess }) {
             <button
               className="btn btn-primary"
               onClick={handleUpload}
-              disabled={uploading}
+              disabled={uploading || pendingCount === 0}
             >
               {uploading ? (
                 <>
@@ -217,7 +536,7 @@ function ImageUpload({ onUploadSuccess }) {
               ) : (
                 <>
                   <Upload size={18} />
-                  Upload
+                  Upload {pendingCount > 0 ? `(${pendingCount})` : ''}
                 </>
               )}
             </button>
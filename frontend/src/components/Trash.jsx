@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react';
+import { RotateCcw, Trash2, RefreshCw, Loader, ImageOff } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import imageAPI from '../services/api';
+import './Trash.css';
+
+function Trash({ onRestore }) {
+  const [images, setImages] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  const loadTrash = async (cursor = null) => {
+    try {
+      setLoading(true);
+      const result = await imageAPI.listTrash({ maxResults: 20, nextCursor: cursor });
+      setImages((prev) => (cursor ? [...prev, ...result.data.images] : result.data.images));
+      setNextCursor(result.data.nextCursor);
+      setRetentionDays(result.data.retentionDays);
+    } catch (error) {
+      toast.error(`Failed to load trash: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (publicId) => {
+    try {
+      setBusy(publicId);
+      const result = await imageAPI.restoreImage(publicId);
+      setImages((prev) => prev.filter((img) => img.publicId !== publicId));
+      onRestore(result.data);
+      toast.success('Image restored');
+    } catch (error) {
+      toast.error(`Failed to restore image: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async (publicId) => {
+    if (!window.confirm('Delete this image permanently? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setBusy(publicId);
+      await imageAPI.deleteImage(publicId, { permanent: true });
+      setImages((prev) => prev.filter((img) => img.publicId !== publicId));
+      toast.success('Image deleted permanently');
+    } catch (error) {
+      toast.error(`Failed to delete image: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete every image in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setBusy('all');
+      const result = await imageAPI.emptyTrash();
+      toast.success(`${result.data.purged} image(s) deleted permanently`);
+      loadTrash();
+    } catch (error) {
+      toast.error(`Failed to empty trash: ${error.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (loading && images.length === 0) {
+    return (
+      <div className="trash-loading">
+        <div className="spinner" />
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="trash-container">
+      <div className="trash-header">
+        <div>
+          <h2>Trash ({images.length} images)</h2>
+          {retentionDays && (
+            <p className="trash-hint">
+              Images are deleted permanently {retentionDays} days after they are moved here.
+            </p>
+          )}
+        </div>
+        <div className="trash-controls">
+          <button className="btn btn-secondary" onClick={() => loadTrash()} disabled={loading}>
+            <RefreshCw size={18} className={loading ? 'spin' : ''} />
+            Refresh
+          </button>
+          <button
+            className="btn btn-danger"
+            onClick={handleEmpty}
+            disabled={images.length === 0 || busy !== null}
+          >
+            <Trash2 size={18} />
+            Empty trash
+          </button>
+        </div>
+      </div>
+
+      {images.length === 0 ? (
+        <div className="trash-empty card">
+          <p>The trash is empty.</p>
+        </div>
+      ) : (
+        <ul className="trash-list">
+          {images.map((image) => (
+            <li key={image.publicId} className="trash-item card fade-in">
+              {/* Trashed images are no longer served, so the preview is the stored placeholder */}
+              {image.placeholder?.lqip ? (
+                <img src={image.placeholder.lqip} alt={image.publicId} />
+              ) : (
+                <div className="trash-preview-empty">
+                  <ImageOff size={24} />
+                </div>
+              )}
+              <div className="trash-info">
+                <p className="trash-id" title={image.publicId}>{image.publicId}</p>
+                <p className="trash-dates">
+                  Deleted {formatDate(image.deletedAt)} · Purged {formatDate(image.purgeAt)}
+                </p>
+              </div>
+              <div className="trash-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleRestore(image.publicId)}
+                  disabled={busy !== null}
+                >
+                  <RotateCcw size={16} />
+                  Restore
+                </button>
+                <button
+                  className="btn btn-danger"
+                  onClick={() => handleDelete(image.publicId)}
+                  disabled={busy !== null}
+                >
+                  <Trash2 size={16} />
+                  Delete permanently
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && (
+        <div className="trash-load-more">
+          <button className="btn btn-primary" onClick={() => loadTrash(nextCursor)} disabled={loading}>
+            {loading ? (
+              <>
+                <Loader size={18} className="spin" />
+                Loading...
+              </>
+            ) : (
+              'Load More'
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
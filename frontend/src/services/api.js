@@ -2,6 +2,22 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
+// VITE_API_KEY is for the dev server only (builds refuse it): anything in
+// the bundle can be read by every visitor. Deployed frontends ask for a key
+// and keep it for the browser session.
+const DEV_API_KEY = import.meta.env.DEV ? import.meta.env.VITE_API_KEY : undefined;
+const API_KEY_STORAGE = 'imageCdnApiKey';
+
+export const getApiKey = () => DEV_API_KEY || sessionStorage.getItem(API_KEY_STORAGE);
+
+export const setApiKey = (key) => {
+  if (key) {
+    sessionStorage.setItem(API_KEY_STORAGE, key);
+  } else {
+    sessionStorage.removeItem(API_KEY_STORAGE);
+  }
+};
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -9,25 +25,112 @@ const api = axios.create({
   },
 });
 
+api.interceptors.request.use((request) => {
+  const key = getApiKey();
+  if (key) request.headers['X-API-Key'] = key;
+  return request;
+});
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
   (error) => {
+    // Missing or revoked key: let the app ask for one
+    if (error.response?.status === 401) {
+      window.dispatchEvent(new Event('api-key-required'));
+    }
+
     const errorMessage = error.response?.data?.error || error.message || 'An error occurred';
-    return Promise.reject(new Error(errorMessage));
+    const apiError = new Error(errorMessage);
+    apiError.status = error.response?.status;
+    return Promise.reject(apiError);
   }
 );
 
+// Delays between attempts when a resumable upload request fails
+const RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors (no status) and server errors are retried, client errors are not
+const isRetryable = (error) => !error.status || error.status >= 500;
+
+const withRetry = async (fn) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= RETRY_DELAYS.length || !isRetryable(error)) throw error;
+      await sleep(RETRY_DELAYS[attempt]);
+    }
+  }
+};
+
 const imageAPI = {
   /**
-   * Upload an image
+   * Upload an image through a resumable upload session. Chunks are retried
+   * after network errors, resuming from what the server already received.
    */
   uploadImage: async (file, options = {}) => {
+    const created = await withRetry(() =>
+      api.post('/uploads', {
+        filename: file.name,
+        size: file.size,
+        // Browsers leave the type empty for formats they do not know (HEIC)
+        mimetype: file.type || 'application/octet-stream',
+        folder: options.folder,
+        publicId: options.publicId,
+        tags: options.tags,
+        optimize: options.optimize,
+        profile: options.profile,
+        access: options.access,
+        onDuplicate: options.onDuplicate,
+        onUnsafeSvg: options.onUnsafeSvg,
+        keepOriginal: options.keepOriginal,
+        convertAnimatedGif: options.convertAnimatedGif,
+        watermark: options.watermark,
+      })
+    );
+    const { uploadId, chunkSize, totalChunks } = created.data.data;
+
+    for (let index = 0; index < totalChunks; index++) {
+      const start = index * chunkSize;
+      const chunk = file.slice(start, start + chunkSize);
+
+      await withRetry(async (attempt) => {
+        if (attempt > 0) {
+          // The chunk may have arrived before the connection dropped
+          const status = await api.get(`/uploads/${uploadId}`);
+          if (status.data.data.receivedChunks.includes(index)) return;
+        }
+
+        await api.put(`/uploads/${uploadId}/chunks/${index}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+          },
+          onUploadProgress: (progressEvent) => {
+            options.onUploadProgress?.({
+              loaded: Math.min(start + progressEvent.loaded, file.size),
+              total: file.size,
+            });
+          },
+        });
+      });
+    }
+
+    const response = await withRetry(() => api.post(`/uploads/${uploadId}/complete`));
+    return response.data;
+  },
+
+  /**
+   * Upload several images in one request; resolves with per-file results
+   * for full (201), partial (207) and failed (400) batches
+   */
+  uploadBatch: async (files, options = {}) => {
     const formData = new FormData();
-    formData.append('image', file);
+    files.forEach((file) => formData.append('images', file));
 
     if (options.folder) formData.append('folder', options.folder);
-    if (options.publicId) formData.append('publicId', options.publicId);
     if (options.tags) {
       if (Array.isArray(options.tags)) {
         options.tags.forEach(tag => formData.append('tags', tag));
@@ -38,30 +141,111 @@ const imageAPI = {
     if (options.optimize !== undefined) {
       formData.append('optimize', options.optimize);
     }
+    if (options.profile) formData.append('profile', options.profile);
+    if (options.access) formData.append('access', options.access);
+    if (options.onDuplicate) formData.append('onDuplicate', options.onDuplicate);
+    if (options.onUnsafeSvg) formData.append('onUnsafeSvg', options.onUnsafeSvg);
+    if (options.keepOriginal !== undefined) formData.append('keepOriginal', options.keepOriginal);
+    if (options.convertAnimatedGif !== undefined) {
+      formData.append('convertAnimatedGif', options.convertAnimatedGif);
+    }
+    if (options.watermark) formData.append('watermark', options.watermark);
 
-    const response = await api.post('/images/upload', formData, {
+    const response = await api.post('/images/upload/batch', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
       onUploadProgress: options.onUploadProgress,
+      validateStatus: (status) => [201, 207, 400].includes(status),
     });
 
+    if (!response.data.data?.results) {
+      throw new Error(response.data.error || 'Batch upload failed');
+    }
     return response.data;
   },
 
   /**
    * Get image by public ID
    */
-  getImage: async (publicId) => {
-    const response = await api.get(`/images/${encodeURIComponent(publicId)}`);
+  getImage: async (publicId, options = {}) => {
+    const response = await api.get(`/images/${encodeURIComponent(publicId)}`, {
+      params: { type: options.type },
+    });
     return response.data;
   },
 
   /**
-   * Delete an image
+   * Get derivative URLs with srcset, sizes and <picture> markup
    */
-  deleteImage: async (publicId) => {
-    const response = await api.delete(`/images/${encodeURIComponent(publicId)}`);
+  getResponsive: async (publicId, options = {}) => {
+    const response = await api.get(`/images/${encodeURIComponent(publicId)}/responsive`, {
+      params: {
+        type: options.type,
+        widths: options.widths?.join(','),
+        formats: options.formats?.join(','),
+        sizes: options.sizes,
+        alt: options.alt,
+        aspectRatio: options.aspectRatio,
+      },
+    });
+    return response.data;
+  },
+
+  /**
+   * Change an image's details, e.g. its focal point
+   */
+  updateImage: async (publicId, changes, options = {}) => {
+    const response = await api.patch(`/images/${encodeURIComponent(publicId)}`, changes, {
+      params: { type: options.type },
+    });
+    return response.data;
+  },
+
+  /**
+   * Create a signed, expiring URL for an image
+   */
+  signUrl: async (publicId, options = {}) => {
+    const response = await api.post(`/images/${encodeURIComponent(publicId)}/sign`, options);
+    return response.data;
+  },
+
+  /**
+   * Move an image to the trash, or delete it for good with `permanent`
+   */
+  deleteImage: async (publicId, options = {}) => {
+    const params = new URLSearchParams();
+    if (options.permanent) params.append('permanent', 'true');
+
+    const response = await api.delete(`/images/${encodeURIComponent(publicId)}?${params.toString()}`);
+    return response.data;
+  },
+
+  /**
+   * List images in the trash
+   */
+  listTrash: async (options = {}) => {
+    const params = new URLSearchParams();
+    if (options.maxResults) params.append('maxResults', options.maxResults);
+    if (options.nextCursor) params.append('nextCursor', options.nextCursor);
+
+    const response = await api.get(`/images/trash?${params.toString()}`);
+    return response.data;
+  },
+
+  /**
+   * Take an image out of the trash
+   */
+  restoreImage: async (publicId) => {
+    const response = await api.post(`/images/${encodeURIComponent(publicId)}/restore`);
+    return response.data;
+  },
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  emptyTrash: async () => {
+    const response = await api.delete('/images/trash?permanent=true');
     return response.data;
   },
 
@@ -74,6 +258,12 @@ const imageAPI = {
     if (options.nextCursor) params.append('nextCursor', options.nextCursor);
     if (options.prefix) params.append('prefix', options.prefix);
     if (options.tags) params.append('tags', options.tags);
+    if (options.type) params.append('type', options.type);
+    if (options.sortBy) params.append('sortBy', options.sortBy);
+    if (options.order) params.append('order', options.order);
+    if (options.format) params.append('format', options.format);
+    if (options.color) params.append('color', options.color);
+    if (options.colorTolerance) params.append('colorTolerance', options.colorTolerance);
 
     const response = await api.get(`/images?${params.toString()}`);
     return response.data;
@@ -93,10 +283,18 @@ const imageAPI = {
   },
 
   /**
-   * Bulk delete images
+   * Bulk delete images: to the trash, or for good with `permanent`
+   */
+  bulkDelete: async (publicIds, options = {}) => {
+    const response = await api.post('/images/bulk-delete', { publicIds, permanent: options.permanent });
+    return response.data;
+  },
+
+  /**
+   * List watermark definitions
    */
-  bulkDelete: async (publicIds) => {
-    const response = await api.post('/images/bulk-delete', { publicIds });
+  listWatermarks: async () => {
+    const response = await api.get('/watermarks');
     return response.data;
   },
 